@@ -0,0 +1,209 @@
+/* File: js/components/blog-archive.js */
+/*
+ * ============================================
+ *    BLOG TAG & CATEGORY ARCHIVES
+ * ============================================
+ *
+ * Turns blog.html into a linkable archive for one tag or
+ * category:
+ *
+ *   blog.html?tag=python
+ *   blog.html?category=tutorials&page=2
+ *
+ * In archive mode:
+ * 1. The page header shows the tag / category and how many
+ *    articles it has, with the breadcrumbs and <title> to match
+ * 2. The grid is narrowed down to the matching posts,
+ *    ARCHIVE_PAGE_SIZE per page, with page links below it
+ *    (plain links, so every page is crawlable) — through
+ *    ContentLoader's view attributes:
+ *    data-where="tags=python" data-page-size="9" data-pagination="links"
+ * 3. The category pills are hidden — the archive IS the filter
+ *
+ * On every blog.html view, the "Browse by Topic" block lists all
+ * categories and a tag cloud (bigger = more articles), each
+ * linking to its archive.
+ *
+ * Tag chips on the cards and on the post page link here too.
+ * The archive URLs are listed in sitemap.xml
+ * (scripts/build-sitemap.js).
+ *
+ * Depends on: posts.js, content-loader.js (loaded after this
+ * file, so the attributes are in place before the grid loads)
+ */
+
+;(function () {
+    'use strict';
+
+    const BlogArchive = {
+
+        /* ---- Configuration ---- */
+        TYPES: ['tag', 'category'],
+        CLOUD_SIZES: 5,
+
+        init() {
+            this.grid = document.querySelector('.blog-grid[data-content="posts"]');
+            this.cloud = document.getElementById('tag-cloud');
+
+            if (!this.grid) return;
+
+            this.archive = this.readArchive();
+
+            if (this.archive) {
+                this.pageTitle = document.title;
+                this.showHeader(null);
+                this.narrowGrid();
+
+                this.grid.addEventListener('content:loaded', (e) => {
+                    this.showHeader(e.detail.total);
+                    if (e.detail.total === 0) this.showEmpty();
+                });
+            }
+
+            this.renderCloud();
+        },
+
+        /* { type, value } from the URL, or null on the regular listing */
+        readArchive() {
+            const params = new URLSearchParams(window.location.search);
+            const type = this.TYPES.find(name => params.get(name));
+            if (!type) return null;
+
+            return { type, value: params.get(type).trim().toLowerCase() };
+        },
+
+        /* Shares ContentLoader's cache with the grid */
+        async fetchIndex() {
+            const data = await window.ContentLoader.fetchData('posts');
+            return data.posts || [];
+        },
+
+
+        /* ==========================================
+           ARCHIVE LISTING
+           ========================================== */
+
+        /* ContentLoader filters, sorts (newest first) and pages the posts */
+        narrowGrid() {
+            const { type, value } = this.archive;
+            const field = type === 'tag' ? 'tags' : 'category';
+
+            /* Escaped — "?tag=a,b" is one tag, not a second condition */
+            this.grid.setAttribute('data-where', `${field}=${window.ContentLoader.whereValue(value)}`);
+            this.grid.setAttribute('data-page-size', Posts.ARCHIVE_PAGE_SIZE);
+            this.grid.setAttribute('data-pagination', 'links');
+        },
+
+        showEmpty() {
+            const { type } = this.archive;
+            this.grid.innerHTML = `<p class="content-empty">No articles ${type === 'tag' ? 'tagged' : 'in'} ${this.escapeHtml(this.archiveName())} yet. <a href="blog.html">Browse all articles</a></p>`;
+        },
+
+        /* "#python" or "Tutorials" */
+        archiveName() {
+            const { type, value } = this.archive;
+            return type === 'tag' ? '#' + value : Posts.categoryLabel(value);
+        },
+
+        /* Page header, breadcrumbs and <title> — count is null while loading */
+        showHeader(count) {
+            const name = this.archiveName();
+            const title = document.querySelector('.page-header__title');
+            const description = document.querySelector('.page-header__description');
+            const current = document.querySelector('.breadcrumbs__current');
+            const filters = document.querySelector('.blog-filters');
+
+            if (title) {
+                title.innerHTML = `${this.archive.type === 'tag' ? 'Tagged' : 'Category:'} <span class="text-gradient">${this.escapeHtml(name)}</span>`;
+            }
+
+            if (description && count !== null) {
+                const noun = count === 1 ? 'article' : 'articles';
+                description.innerHTML = `${count} ${noun} ${this.archive.type === 'tag' ? 'tagged' : 'in'} ${this.escapeHtml(name)} · <a href="blog.html">View all articles</a>`;
+            }
+
+            /* Home / Blog / #python */
+            if (current && !current.parentElement.querySelector('a[href="blog.html"]')) {
+                current.insertAdjacentHTML('beforebegin',
+                    '<a href="blog.html">Blog</a><span class="breadcrumbs__separator">/</span>');
+            }
+            if (current) current.textContent = name;
+
+            if (filters) filters.hidden = true;
+
+            /* "Blog — Your Name" → "#python — Blog — Your Name" */
+            document.title = `${name} — ${this.pageTitle}`;
+        },
+
+
+        /* ==========================================
+           TAG CLOUD
+           ========================================== */
+
+        async renderCloud() {
+            if (!this.cloud) return;
+
+            let posts;
+            try {
+                posts = await this.fetchIndex();
+            } catch (error) {
+                /* The listing shows its own error — the cloud just stays hidden */
+                return;
+            }
+
+            const { categories, tags } = Posts.taxonomy(posts);
+            if (categories.length === 0 && tags.length === 0) return;
+
+            const active = this.archive || {};
+            const isActive = (type, name) => active.type === type && active.value === name;
+
+            const categoriesEl = this.cloud.querySelector('.tag-cloud__categories');
+            if (categoriesEl) {
+                categoriesEl.innerHTML = categories.map(({ name, label, count }) => `
+                    <a class="tag-cloud__category${isActive('category', name) ? ' tag-cloud__category--active' : ''}"
+                       href="${this.escapeHtml(Posts.archiveUrl('category', name))}"${isActive('category', name) ? ' aria-current="page"' : ''}>
+                        ${this.escapeHtml(label)} <span class="tag-cloud__count">${count}</span>
+                    </a>`).join('');
+            }
+
+            const tagsEl = this.cloud.querySelector('.tag-cloud__tags');
+            if (tagsEl) {
+                /* Show the cloud alphabetically, sized by usage */
+                tagsEl.innerHTML = [...tags]
+                    .sort((a, b) => a.name.localeCompare(b.name))
+                    .map(({ name, count }) => `
+                    <a class="tag-cloud__tag tag-cloud__tag--${this.cloudSize(count, tags)}${isActive('tag', name) ? ' tag-cloud__tag--active' : ''}"
+                       href="${this.escapeHtml(Posts.archiveUrl('tag', name))}"
+                       title="${count} ${count === 1 ? 'article' : 'articles'}"${isActive('tag', name) ? ' aria-current="page"' : ''}>#${this.escapeHtml(name)}</a>`).join('');
+            }
+
+            this.cloud.hidden = false;
+        },
+
+        /* 1 (least used) … CLOUD_SIZES (most used), on a log scale */
+        cloudSize(count, tags) {
+            const counts = tags.map(tag => tag.count);
+            const min = Math.log(Math.min(...counts));
+            const max = Math.log(Math.max(...counts));
+            if (max === min) return 1;
+
+            return 1 + Math.round((Math.log(count) - min) / (max - min) * (this.CLOUD_SIZES - 1));
+        },
+
+        escapeHtml(str) {
+            return String(str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        BlogArchive.init();
+    });
+
+    window.BlogArchive = BlogArchive;
+
+})();
@@ -0,0 +1,214 @@
+/* File: js/components/blog-post.js */
+/*
+ * ============================================
+ *    BLOG POST RENDERER
+ * ============================================
+ *
+ * Turns blog-post.html into a template for every post in
+ * blog/posts/. The post is picked from the URL:
+ *
+ *   blog-post.html?slug=building-telegram-bot-python
+ *   → fetches blog/posts/building-telegram-bot-python.md
+ *
+ * So a post committed through Decap CMS is live as soon as
+ * the .md file is deployed — no HTML editing needed.
+ *
+ * How it works:
+ * 1. Read the ?slug= parameter
+ * 2. Fetch and parse the markdown file (markdown.js + posts.js)
+ * 3. Drafts and future-dated posts are treated as "not found"
+ * 4. Fill the existing header, featured image, article body
+ *    and tags markup
+ * 5. Update <title>, the description / Open Graph meta tags
+ *    and the canonical URL
+ * 6. Dispatch "post:rendered" so other components (ToC tracker
+ *    builds the table of contents, reading progress, ...) can
+ *    pick up the new content
+ *
+ * Depends on: markdown.js, posts.js
+ */
+
+;(function () {
+    'use strict';
+
+    const BlogPost = {
+        post: null,
+
+        init() {
+            this.body = document.getElementById('post-body');
+            if (!this.body || typeof window.Posts === 'undefined') return;
+
+            const slug = new URLSearchParams(window.location.search).get('slug');
+
+            if (!Posts.isValidSlug(slug)) {
+                this.showNotFound();
+                return;
+            }
+
+            this.load(slug);
+        },
+
+        async load(slug) {
+            try {
+                const response = await fetch(Posts.POSTS_DIR + slug + '.md');
+
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+
+                const post = Posts.fromMarkdown(slug, await response.text());
+
+                if (!Posts.isPublished(post)) {
+                    this.showNotFound();
+                    return;
+                }
+
+                this.post = post;
+                this.render(post);
+
+                document.dispatchEvent(new CustomEvent('post:rendered', {
+                    detail: { post }
+                }));
+
+            } catch (error) {
+                console.error('BlogPost: Failed to load', slug, error);
+                this.showNotFound();
+            }
+        },
+
+
+        /* ==========================================
+           RENDERING
+           ========================================== */
+
+        render(post) {
+            this.renderHeader(post);
+            this.renderImage(post);
+            this.renderMeta(post);
+
+            this.body.innerHTML = post.html;
+            this.body.removeAttribute('aria-busy');
+
+            this.renderTags(post.tags);
+        },
+
+        renderHeader(post) {
+            this.setText('.post-header__title', post.title);
+            this.setText('.post-header__category', Posts.categoryLabel(post.category));
+            this.setLink('.post-header__category', post.category && Posts.archiveUrl('category', post.category));
+            this.setText('.breadcrumbs__current', post.title);
+            this.setText('[data-post-reading-time]', post.readingTime + ' read');
+
+            const time = document.querySelector('[data-post-date]');
+            if (time) {
+                time.setAttribute('datetime', post.date);
+                time.textContent = Posts.formatDate(post.date);
+            }
+        },
+
+        renderImage(post) {
+            const wrapper = document.querySelector('.post-featured-image');
+            if (!wrapper || !post.thumbnail) return;
+
+            const img = document.createElement('img');
+            img.src = post.thumbnail;
+            img.alt = post.title;
+            img.width = 1200;
+            img.height = 630;
+            wrapper.replaceChildren(img);
+        },
+
+        /* Title, description and Open Graph tags for sharing / SEO */
+        renderMeta(post) {
+            const siteName = (document.title.split(' — ')[1] || '').trim();
+            document.title = siteName ? `${post.title} — ${siteName}` : post.title;
+
+            this.setMeta('meta[name="description"]', post.description);
+            this.setMeta('meta[property="og:title"]', post.title);
+            this.setMeta('meta[property="og:description"]', post.description);
+
+            /* One URL per post (no tracking params / hash) — used by the share bar */
+            const canonicalUrl = new URL(Posts.url(post.slug), window.location.href).href;
+            this.setCanonical(canonicalUrl);
+            this.setMeta('meta[property="og:url"]', canonicalUrl);
+
+            if (post.thumbnail) {
+                this.setMeta('meta[property="og:image"]', post.thumbnail);
+            }
+        },
+
+        renderTags(tags) {
+            const container = document.getElementById('post-tags');
+            if (!container) return;
+
+            if (tags.length === 0) {
+                container.hidden = true;
+                return;
+            }
+
+            container.innerHTML = tags
+                .map(tag => `<a class="post-tag" href="${this.escapeHtml(Posts.archiveUrl('tag', tag))}">#${this.escapeHtml(tag)}</a>`)
+                .join('');
+            container.hidden = false;
+        },
+
+        showNotFound() {
+            this.setText('.post-header__title', 'Article not found');
+            this.setText('.breadcrumbs__current', 'Not found');
+
+            const header = document.querySelector('.post-header__meta');
+            if (header) header.hidden = true;
+
+            const toc = document.querySelector('.toc');
+            if (toc) toc.hidden = true;
+
+            this.body.removeAttribute('aria-busy');
+            this.body.innerHTML = `
+                <div class="content-empty">
+                    <p>This article doesn't exist or hasn't been published yet.</p>
+                    <a href="blog.html" class="btn btn--outline btn--sm"><span>Browse all articles</span></a>
+                </div>`;
+        },
+
+
+        /* ==========================================
+           UTILITIES
+           ========================================== */
+
+        setText(selector, text) {
+            const el = document.querySelector(selector);
+            if (el) el.textContent = text;
+        },
+
+        setLink(selector, href) {
+            const el = document.querySelector(selector);
+            if (el && href) el.setAttribute('href', href);
+        },
+
+        setCanonical(href) {
+            let link = document.querySelector('link[rel="canonical"]');
+            if (!link) {
+                link = document.createElement('link');
+                link.rel = 'canonical';
+                document.head.appendChild(link);
+            }
+            link.href = href;
+        },
+
+        setMeta(selector, content) {
+            const el = document.querySelector(selector);
+            if (el && content) el.setAttribute('content', content);
+        },
+
+        escapeHtml(str) {
+            return window.Markdown.escapeHtml(str);
+        }
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        BlogPost.init();
+    });
+
+    window.BlogPost = BlogPost;
+
+})();
@@ -5,19 +5,38 @@
  *  BLOG SEARCH COMPONENT
  * ============================================
  *
- * Real-time search that filters blog post cards as you type.
- * Searches through: titles, descriptions, categories, and tags.
+ * Ranked full-text search over the blog posts as you type.
+ * Searches through: titles, descriptions, categories, tags
+ * AND the full article text.
  *
  * How it works:
  * 1. User types in the search input
- * 2. After a short debounce (250ms), we filter
- * 3. Each blog card is checked against the search query
- * 4. Non-matching cards are hidden with animation
- * 5. Results count is updated
- * 6. Clear button resets the search
+ * 2. After a short debounce (250ms), we search
+ * 3. The query runs against data/search-index.json — an inverted
+ *    index built on deploy (see search-index.js for the ranking,
+ *    prefix and typo-tolerant matching)
+ * 4. Matching cards are shown best match first, each with a
+ *    snippet of the article showing where the match occurred
+ * 5. Non-matching cards are hidden with animation
+ * 6. Results count is updated
+ * 7. Clear button resets the search
  *
- * Debouncing prevents filtering on EVERY keystroke —
+ * Debouncing prevents searching on EVERY keystroke —
  * instead, it waits until the user pauses typing.
+ *
+ * Shareable searches: the query is kept in the URL
+ * (blog.html?q=telegram) and restored on load.
+ *
+ * The index is only downloaded on the first search. If it can't
+ * be loaded, search falls back to matching each card's
+ * data-searchable attribute (titles, descriptions, tags).
+ *
+ * The cards are rendered by ContentLoader from data/posts.json,
+ * so they're looked up on every search rather than once on load.
+ * Cards hidden by the category filter (FilterGrid) are left alone,
+ * and switching category clears the search.
+ *
+ * Depends on: search-index.js
  */
 
 ;(function () {
@@ -25,6 +44,12 @@
 
     const BlogSearch = {
         debounceTimer: null,
+        indexPromise: null,
+        searchId: 0,
+
+        /* ---- Configuration ---- */
+        INDEX_PATH: 'data/search-index.json',
+        QUERY_PARAM: 'q',
 
         init() {
             this.input = document.querySelector('.blog-search__input');
@@ -32,13 +57,48 @@
             this.resultsEl = document.querySelector('.blog-search__results');
             this.resultsCount = document.querySelector('.blog-search__results-count');
             this.noResults = document.querySelector('.blog-no-results');
-            this.cards = Array.from(document.querySelectorAll('[data-searchable]'));
             this.grid = document.querySelector('.blog-grid');
 
-            if (!this.input || this.cards.length === 0) return;
+            if (!this.input) return;
 
-            this.totalCount = this.cards.length;
             this.bindEvents();
+
+            /* Restore a shared search (blog.html?q=...) */
+            const query = new URLSearchParams(window.location.search).get(this.QUERY_PARAM);
+            if (query) {
+                this.input.value = query;
+                if (this.clearBtn) this.clearBtn.classList.add('visible');
+                this.search();
+            }
+        },
+
+        /* Current cards — the grid may be re-rendered at any time */
+        getCards() {
+            return Array.from(document.querySelectorAll('[data-searchable]'));
+        },
+
+        clear() {
+            this.input.value = '';
+            if (this.clearBtn) this.clearBtn.classList.remove('visible');
+            this.reset();
+        },
+
+        /* Undo everything search() changed — all cards back in their original order */
+        reset() {
+            this.searchId++;
+            if (this.resultsEl) this.resultsEl.classList.remove('visible');
+            if (this.noResults) this.noResults.classList.remove('visible');
+            if (this.grid) this.grid.style.display = '';
+
+            this.getCards().forEach(card => {
+                card.style.opacity = '';
+                card.style.transform = '';
+                card.style.order = '';
+                if (!card.classList.contains('filter-hidden')) card.style.display = '';
+                this.setSnippet(card, '');
+            });
+
+            this.updateUrl('');
         },
 
         bindEvents() {
@@ -53,12 +113,13 @@
                 }
             });
 
+            /* Start downloading the index as soon as the user shows intent */
+            this.input.addEventListener('focus', () => this.loadIndex(), { once: true });
+
             /* Clear button */
             if (this.clearBtn) {
                 this.clearBtn.addEventListener('click', () => {
-                    this.input.value = '';
-                    this.clearBtn.classList.remove('visible');
-                    this.search();
+                    this.clear();
                     this.input.focus();
                 });
             }
@@ -67,30 +128,76 @@
             this.input.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter') e.preventDefault();
                 if (e.key === 'Escape') {
-                    this.input.value = '';
-                    this.clearBtn.classList.remove('visible');
-                    this.search();
+                    this.clear();
                     this.input.blur();
                 }
             });
+
+            /* Changing category starts a fresh search */
+            document.addEventListener('filter:changed', () => {
+                this.clear();
+
+                /* An empty category shows the same "No articles found" state */
+                const visible = this.getCards().filter(card => !card.classList.contains('filter-hidden'));
+                if (this.noResults) this.noResults.classList.toggle('visible', visible.length === 0);
+            });
+
+            /* Re-apply the current query when the cards are (re-)rendered */
+            document.addEventListener('content:loaded', () => {
+                if (this.input.value.trim() !== '') this.search();
+            });
+        },
+
+        /* Fetch the prebuilt index once; resolves to null if it's unavailable */
+        loadIndex() {
+            if (!this.indexPromise) {
+                this.indexPromise = fetch(this.INDEX_PATH)
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                        return response.json();
+                    })
+                    .catch(error => {
+                        console.warn('BlogSearch: Search index unavailable, using basic search', error);
+                        return null;
+                    });
+            }
+            return this.indexPromise;
         },
 
-        search() {
-            const query = this.input.value.toLowerCase().trim();
+        async search() {
+            const query = this.input.value.trim();
+
+            if (query === '') {
+                this.reset();
+                return;
+            }
+
+            /* Ignore results of a slower, older search */
+            const searchId = ++this.searchId;
+            const index = await this.loadIndex();
+            if (searchId !== this.searchId) return;
+
+            const results = this.rank(index, query);
             let visibleCount = 0;
 
-            this.cards.forEach(card => {
-                const searchData = (card.getAttribute('data-searchable') || '').toLowerCase();
-                const matches = query === '' || searchData.includes(query);
+            this.getCards().forEach(card => {
+                /* Leave cards hidden by the category filter alone */
+                if (card.classList.contains('filter-hidden')) return;
 
-                if (matches) {
+                const result = results.get(card.getAttribute('data-slug'));
+
+                if (result) {
                     visibleCount++;
                     card.style.display = '';
                     card.style.opacity = '1';
                     card.style.transform = '';
+                    card.style.order = result.rank;
+                    this.setSnippet(card, result.snippet);
                 } else {
                     card.style.opacity = '0';
                     card.style.transform = 'scale(0.95)';
+                    card.style.order = '';
+                    this.setSnippet(card, '');
                     setTimeout(() => {
                         if (card.style.opacity === '0') {
                             card.style.display = 'none';
@@ -100,22 +207,89 @@
             });
 
             /* Update results count */
-            if (this.resultsEl && query !== '') {
+            if (this.resultsEl) {
                 this.resultsEl.classList.add('visible');
                 if (this.resultsCount) this.resultsCount.textContent = visibleCount;
-            } else if (this.resultsEl) {
-                this.resultsEl.classList.remove('visible');
             }
 
             /* Show/hide no results state */
             if (this.noResults) {
-                this.noResults.classList.toggle('visible', visibleCount === 0 && query !== '');
+                this.noResults.classList.toggle('visible', visibleCount === 0);
             }
 
             /* Hide/show grid */
             if (this.grid) {
-                this.grid.style.display = (visibleCount === 0 && query !== '') ? 'none' : '';
+                this.grid.style.display = visibleCount === 0 ? 'none' : '';
+            }
+
+            this.updateUrl(query);
+        },
+
+        /*
+         * slug → { rank, snippet } for every matching post.
+         * Without an index, falls back to a plain substring match
+         * on the cards (unranked, no snippets).
+         */
+        rank(index, query) {
+            const results = new Map();
+
+            if (!index) {
+                const needle = query.toLowerCase();
+                this.getCards().forEach(card => {
+                    const searchData = (card.getAttribute('data-searchable') || '').toLowerCase();
+                    if (searchData.includes(needle)) {
+                        results.set(card.getAttribute('data-slug'), { rank: '', snippet: '' });
+                    }
+                });
+                return results;
             }
+
+            const texts = new Map(index.docs.map(doc => [doc.slug, doc.text]));
+
+            SearchIndex.search(index, query).forEach((match, position) => {
+                results.set(match.slug, {
+                    rank: position + 1,
+                    snippet: SearchIndex.snippet(texts.get(match.slug), match.terms)
+                });
+            });
+            return results;
+        },
+
+        /* Show (or remove) the highlighted excerpt inside a card */
+        setSnippet(card, html) {
+            let snippet = card.querySelector('.blog-post-card__snippet');
+
+            if (!html) {
+                if (snippet) snippet.remove();
+                return;
+            }
+
+            if (!snippet) {
+                snippet = document.createElement('p');
+                snippet.className = 'blog-post-card__snippet';
+                const description = card.querySelector('.card__description');
+                if (description) {
+                    description.after(snippet);
+                } else {
+                    (card.querySelector('.card__body') || card).appendChild(snippet);
+                }
+            }
+            snippet.innerHTML = html;
+        },
+
+        /* Keep ?q= in sync so the search can be shared / bookmarked */
+        updateUrl(query) {
+            const params = new URLSearchParams(window.location.search);
+            if ((params.get(this.QUERY_PARAM) || '') === query) return;
+
+            if (query) {
+                params.set(this.QUERY_PARAM, query);
+            } else {
+                params.delete(this.QUERY_PARAM);
+            }
+
+            const search = params.toString();
+            history.replaceState(history.state, '', window.location.pathname + (search ? '?' + search : '') + window.location.hash);
         }
     };
 
@@ -123,4 +297,6 @@
         BlogSearch.init();
     });
 
-})();
\ No newline at end of file
+    window.BlogSearch = BlogSearch;
+
+})();
@@ -0,0 +1,534 @@
+/* File: js/components/checkout.js */
+/*
+ * ============================================
+ *    CHECKOUT (checkout.html)
+ * ============================================
+ *
+ * Turns the cart into an order:
+ *
+ * 1. Order review — the items in ShopCart (still editable
+ *    in the cart drawer; the review follows "cart:updated"),
+ *    with the discount code applied there, if any
+ * 2. Buyer details — name, email (where the download links
+ *    go) and billing country, which sets the VAT (tax.js);
+ *    businesses can add a VAT ID for the reverse charge
+ * 3. Terms of sale — must be accepted
+ * 4. Payment — the order gets an ID (ORD-20250115-7K3QXM)
+ *    and goes to the payment provider (see payment.js):
+ *    - paid      → confirmation with the order ID; the cart
+ *                  is emptied and the order kept in
+ *                  localStorage (ORDERS_KEY)
+ *    - declined  → the provider's message; try again
+ *    - cancelled → back to the form, cart untouched
+ *
+ * Prices show in the visitor's display currency (currency.js);
+ * the order is charged in CURRENCY, and the summary says how
+ * much that is when the two differ.
+ *
+ * Events (on document):
+ *   "checkout:completed" → detail: { order, result }
+ *   "checkout:failed"    → detail: { order, result }
+ *                          (result.status = declined / cancelled,
+ *                          or error when the provider failed)
+ *
+ * Depends on: shop-cart.js, payment.js (currency.js, tax.js optional)
+ */
+
+;(function () {
+    'use strict';
+
+    const Checkout = {
+
+        /* ---- Configuration ---- */
+        /* 🔧 CUSTOMIZE: the payment provider registered in payment.js */
+        PROVIDER: 'mock',
+        /* What orders are charged in — the prices' currency (Currency.BASE) */
+        CURRENCY: 'USD',
+        ORDER_PREFIX: 'ORD',
+        ORDERS_KEY: 'portfolio-shop-orders',
+        MAX_SAVED_ORDERS: 20,
+
+        /* Order ID characters — no 0/O or 1/I to misread */
+        ID_ALPHABET: '23456789ABCDEFGHJKLMNPQRSTUVWXYZ',
+        ID_LENGTH: 6,
+
+        init() {
+            this.form = document.getElementById('checkout-form');
+            if (!this.form || !window.ShopCart || !window.Payment) return;
+
+            this.layout = document.getElementById('checkout-layout');
+            this.empty = document.getElementById('checkout-empty');
+            this.result = document.getElementById('checkout-result');
+            this.message = document.getElementById('checkout-message');
+            this.submitBtn = this.form.querySelector('[type="submit"]');
+            this.touched = {};
+
+            this.fields = {
+                name: {
+                    el: this.form.querySelector('[name="name"]'),
+                    check: value => (value.length === 0 ? 'Please enter your name'
+                        : value.length < 2 ? 'Name must be at least 2 characters' : null)
+                },
+                email: {
+                    el: this.form.querySelector('[name="email"]'),
+                    check: value => (value.length === 0 ? 'Please enter your email'
+                        : !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? 'Please enter a valid email address' : null)
+                },
+                country: {
+                    el: this.form.querySelector('[name="country"]'),
+                    check: value => (value ? null : 'Please select your billing country')
+                },
+                business: {
+                    el: this.form.querySelector('[name="business"]'),
+                    check: () => null
+                },
+                company: {
+                    el: this.form.querySelector('[name="company"]'),
+                    check: value => (this.isBusiness() && value.length === 0 ? 'Please enter the company name' : null)
+                },
+                vatId: {
+                    el: this.form.querySelector('[name="vatId"]'),
+                    check: value => this.checkVatId(value)
+                },
+                terms: {
+                    el: this.form.querySelector('[name="terms"]'),
+                    check: (value, el) => (el.checked ? null : 'Please accept the terms of sale')
+                }
+            };
+
+            this.restoreTaxLocation();
+            this.bindEvents();
+            this.renderReview();
+        },
+
+        bindEvents() {
+            Object.keys(this.fields).forEach(key => {
+                const el = this.fields[key].el;
+                if (!el) return;
+
+                el.addEventListener('blur', () => {
+                    if (this.touched[key]) this.validateField(key);
+                });
+                el.addEventListener('input', () => {
+                    this.touched[key] = true;
+                    el.closest('.form-group').classList.remove('form-group--error');
+                });
+                el.addEventListener('change', () => {
+                    this.touched[key] = true;
+                    this.validateField(key);
+                });
+            });
+
+            this.form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleSubmit();
+            });
+
+            /* Country, business and VAT ID decide the tax */
+            ['country', 'business', 'vatId'].forEach(key => {
+                const el = this.fields[key].el;
+                if (el) el.addEventListener('change', () => this.updateTaxLocation());
+            });
+
+            /* Quantities changed in the cart drawer */
+            document.addEventListener('cart:updated', () => {
+                if (!this.processing) this.renderReview();
+            });
+
+            document.addEventListener('currency:changed', () => {
+                if (!this.processing) this.renderReview();
+            });
+        },
+
+
+        /* ==========================================
+           ORDER REVIEW
+           ========================================== */
+
+        renderReview() {
+            const items = ShopCart.items;
+            const isEmpty = items.length === 0;
+
+            /* The confirmation stays up after the cart is emptied */
+            if (this.result && !this.result.hidden) return;
+
+            if (this.layout) this.layout.hidden = isEmpty;
+            if (this.empty) this.empty.hidden = !isEmpty;
+            if (isEmpty) return;
+
+            const list = document.getElementById('checkout-items');
+            if (list) list.innerHTML = items.map(item => this.renderItem(item)).join('');
+
+            const discounts = ShopCart.getDiscounts();
+            const discountRow = document.getElementById('checkout-discount-row');
+            if (discountRow) discountRow.hidden = !discounts.applied;
+            this.setText('#checkout-discount-code', discounts.code ? `(${discounts.code})` : '');
+            this.setText('#checkout-discount', '−' + ShopCart.formatPrice(discounts.total));
+
+            const tax = ShopCart.getTax();
+            this.renderTax(tax);
+
+            this.setText('#checkout-subtotal', ShopCart.formatPrice(discounts.itemsTotal));
+            this.setText('#checkout-total', ShopCart.formatPrice(tax.total));
+            this.setText('#checkout-count', ShopCart.getTotalItems());
+            this.setSubmitLabel(tax.total);
+            this.renderCurrencyNote(tax.total);
+        },
+
+        /* VAT rows, just above the total */
+        renderTax(tax) {
+            const totalRow = document.getElementById('checkout-total');
+            if (!totalRow || !window.Tax) return;
+
+            const list = totalRow.closest('dl');
+            list.querySelectorAll('.checkout-summary__row--tax').forEach(row => row.remove());
+
+            const rows = tax.pending
+                ? [{ label: 'VAT', value: 'Select your billing country' }]
+                : tax.lines.map(line => ({
+                    label: tax.display === 'inclusive' && !tax.reverseCharge ? `Includes ${line.label}` : line.label,
+                    value: ShopCart.formatPrice(line.amount)
+                }));
+
+            rows.forEach(({ label, value }) => {
+                const row = document.createElement('div');
+                row.className = 'checkout-summary__row checkout-summary__row--tax';
+                row.innerHTML = `<dt>${this.escapeHtml(label)}</dt><dd>${this.escapeHtml(value)}</dd>`;
+                list.insertBefore(row, totalRow.parentElement);
+            });
+        },
+
+        /* Shown when the display currency isn't what the order is charged in */
+        renderCurrencyNote(total) {
+            const note = document.getElementById('checkout-currency-note');
+            if (!note) return;
+
+            const display = window.Currency ? Currency.code : this.CURRENCY;
+            note.hidden = display === this.CURRENCY;
+            note.textContent = note.hidden ? ''
+                : `Prices in ${display} are a guide — you'll be charged ${this.chargePrice(total)} ${this.CURRENCY}.`;
+        },
+
+        /* An amount in the charged currency, unconverted */
+        chargePrice(amount) {
+            return window.Currency
+                ? Currency.format(amount, { currency: this.CURRENCY })
+                : ShopCart.formatPrice(amount);
+        },
+
+        renderItem(item) {
+            const line = ShopCart.getDiscounts().lines.find(entry => entry.id === item.id);
+            const lineTotal = item.price * item.quantity;
+            const totalHtml = line
+                ? `<s class="checkout-item__was">${ShopCart.formatPrice(lineTotal)}</s> ${ShopCart.formatPrice(lineTotal - line.amount)}`
+                : ShopCart.formatPrice(lineTotal);
+
+            const image = /^(images\/|https?:)/.test(item.image || '')
+                ? `<img src="${this.escapeHtml(item.image)}" alt="">`
+                : this.escapeHtml(item.image || '📦');
+
+            return `
+                <li class="checkout-item">
+                    <span class="checkout-item__image" aria-hidden="true">${image}</span>
+                    <span class="checkout-item__info">
+                        <span class="checkout-item__name">${this.escapeHtml(item.name)}</span>
+                        <span class="checkout-item__qty">Qty ${item.quantity} × ${ShopCart.formatPrice(item.price)}</span>
+                    </span>
+                    <span class="checkout-item__total">${totalHtml}</span>
+                </li>`;
+        },
+
+        setSubmitLabel(total) {
+            const label = this.submitBtn && this.submitBtn.querySelector('span');
+            if (label) label.textContent = 'Pay ' + this.chargePrice(total);
+        },
+
+
+        /* ==========================================
+           VALIDATION
+           ========================================== */
+
+        validateField(key) {
+            const field = this.fields[key];
+            if (!field || !field.el) return true;
+
+            const group = field.el.closest('.form-group');
+            if (group && group.hidden) return true;
+
+            const error = field.check(field.el.value.trim(), field.el);
+            const errorEl = group ? group.querySelector('.form-group__error') : null;
+
+            if (group) {
+                group.classList.toggle('form-group--error', error !== null);
+                group.classList.toggle('form-group--success', error === null && field.el.type !== 'checkbox');
+                if (error && errorEl) errorEl.textContent = error;
+            }
+            return error === null;
+        },
+
+        validateAll() {
+            /* Every field, so every problem shows at once */
+            return Object.keys(this.fields)
+                .map(key => {
+                    this.touched[key] = true;
+                    return this.validateField(key);
+                })
+                .every(Boolean);
+        },
+
+        getBuyer() {
+            const tax = ShopCart.getTax();
+            return {
+                name: this.fields.name.el.value.trim(),
+                email: this.fields.email.el.value.trim(),
+                country: this.fields.country.el.value,
+                company: this.isBusiness() ? this.fields.company.el.value.trim() : null,
+                vatId: this.isBusiness() ? (tax.vatId || this.fields.vatId.el.value.trim() || null) : null
+            };
+        },
+
+
+        /* ==========================================
+           TAX (country + business VAT ID)
+           ========================================== */
+
+        isBusiness() {
+            return Boolean(this.fields.business.el && this.fields.business.el.checked);
+        },
+
+        /* Empty is fine (VAT is charged); otherwise it must fit the country's format */
+        checkVatId(value) {
+            if (!this.isBusiness() || !value || !window.Tax) return null;
+
+            const rule = Tax.ruleFor(this.fields.country.el.value);
+            if (!rule || !rule.vatIdPattern) return null;
+            return Tax.validateVatId(rule.country, value).message;
+        },
+
+        getTaxLocation() {
+            return {
+                country: this.fields.country.el.value || null,
+                business: this.isBusiness(),
+                vatId: this.isBusiness() ? this.fields.vatId.el.value.trim() || null : null
+            };
+        },
+
+        updateTaxLocation() {
+            this.form.querySelectorAll('[data-business-field]').forEach(group => {
+                group.hidden = !this.isBusiness();
+            });
+            ShopCart.setTaxLocation(this.getTaxLocation());
+
+            /* A VAT ID's format depends on the country */
+            if (this.touched.vatId) this.validateField('vatId');
+        },
+
+        /* Fill the form from the last checkout (kept by ShopCart) */
+        restoreTaxLocation() {
+            const location = ShopCart.taxLocation || {};
+            const { country, business, vatId } = this.fields;
+
+            if (location.country && country.el) country.el.value = location.country;
+            if (business.el) business.el.checked = Boolean(location.business);
+            if (location.vatId && vatId.el) vatId.el.value = location.vatId;
+
+            this.form.querySelectorAll('[data-business-field]').forEach(group => {
+                group.hidden = !this.isBusiness();
+            });
+        },
+
+
+        /* ==========================================
+           ORDER + PAYMENT
+           ========================================== */
+
+        /* "ORD-20250115-7K3QXM" — date + random, unique enough for a shop this size */
+        createOrderId(date) {
+            const day = (date || new Date()).toISOString().slice(0, 10).replace(/-/g, '');
+            const random = new Uint8Array(this.ID_LENGTH);
+
+            if (window.crypto && window.crypto.getRandomValues) {
+                window.crypto.getRandomValues(random);
+            } else {
+                random.forEach((value, index) => { random[index] = Math.floor(Math.random() * 256); });
+            }
+
+            const suffix = Array.from(random, value => this.ID_ALPHABET[value % this.ID_ALPHABET.length]).join('');
+            return `${this.ORDER_PREFIX}-${day}-${suffix}`;
+        },
+
+        createOrder(buyer) {
+            const now = new Date();
+            const discounts = ShopCart.getDiscounts();
+            const items = ShopCart.items.map(item => {
+                const line = discounts.lines.find(entry => entry.id === item.id);
+                return {
+                    id: item.id,
+                    name: item.name,
+                    price: item.price,
+                    quantity: item.quantity,
+                    discount: line ? line.amount : 0
+                };
+            });
+            /* Already in cents precision (ShopCart.roundMoney, Tax.calculate) */
+            const subtotal = ShopCart.getSubtotal();
+            const tax = ShopCart.getTax();
+
+            return {
+                id: this.createOrderId(now),
+                createdAt: now.toISOString(),
+                currency: this.CURRENCY,
+                items,
+                itemsTotal: discounts.itemsTotal,
+                discount: discounts.applied ? { code: discounts.code, amount: discounts.total } : null,
+                subtotal,
+                tax: {
+                    country: tax.country,
+                    label: tax.label,
+                    rate: tax.rate,
+                    display: tax.display,
+                    amount: tax.tax,
+                    reverseCharge: tax.reverseCharge,
+                    vatId: tax.vatId
+                },
+                total: tax.total,
+                buyer
+            };
+        },
+
+        async handleSubmit() {
+            if (this.processing) return;
+            this.showMessage(null);
+
+            if (ShopCart.items.length === 0) {
+                this.renderReview();
+                return;
+            }
+
+            if (!this.validateAll()) {
+                const firstError = this.form.querySelector('.form-group--error');
+                if (firstError) firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                return;
+            }
+
+            /* The VAT has to match the form before anything is charged */
+            if (window.Tax) await Tax.load();
+            ShopCart.setTaxLocation(this.getTaxLocation());
+
+            const order = this.createOrder(this.getBuyer());
+            this.setProcessing(true);
+
+            let result;
+            try {
+                result = await Payment.pay(order, this.PROVIDER);
+            } catch (error) {
+                console.error('Checkout: payment failed', error);
+                result = { status: 'error', message: 'The payment service couldn\'t be reached. Nothing was charged — please try again.' };
+            }
+
+            this.setProcessing(false);
+
+            if (result.status === 'paid') {
+                order.status = 'paid';
+                order.transactionId = result.transactionId || null;
+                order.provider = result.provider;
+                this.saveOrder(order);
+                this.showConfirmation(order);
+                ShopCart.clearCart();
+                document.dispatchEvent(new CustomEvent('checkout:completed', { detail: { order, result } }));
+                return;
+            }
+
+            if (result.status === 'declined') {
+                this.showMessage(`Payment declined. ${result.message || 'Please try another payment method.'}`, 'error');
+            } else if (result.status === 'cancelled') {
+                this.showMessage('Payment cancelled — your cart is still here whenever you\'re ready.', 'info');
+            } else {
+                this.showMessage(result.message, 'error');
+            }
+            document.dispatchEvent(new CustomEvent('checkout:failed', { detail: { order, result } }));
+        },
+
+        setProcessing(processing) {
+            this.processing = processing;
+            if (!this.submitBtn) return;
+
+            this.submitBtn.disabled = processing;
+            const label = this.submitBtn.querySelector('span');
+            if (processing) {
+                if (label) label.textContent = 'Processing…';
+            } else {
+                this.setSubmitLabel(ShopCart.getGrandTotal());
+            }
+        },
+
+        /* Kept so the buyer (and you, while testing) can look orders up */
+        saveOrder(order) {
+            try {
+                const orders = this.getOrders();
+                orders.unshift(order);
+                localStorage.setItem(this.ORDERS_KEY, JSON.stringify(orders.slice(0, this.MAX_SAVED_ORDERS)));
+            } catch (e) {
+                console.warn('Checkout: could not save the order', e);
+            }
+        },
+
+        getOrders() {
+            try {
+                return JSON.parse(localStorage.getItem(this.ORDERS_KEY)) || [];
+            } catch (e) {
+                return [];
+            }
+        },
+
+
+        /* ==========================================
+           MESSAGES + CONFIRMATION
+           ========================================== */
+
+        /* type: 'error' | 'info'; null text hides it */
+        showMessage(text, type) {
+            if (!this.message) return;
+
+            this.message.hidden = !text;
+            this.message.textContent = text || '';
+            this.message.className = 'checkout-message' + (type ? ' checkout-message--' + type : '');
+            if (text) this.message.focus();
+        },
+
+        showConfirmation(order) {
+            if (!this.result) return;
+
+            this.setText('#checkout-order-id', order.id, this.result);
+            this.setText('#checkout-order-email', order.buyer.email, this.result);
+            this.setText('#checkout-order-total', `${this.chargePrice(order.total)} ${order.currency}`, this.result);
+
+            if (this.layout) this.layout.hidden = true;
+            if (this.empty) this.empty.hidden = true;
+            this.result.hidden = false;
+            this.result.focus();
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        },
+
+        setText(selector, text, root) {
+            const el = (root || document).querySelector(selector);
+            if (el) el.textContent = text;
+        },
+
+        escapeHtml(str) {
+            return String(str === undefined || str === null ? '' : str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        Checkout.init();
+    });
+
+    window.Checkout = Checkout;
+
+})();
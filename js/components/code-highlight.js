@@ -0,0 +1,357 @@
+/* File: js/components/code-highlight.js */
+/*
+ * ============================================
+ *    CODE BLOCKS — HIGHLIGHTING, LINES, COPY
+ * ============================================
+ *
+ * Self-hosted syntax highlighter for code blocks in posts.
+ * The CSP only allows scripts from 'self', so no Prism or
+ * highlight.js from a CDN — this covers the languages our
+ * tutorials use:
+ *
+ *   python (py) · javascript (js) · html (xml, svg) · css
+ *   json · shell (bash, sh, zsh, console)
+ *
+ * For every <pre><code class="language-x"> inside .post-content:
+ * 1. Tokenize the code → <span class="token token--keyword"> etc.
+ *    (colors come from CSS variables, so they follow data-theme)
+ * 2. Split it into lines with line numbers
+ * 3. Highlight the lines listed in data-line="2,5-7"
+ *    (from the fence annotation ```python {2,5-7}, see markdown.js)
+ * 4. Wrap it in a .code-block figure (keeps an existing
+ *    title="…" filename caption) with a language label and a
+ *    Copy button
+ *
+ * Unknown languages still get line numbers and the copy button.
+ *
+ * How tokenizing works:
+ * Each language is an ordered list of rules (type + regex).
+ * At every position the FIRST rule that matches wins; text no
+ * rule matches stays plain. So order matters — comments and
+ * strings come first, so a "#" inside a string isn't a comment.
+ *
+ * Runs on page load and again on "post:rendered" (blog-post.js).
+ */
+
+;(function () {
+    'use strict';
+
+    /* Shared rule pieces */
+    const DOUBLE_QUOTED = /"(?:\\.|[^"\\\n])*"/;
+    const SINGLE_QUOTED = /'(?:\\.|[^'\\\n])*'/;
+    const NUMBER = /\b(?:0[xob][\da-f_]+|\d[\d_]*\.?\d*(?:e[+-]?\d+)?)\b/i;
+
+    const words = list => new RegExp(`\\b(?:${list.join('|')})\\b`);
+
+    const LANGUAGES = {
+        python: [
+            { type: 'comment',   pattern: /#[^\n]*/ },
+            { type: 'string',    pattern: /[rbfu]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?''')/i },
+            { type: 'string',    pattern: /[rbfu]{0,2}(?:"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/i },
+            { type: 'decorator', pattern: /@[\w.]+/ },
+            { type: 'keyword',   pattern: words(['and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield']) },
+            { type: 'constant',  pattern: words(['True', 'False', 'None', 'self', 'cls']) },
+            { type: 'builtin',   pattern: words(['print', 'len', 'range', 'open', 'int', 'str', 'float', 'list', 'dict', 'set', 'tuple', 'bool', 'type', 'isinstance', 'enumerate', 'zip', 'map', 'filter', 'sorted', 'super']) },
+            { type: 'number',    pattern: NUMBER },
+            { type: 'function',  pattern: /\b[A-Za-z_]\w*(?=\s*\()/ }
+        ],
+
+        javascript: [
+            { type: 'comment',   pattern: /\/\/[^\n]*|\/\*[\s\S]*?\*\// },
+            { type: 'string',    pattern: /`(?:\\[\s\S]|[^\\`])*`/ },
+            { type: 'string',    pattern: DOUBLE_QUOTED },
+            { type: 'string',    pattern: SINGLE_QUOTED },
+            { type: 'keyword',   pattern: words(['async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'from', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'yield']) },
+            { type: 'constant',  pattern: words(['true', 'false', 'null', 'undefined', 'NaN', 'Infinity']) },
+            { type: 'builtin',   pattern: words(['console', 'document', 'window', 'Math', 'JSON', 'Object', 'Array', 'Promise', 'Date', 'Map', 'Set']) },
+            { type: 'number',    pattern: NUMBER },
+            { type: 'function',  pattern: /[A-Za-z_$][\w$]*(?=\s*\()/ },
+            { type: 'operator',  pattern: /=>|[=!]==?|&&|\|\||\?\?/ }
+        ],
+
+        html: [
+            { type: 'comment',   pattern: /<!--[\s\S]*?-->/ },
+            { type: 'keyword',   pattern: /<!DOCTYPE[^>]*>/i },
+            { type: 'tag',       pattern: /<\/?[\w-]+|\/?>/ },
+            { type: 'attr',      pattern: /(?<=\s)[\w:@.-]+(?=\s*=)/ },
+            { type: 'string',    pattern: DOUBLE_QUOTED },
+            { type: 'string',    pattern: SINGLE_QUOTED },
+            { type: 'constant',  pattern: /&[#\w]+;/ }
+        ],
+
+        css: [
+            { type: 'comment',   pattern: /\/\*[\s\S]*?\*\// },
+            { type: 'string',    pattern: DOUBLE_QUOTED },
+            { type: 'string',    pattern: SINGLE_QUOTED },
+            { type: 'keyword',   pattern: /@[\w-]+|!important/ },
+            { type: 'variable',  pattern: /--[\w-]+/ },
+            { type: 'property',  pattern: /\b[a-z-]+(?=\s*:[^;{}]*[;}])/ },
+            { type: 'number',    pattern: /#[\da-f]{3,8}\b|-?\b\d*\.?\d+(?:px|r?em|%|vh|vw|s|ms|deg|fr|ch)?\b/i },
+            { type: 'function',  pattern: /[\w-]+(?=\()/ },
+            { type: 'selector',  pattern: /[.#][\w-]+|::?[\w-]+/ }
+        ],
+
+        json: [
+            { type: 'property',  pattern: /"(?:\\.|[^"\\])*"(?=\s*:)/ },
+            { type: 'string',    pattern: DOUBLE_QUOTED },
+            { type: 'number',    pattern: /-?\b\d+(?:\.\d+)?(?:e[+-]?\d+)?\b/i },
+            { type: 'constant',  pattern: words(['true', 'false', 'null']) }
+        ],
+
+        shell: [
+            { type: 'comment',   pattern: /(?<=^|\s)#[^\n]*/ },
+            { type: 'string',    pattern: DOUBLE_QUOTED },
+            { type: 'string',    pattern: SINGLE_QUOTED },
+            { type: 'variable',  pattern: /\$\{[^}]*\}|\$[\w@#?$!*-]/ },
+            { type: 'keyword',   pattern: words(['if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'do', 'done', 'case', 'esac', 'in', 'function', 'return', 'export', 'local']) },
+            { type: 'operator',  pattern: /^\s*\$(?=\s)|&&|\|\||[|>]/m },
+            { type: 'function',  pattern: /(?<=^\s*(?:\$\s+)?|(?:&&|\|\||\||;)\s*)(?:sudo\s+)?[\w.\/-]+/m },
+            { type: 'attr',      pattern: /(?<=\s)--?[\w-]+/ }
+        ]
+    };
+
+    const ALIASES = {
+        py: 'python', python3: 'python',
+        js: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+        xml: 'html', svg: 'html', htm: 'html',
+        bash: 'shell', sh: 'shell', zsh: 'shell', console: 'shell', terminal: 'shell'
+    };
+
+    /* Label shown in the block header */
+    const LABELS = {
+        python: 'Python', javascript: 'JavaScript', html: 'HTML',
+        css: 'CSS', json: 'JSON', shell: 'Shell'
+    };
+
+    const CodeHighlight = {
+
+        /* ---- Configuration ---- */
+        SELECTOR: '.post-content pre > code',
+        FEEDBACK_MS: 2000,
+
+        LANGUAGES,
+        ALIASES,
+
+        init() {
+            document.querySelectorAll(this.SELECTOR).forEach(code => {
+                if (code.closest('pre').hasAttribute('data-highlighted')) return;
+                this.enhance(code.closest('pre'), code);
+            });
+        },
+
+        /* "language-py" → "python" (null when not supported) */
+        languageOf(code) {
+            const match = (code.className || '').match(/\blanguage-([\w-]+)/);
+            if (!match) return { name: '', grammar: null };
+
+            const name = ALIASES[match[1]] || match[1];
+            return { name, grammar: LANGUAGES[name] || null, raw: match[1] };
+        },
+
+
+        /* ==========================================
+           TOKENIZING
+           ========================================== */
+
+        /* Source → [{ type, text }] (type null = plain text) */
+        tokenize(source, grammar) {
+            const tokens = [];
+            const rules = (grammar || []).map(rule => ({
+                type: rule.type,
+                regex: new RegExp(rule.pattern.source, rule.pattern.flags.replace(/[gy]/g, '') + 'y')
+            }));
+
+            let plain = '';
+            let pos = 0;
+
+            while (pos < source.length) {
+                let matched = null;
+
+                for (const rule of rules) {
+                    rule.regex.lastIndex = pos;
+                    const match = rule.regex.exec(source);
+                    if (match && match[0].length > 0) {
+                        matched = { type: rule.type, text: match[0] };
+                        break;
+                    }
+                }
+
+                if (matched) {
+                    if (plain) tokens.push({ type: null, text: plain });
+                    plain = '';
+                    tokens.push(matched);
+                    pos += matched.text.length;
+                } else {
+                    plain += source[pos];
+                    pos++;
+                }
+            }
+
+            if (plain) tokens.push({ type: null, text: plain });
+            return tokens;
+        },
+
+        /*
+         * Tokens → one HTML string per line. Tokens spanning several
+         * lines (block comments, multi-line strings) are closed at the
+         * end of each line and re-opened on the next.
+         */
+        toLines(tokens) {
+            const lines = [''];
+
+            tokens.forEach(token => {
+                token.text.split('\n').forEach((part, i) => {
+                    if (i > 0) lines.push('');
+                    if (!part) return;
+                    const text = this.escapeHtml(part);
+                    lines[lines.length - 1] += token.type
+                        ? `<span class="token token--${token.type}">${text}</span>`
+                        : text;
+                });
+            });
+
+            /* A trailing newline isn't an extra empty line */
+            if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+            return lines;
+        },
+
+        /* "2,5-7" → Set {2, 5, 6, 7} */
+        parseLineRanges(spec) {
+            const lines = new Set();
+
+            String(spec || '').split(',').forEach(part => {
+                const [from, to] = part.split('-').map(n => parseInt(n, 10));
+                if (isNaN(from)) return;
+                for (let n = from; n <= (isNaN(to) ? from : to); n++) lines.add(n);
+            });
+
+            return lines;
+        },
+
+
+        /* ==========================================
+           RENDERING
+           ========================================== */
+
+        enhance(pre, code) {
+            const source = code.textContent;
+            const language = this.languageOf(code);
+            const highlighted = this.parseLineRanges(pre.getAttribute('data-line'));
+            const lines = this.toLines(this.tokenize(source, language.grammar));
+
+            code.innerHTML = lines.map((html, i) => {
+                const number = i + 1;
+                const modifier = highlighted.has(number) ? ' code-line--highlighted' : '';
+                return `<span class="code-line${modifier}" data-line-number="${number}">${html || '\n'}</span>`;
+            }).join('');
+
+            pre.classList.add('code-block__pre', 'line-numbers');
+            pre.setAttribute('data-highlighted', '');
+            pre.setAttribute('tabindex', '0');
+
+            this.wrap(pre, language, source);
+        },
+
+        /* <figure class="code-block"> + header (filename / language, Copy) */
+        wrap(pre, language, source) {
+            let figure = pre.parentElement.classList.contains('code-block') ? pre.parentElement : null;
+
+            if (!figure) {
+                figure = document.createElement('figure');
+                figure.className = 'code-block';
+                pre.before(figure);
+                figure.appendChild(pre);
+            }
+
+            const header = document.createElement('div');
+            header.className = 'code-block__header';
+
+            /* The filename caption (title="…") moves into the header */
+            const caption = figure.querySelector('.code-block__filename');
+            if (caption) header.appendChild(caption);
+
+            const label = LABELS[language.name] || language.raw || '';
+            if (label) {
+                const lang = document.createElement('span');
+                lang.className = 'code-block__lang';
+                lang.textContent = label;
+                header.appendChild(lang);
+            }
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'code-block__copy';
+            button.setAttribute('aria-label', 'Copy code to clipboard');
+            button.textContent = 'Copy';
+            button.addEventListener('click', () => this.copy(button, source));
+            header.appendChild(button);
+
+            figure.insertBefore(header, pre);
+        },
+
+
+        /* ==========================================
+           COPY TO CLIPBOARD
+           ========================================== */
+
+        async copy(button, text) {
+            let copied = false;
+
+            try {
+                await navigator.clipboard.writeText(text);
+                copied = true;
+            } catch (error) {
+                copied = this.copyFallback(text);
+            }
+
+            button.textContent = copied ? 'Copied!' : 'Copy failed';
+            button.classList.toggle('code-block__copy--done', copied);
+
+            clearTimeout(button._resetTimer);
+            button._resetTimer = setTimeout(() => {
+                button.textContent = 'Copy';
+                button.classList.remove('code-block__copy--done');
+            }, this.FEEDBACK_MS);
+        },
+
+        /* Older browsers / insecure contexts: select a hidden textarea */
+        copyFallback(text) {
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.setAttribute('readonly', '');
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+
+            let ok = false;
+            try {
+                ok = document.execCommand('copy');
+            } catch (error) {
+                ok = false;
+            }
+
+            textarea.remove();
+            return ok;
+        },
+
+        escapeHtml(str) {
+            return String(str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;');
+        }
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        CodeHighlight.init();
+    });
+
+    /* Posts rendered from markdown are added after load (see blog-post.js) */
+    document.addEventListener('post:rendered', () => {
+        CodeHighlight.init();
+    });
+
+    window.CodeHighlight = CodeHighlight;
+
+})();
@@ -16,6 +16,10 @@
  *
  * The search index is defined inline below.
  * Update it whenever you add new pages or content.
+ *
+ * Contact / resume entries take their link from
+ * data/settings.json (see settings.js) and are left out
+ * while that setting is empty.
  */
 
 ;(function () {
@@ -32,6 +36,8 @@
          *   - icon:  Emoji icon
          *   - category: Grouping label
          *   - keywords: Extra search terms (comma-separated)
+         *   - setting: (optional) key in data/settings.json that
+         *              provides the url instead
          */
         searchIndex: [
             /* Pages */
@@ -54,15 +60,26 @@
 
             /* Quick Actions */
             { title: 'Send Message',       desc: 'Open the contact form',               url: 'contact.html#contact-section',   icon: '✉️', category: 'Actions',  keywords: 'message, email, form, contact' },
-            { title: 'WhatsApp Chat',      desc: 'Chat with me on WhatsApp',            url: 'https://wa.me/1234567890',       icon: '💬', category: 'Actions',  keywords: 'whatsapp, chat, instant, message' },
-            { title: 'View Resume / CV',   desc: 'Download my resume',                  url: '#',                              icon: '📄', category: 'Actions',  keywords: 'resume, cv, download, hire' },
+            { title: 'Send Email',         desc: 'Write to me directly',                setting: 'email',                      icon: '📧', category: 'Actions',  keywords: 'email, mail, contact, hire' },
+            { title: 'WhatsApp Chat',      desc: 'Chat with me on WhatsApp',            setting: 'social.whatsapp',            icon: '💬', category: 'Actions',  keywords: 'whatsapp, chat, instant, message' },
+            { title: 'Telegram Chat',      desc: 'Message me on Telegram',              setting: 'social.telegram',            icon: '✈️', category: 'Actions',  keywords: 'telegram, chat, instant, message' },
+            { title: 'View Resume / CV',   desc: 'Download my resume',                  setting: 'resumeUrl',                  icon: '📄', category: 'Actions',  keywords: 'resume, cv, download, hire' },
         ],
 
         init() {
             this.createDOM();
             this.bindEvents();
             this.highlightedIndex = -1;
-            this.filteredItems = [...this.searchIndex];
+            this.filteredItems = this.getItems();
+        },
+
+        /* The index with settings-based links resolved (and left out until they have a value) */
+        getItems() {
+            return this.searchIndex
+                .filter(item => !item.setting || (window.Settings && Settings.has(item.setting)))
+                .map(item => item.setting
+                    ? Object.assign({}, item, { url: Settings.href(String(Settings.get(item.setting))) })
+                    : item);
         },
 
         createDOM() {
@@ -114,6 +131,11 @@
                 }
             });
 
+            /* Contact links arrive with data/settings.json */
+            document.addEventListener('settings:loaded', () => {
+                if (this.isOpen()) this.search(this.input.value);
+            });
+
             /* Close on overlay click */
             this.overlay.addEventListener('click', () => this.close());
 
@@ -190,10 +212,12 @@
         search(query) {
             const q = query.toLowerCase().trim();
 
+            const items = this.getItems();
+
             if (q === '') {
-                this.filteredItems = [...this.searchIndex];
+                this.filteredItems = items;
             } else {
-                this.filteredItems = this.searchIndex.filter(item => {
+                this.filteredItems = items.filter(item => {
                     const searchStr = (
                         item.title + ' ' +
                         item.desc + ' ' +
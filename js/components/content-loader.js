@@ -24,7 +24,7 @@
  * 4. Generate HTML cards from the data
  * 5. Replace skeletons with real content
  *
- * Supported values for data-content:
+ * Built-in values for data-content:
  * - "projects"      → loads data/projects.json
  * - "projects-featured" → loads only featured projects
  * - "services"      → loads data/services.json
@@ -32,28 +32,133 @@
  * - "testimonials-featured" → loads only featured testimonials
  * - "products"      → loads data/products.json
  * - "products-featured" → loads only featured products
+ * - "posts"         → loads data/posts.json (generated from blog/posts/*.md)
+ * - "posts-featured" → loads only featured posts
  *
  * Optional attributes:
  * - data-limit="3"  → only show first N items
+ * - data-where="category=telegram", data-sort="-price",
+ *   data-offset="3", data-page-size="6" (+ data-pagination="more")
+ *   → compose views without new code (see VIEWS below)
+ *   ("featured" types are the same as data-where="featured")
+ * - data-template="project-row" → render with that <template>
+ *   instead of the type's built-in cards
+ *
+ * New types (and alternate layouts) can be added without
+ * touching this file — see registerType() below, or declare a
+ * <template data-content-type="..."> in the page (see
+ * renderTemplate() for the binding attributes).
+ *
+ * Data files are cached across visits (IndexedDB) and revalidated
+ * with ETag / Last-Modified — see DATA FETCHING + CACHING below.
+ * This is the only cache that holds them: the service worker
+ * (sw.js) leaves data/ alone.
+ * ContentLoader.invalidate('projects') forgets a cached file.
+ *
+ * In dev mode (localhost or ?debug), records that don't match
+ * data/schemas/<source>.schema.json are skipped and logged —
+ * see DEV-MODE CHECKS below.
+ *
+ * When loading fails (see ERRORS below), network errors are
+ * retried automatically with exponential backoff; after that
+ * the container explains what went wrong (offline / server
+ * error / malformed JSON) with a Retry button that reloads just
+ * that container. If a saved copy exists it's shown instead,
+ * with a "Showing saved content" notice.
+ *
+ * After rendering, a "content:loaded" event is dispatched on the
+ * container (it bubbles), so components that work on the rendered
+ * cards (FilterGrid, BlogSearch) can pick them up. When a load
+ * fails, "content:error" is dispatched the same way.
+ *
+ * Containers can also be filled at build time
+ * (scripts/build-pages.js), so crawlers and visitors without
+ * JavaScript see the cards instead of skeletons. Those are
+ * hydrated, not re-rendered — see PRERENDERED CONTENT below.
  */
 
 ;(function () {
     'use strict';
 
+    const isNode = typeof module !== 'undefined' && module.exports;
+
+    /* Display currency (currency.js) — optional; prices fall back to "$299" without it */
+    const Currency = isNode ? require('./currency.js') : window.Currency;
+
+    /* Blog helpers (posts.js) — loaded before this file on pages that list posts */
+    const Posts = isNode ? require('./posts.js') : window.Posts;
+
     const ContentLoader = {
 
         /* ---- Cache fetched data to avoid re-fetching ---- */
         cache: {},
 
+        /* ---- Requests in flight, shared by every caller ---- */
+        pending: {},
+
+        /*
+         * ---- Persistent cache (IndexedDB) ----
+         * Data younger than CACHE_MAX_AGE is used without a request;
+         * older data still renders instantly, then gets revalidated.
+         * Set ContentLoader.CACHE_MAX_AGE before DOMContentLoaded
+         * to change it (0 = always revalidate).
+         */
+        CACHE_MAX_AGE: 5 * 60 * 1000,
+        DB_NAME: 'content-loader',
+        DB_STORE: 'data',
+
+        /*
+         * ---- Retries ----
+         * Network errors (and 5xx responses) are retried
+         * RETRY_ATTEMPTS times, waiting RETRY_DELAY, then twice
+         * as long each time (1s, 2s, 4s).
+         */
+        RETRY_ATTEMPTS: 3,
+        RETRY_DELAY: 1000,
+
+        /* ---- Sources shown from a saved copy: { storedAt, reason } ---- */
+        stale: {},
+
+        /*
+         * ---- Dev-mode data checks ----
+         * On localhost (or with ?debug in the URL) every record is
+         * checked against data/schemas/<source>.schema.json first;
+         * invalid ones are skipped and logged (see DEV-MODE CHECKS).
+         * true / false forces it on or off; null = decide by URL.
+         */
+        DEV_MODE: null,
+        SCHEMA_DIR: 'data/schemas/',
+        VALIDATOR_SRC: 'js/components/schema.js',
+
         /* ---- Data file paths ---- */
         paths: {
             projects:     'data/projects.json',
             services:     'data/services.json',
             testimonials: 'data/testimonials.json',
-            products:     'data/products.json'
+            products:     'data/products.json',
+            coupons:      'data/coupons.json',
+            currencies:   'data/currencies.json',
+            tax:          'data/tax.json',
+            posts:        'data/posts.json',
+            settings:     'data/settings.json'
         },
 
+        /* ---- Registered content types (see registerType) ---- */
+        types: {},
+
+        /* ---- Set on containers filled at build time (see PRERENDERED CONTENT) ---- */
+        PRERENDERED_ATTR: 'data-content-prerendered',
+
         init() {
+            /* Renderers declared in the HTML as <template data-content-type="..."> */
+            document.querySelectorAll('template[data-content-type]').forEach(template => {
+                this.registerTemplate(template);
+            });
+
+            /* Back online — reload whatever failed or couldn't be checked */
+            window.addEventListener('online', () => this.retryAll());
+
+            this.ready = true;
             this.containers = document.querySelectorAll('[data-content]');
             if (this.containers.length === 0) return;
 
@@ -62,117 +167,767 @@
             });
         },
 
+
+        /* ==========================================
+           CONTENT TYPE REGISTRY
+           ==========================================
+           A content type is everything loadContent needs
+           for one data-content value:
+
+           ContentLoader.registerType('projects-web', {
+               source:   'projects',             → key in paths / the JSON file
+               path:     'data/projects.json',   (only for a new source)
+               filter:   project => project.category === 'web',
+               sort:     'order',                (default data-sort)
+               render:   (items, container) => '<article>…',
+               skeleton: { count: 3, className: 'skeleton-card' }
+           });
+
+           - source defaults to the type name; the items are
+             data[source] (or the whole file if it's an array)
+           - render gets the items to show — already filtered,
+             sorted and paged — with ContentLoader as `this`
+           - skeleton is optional (defaults to 3 plain cards), or
+             a function (container) → HTML
+           ========================================== */
+
+        registerType(name, definition) {
+            if (!name || !definition || typeof definition.render !== 'function') {
+                throw new Error('ContentLoader.registerType: "' + name + '" needs a render function');
+            }
+
+            const type = Object.assign({ source: name }, definition);
+            if (type.path) this.paths[type.source] = type.path;
+            this.types[name] = type;
+
+            /* Registered after the page loaded — fill any containers still waiting for it */
+            if (this.ready) {
+                document.querySelectorAll('[data-content]').forEach(container => {
+                    if (container.getAttribute('data-content') === name && !container.hasAttribute('data-content-loaded')) {
+                        this.loadContent(container);
+                    }
+                });
+            }
+            return type;
+        },
+
+        /*
+         * <template data-content-type="project-list" data-source="projects"
+         *           data-empty="No projects yet.">
+         *     <li data-animation="fade-in-up">
+         *         <a data-field="title" data-attr="href: liveUrl"></a>
+         *         <span data-if="featured">★</span>
+         *         <span class="tag" data-list="technologies"></span>
+         *     </li>
+         * </template>
+         */
+        registerTemplate(template) {
+            const name = template.getAttribute('data-content-type');
+            const source = template.getAttribute('data-source') || name;
+
+            /* Same loading placeholders as the built-in type for that data */
+            const base = this.types[source];
+
+            return this.registerType(name, {
+                source,
+                skeleton: base ? base.skeleton : null,
+                sort: base ? base.sort : null,
+                render: (items) => this.renderTemplate(template, items)
+            });
+        },
+
         /*
          * Determine what to load based on the data-content value,
          * then fetch the data and render it.
          */
         async loadContent(container) {
             const contentType = container.getAttribute('data-content');
-            const limit = parseInt(container.getAttribute('data-limit')) || null;
+            const type = this.types[contentType];
+
+            if (!type) {
+                console.warn('ContentLoader: Unknown content type:', contentType);
+                return;
+            }
+
+            /* Built into the page already — keep it on screen while checking the data */
+            const prerendered = container.getAttribute(this.PRERENDERED_ATTR);
+            container.removeAttribute(this.PRERENDERED_ATTR);
 
             /* Show skeleton loading state */
-            this.showSkeletons(container, contentType);
+            container.removeAttribute('data-content-error');
+            if (!prerendered) this.showSkeletons(container, contentType);
 
             try {
-                let data;
-                let html;
-
-                switch (contentType) {
-                    case 'projects':
-                        data = await this.fetchData('projects');
-                        html = this.renderProjects(data.projects, limit);
-                        break;
-
-                    case 'projects-featured':
-                        data = await this.fetchData('projects');
-                        const featuredProjects = data.projects.filter(p => p.featured);
-                        html = this.renderProjects(featuredProjects, limit);
-                        break;
-
-                    case 'services':
-                        data = await this.fetchData('services');
-                        html = this.renderServices(data.services, limit);
-                        break;
-
-                    case 'testimonials':
-                        data = await this.fetchData('testimonials');
-                        html = this.renderTestimonials(data.testimonials, limit);
-                        break;
-
-                    case 'testimonials-featured':
-                        data = await this.fetchData('testimonials');
-                        const featuredTestimonials = data.testimonials.filter(t => t.featured);
-                        html = this.renderTestimonials(featuredTestimonials, limit);
-                        break;
-
-                    case 'products':
-                        data = await this.fetchData('products');
-                        html = this.renderProducts(data.products, limit);
-                        break;
-
-                    case 'products-featured':
-                        data = await this.fetchData('products');
-                        const featuredProducts = data.products.filter(p => p.featured);
-                        html = this.renderProducts(featuredProducts, limit);
-                        break;
-
-                    default:
-                        console.warn('ContentLoader: Unknown content type:', contentType);
-                        return;
-                }
-
-                /* Replace skeletons with real content */
-                container.innerHTML = html;
+                const view = this.createView(container, type, await this.getItems(type));
+                this.views.set(container, view);
 
-                /* Re-trigger scroll animations on new elements */
-                this.triggerAnimations(container);
+                if (prerendered && prerendered === this.signature(this.pageItems(view))) {
+                    this.hydrate(view);
+                } else {
+                    this.renderView(view);
+                }
+                container.setAttribute('data-content-loaded', '');
 
             } catch (error) {
+                if (prerendered) {
+                    /* The build-time cards beat an error message */
+                    console.warn('ContentLoader: Keeping prerendered', contentType, error);
+                    this.dispatchError(container, error, true);
+                    return;
+                }
                 console.error('ContentLoader: Failed to load', contentType, error);
-                this.showError(container, contentType);
+                this.showError(container, contentType, error);
+            }
+        },
+
+        /* The (filtered) records of a content type */
+        async getItems(type) {
+            let items = this.itemsOf(type, await this.fetchData(type.source));
+
+            if (this.isDevMode()) {
+                items = await this.validRecords(type.source, items);
+            }
+            return type.filter ? items.filter(type.filter) : items;
+        },
+
+        /* A data file's records: data[source], or the whole file if it's an array */
+        itemsOf(type, data) {
+            return Array.isArray(data) ? data : (data[type.source] || []);
+        },
+
+
+        /* ==========================================
+           VIEWS — WHERE / SORT / OFFSET / PAGES
+           ==========================================
+           Attributes on a data-content container:
+
+           data-where="category=telegram"   → only matching items
+               field=a|b   equals any (arrays: contains any)
+               field!=a    doesn't equal
+               field~text  contains (case-insensitive)
+               field>10    also <, >=, <= (numbers or dates)
+               featured    truthy     !featured  falsy
+               (separate conditions with commas — all must match;
+               a value containing , | or \ escapes them with a
+               backslash: tags=c\,d — see whereValue())
+           data-sort="-price,title"          → "-" = descending
+           data-offset="3"                   → skip the first N
+           data-limit="6"                    → at most N in total
+           data-page-size="6"                → N per page, with
+           data-pagination="pages" | "more"    page buttons or a
+                         | "links"             "Load more" button —
+                                               or page links
+                                               (?page=2, crawlable;
+                                               the page comes from
+                                               the URL)
+
+           Every (re-)render dispatches "content:loaded"
+           (detail: { type, page, pageCount, total, cached }
+           — cached = rendered from a saved copy that couldn't
+           be updated).
+           ========================================== */
+
+        /* Rendering state of each container */
+        views: new WeakMap(),
+
+        createView(container, type, items) {
+            const where = this.parseWhere(container.getAttribute('data-where'));
+            const sortSpec = container.getAttribute('data-sort') || type.sort;
+            const offset = Math.max(0, parseInt(container.getAttribute('data-offset')) || 0);
+            const limit = parseInt(container.getAttribute('data-limit')) || null;
+
+            let selected = items.filter(item => where.every(test => test(item)));
+            if (sortSpec) selected = this.sortItems(selected, sortSpec);
+            selected = selected.slice(offset, limit ? offset + limit : undefined);
+
+            const mode = container.getAttribute('data-pagination');
+            const view = {
+                container,
+                type,
+                items: selected,
+                template: this.getTemplate(container),
+                pageSize: parseInt(container.getAttribute('data-page-size')) || null,
+                mode: mode === 'more' || mode === 'links' ? mode : 'pages',
+                page: 1,
+                shown: 0
+            };
+
+            if (view.mode === 'links') {
+                view.page = Math.min(this.urlPage(), this.pageCount(view));
+            }
+            return view;
+        },
+
+        /* ?page=2 → 2 (1 in Node, or without the parameter) */
+        urlPage() {
+            if (typeof window === 'undefined' || !window.location) return 1;
+            return Math.max(1, parseInt(new URLSearchParams(window.location.search).get('page')) || 1);
+        },
+
+        /* This page's URL with ?page=N (page 1 without it) */
+        pageUrl(page) {
+            const params = new URLSearchParams(window.location.search);
+            if (page > 1) {
+                params.set('page', page);
+            } else {
+                params.delete('page');
+            }
+            const query = params.toString();
+            return query ? '?' + query : window.location.pathname;
+        },
+
+        render(view, items) {
+            return view.template
+                ? this.renderTemplate(view.template, items)
+                : view.type.render.call(this, items, view.container);
+        },
+
+        /* Show the view's current page (or, for "Load more", its first page) */
+        renderView(view) {
+            /* Replace skeletons with real content */
+            view.container.innerHTML = this.render(view, this.pageItems(view));
+            this.hydrate(view);
+        },
+
+        /* Wire up the cards in the container — just rendered, or prerendered */
+        hydrate(view) {
+            const start = view.pageSize ? (view.page - 1) * view.pageSize : 0;
+            view.shown = start + this.pageItems(view).length;
+
+            /* Re-trigger scroll animations on new elements */
+            this.triggerAnimations(view.container);
+            this.renderPager(view);
+            this.renderNotice(view);
+            this.dispatchLoaded(view);
+        },
+
+        /* Items on the view's current page */
+        pageItems(view) {
+            if (!view.pageSize) return view.items;
+            const start = (view.page - 1) * view.pageSize;
+            return view.items.slice(start, start + view.pageSize);
+        },
+
+        /* "Load more" — append the next page below the current items */
+        loadMore(view) {
+            const nextItems = view.items.slice(view.shown, view.shown + view.pageSize);
+            if (nextItems.length === 0) return;
+
+            const fragment = document.createRange().createContextualFragment(this.render(view, nextItems));
+            this.triggerAnimations(fragment);
+            view.container.appendChild(fragment);
+
+            view.shown += nextItems.length;
+            view.page++;
+            this.renderPager(view);
+            this.dispatchLoaded(view);
+        },
+
+        goToPage(view, page) {
+            view.page = page;
+            this.renderView(view);
+            view.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        },
+
+        /* Let other components know new cards are in the DOM */
+        dispatchLoaded(view) {
+            view.container.dispatchEvent(new CustomEvent('content:loaded', {
+                bubbles: true,
+                detail: {
+                    type: view.container.getAttribute('data-content'),
+                    page: view.page,
+                    pageCount: this.pageCount(view),
+                    total: view.items.length,
+                    cached: Boolean(this.stale[view.type.source])
+                }
+            }));
+        },
+
+        pageCount(view) {
+            return view.pageSize ? Math.max(1, Math.ceil(view.items.length / view.pageSize)) : 1;
+        },
+
+        /* Page buttons / "Load more", right after the container */
+        renderPager(view) {
+            const pageCount = this.pageCount(view);
+
+            if (!view.pager) {
+                if (pageCount < 2) return;
+                view.pager = document.createElement(view.mode === 'more' ? 'div' : 'nav');
+                view.pager.className = view.mode === 'more' ? 'content-more' : 'pagination';
+                if (view.mode !== 'more') view.pager.setAttribute('aria-label', 'Pages');
+                view.pager.addEventListener('click', (e) => {
+                    const button = e.target.closest('button');
+                    if (!button || button.disabled) return;
+                    if (view.mode === 'more') {
+                        this.loadMore(view);
+                    } else {
+                        this.goToPage(view, parseInt(button.getAttribute('data-page')));
+                    }
+                });
+                view.container.after(view.pager);
+            }
+
+            if (view.mode === 'more') {
+                const remaining = view.items.length - view.shown;
+                view.pager.hidden = remaining <= 0;
+                view.pager.innerHTML = `
+                    <button type="button" class="btn btn--outline content-more__btn"><span>Load more</span></button>
+                    <span class="content-more__count">Showing ${view.shown} of ${view.items.length}</span>`;
+                return;
+            }
+
+            if (view.mode === 'links') {
+                view.pager.innerHTML = this.renderPageLinks(view.page, pageCount);
+                view.pager.hidden = pageCount < 2;
+                return;
+            }
+
+            let html = view.page > 1
+                ? `<button type="button" class="pagination__link pagination__link--prev" data-page="${view.page - 1}">← Previous</button>`
+                : '';
+            for (let number = 1; number <= pageCount; number++) {
+                html += number === view.page
+                    ? `<span class="pagination__link pagination__link--current" aria-current="page">${number}</span>`
+                    : `<button type="button" class="pagination__link" data-page="${number}" aria-label="Page ${number}">${number}</button>`;
+            }
+            if (view.page < pageCount) {
+                html += `<button type="button" class="pagination__link pagination__link--next" data-page="${view.page + 1}">Next →</button>`;
+            }
+            view.pager.innerHTML = html;
+            view.pager.hidden = pageCount < 2;
+        },
+
+        /* ← Previous  1 2 3  Next → as plain links — one URL per page */
+        renderPageLinks(page, pageCount) {
+            const link = (target, label, rel) => {
+                const modifier = rel ? ` pagination__link--${rel}` : '';
+                return `<a class="pagination__link${modifier}" href="${this.escapeHtml(this.pageUrl(target))}"${rel ? ` rel="${rel}"` : ''}>${label}</a>`;
+            };
+
+            let html = page > 1 ? link(page - 1, '← Previous', 'prev') : '';
+            for (let number = 1; number <= pageCount; number++) {
+                html += number === page
+                    ? `<span class="pagination__link pagination__link--current" aria-current="page">${number}</span>`
+                    : link(number, number);
+            }
+            if (page < pageCount) html += link(page + 1, 'Next →', 'next');
+            return html;
+        },
+
+        /* "category=telegram, price<50" → [item => boolean, ...] */
+        parseWhere(expression) {
+            if (!expression) return [];
+
+            return this.splitWhere(expression, ',').map(part => part.trim()).filter(Boolean).map(condition => {
+                const match = condition.match(/^(!?)([\w.]+)\s*(?:(!=|>=|<=|=|>|<|~)\s*(.*))?$/);
+                if (!match) {
+                    console.warn('ContentLoader: Ignoring invalid data-where condition:', condition);
+                    return () => true;
+                }
+
+                const [, not, field, operator, raw] = match;
+                const value = (raw || '').trim();
+
+                if (!operator) {
+                    return item => Boolean(this.getField(item, field)) !== Boolean(not);
+                }
+
+                return item => this.matches(this.getField(item, field), operator, value);
+            });
+        },
+
+        matches(fieldValue, operator, value) {
+            const values = Array.isArray(fieldValue) ? fieldValue : [fieldValue];
+            const text = v => String(v === undefined || v === null ? '' : v).toLowerCase();
+
+            switch (operator) {
+                case '=': {
+                    const options = this.splitWhere(value, '|').map(option => text(this.unescapeWhere(option)));
+                    return values.some(v => options.includes(text(v)));
+                }
+                case '!=':
+                    return !this.matches(fieldValue, '=', value);
+                case '~':
+                    return values.some(v => text(v).includes(text(this.unescapeWhere(value))));
+                default: {
+                    const result = this.compare(fieldValue, this.unescapeWhere(value));
+                    if (result === null) return false;
+                    return operator === '>' ? result > 0
+                        : operator === '<' ? result < 0
+                        : operator === '>=' ? result >= 0
+                        : result <= 0;
+                }
             }
         },
 
         /*
-         * Fetch JSON data with caching.
-         * If we already fetched this file, return cached version.
+         * Split on the separators that aren't escaped — the escapes
+         * stay in the parts, so "a\|b,c" → ["a\|b", "c"] can still
+         * be split on "|" later (then unescapeWhere() each value).
          */
+        splitWhere(text, separator) {
+            const parts = [''];
+            for (let i = 0; i < text.length; i++) {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    parts[parts.length - 1] += text[i] + text[++i];
+                } else if (text[i] === separator) {
+                    parts.push('');
+                } else {
+                    parts[parts.length - 1] += text[i];
+                }
+            }
+            return parts;
+        },
+
+        unescapeWhere(value) {
+            return value.replace(/\\(.)/g, '$1');
+        },
+
+        /* Any text as a data-where value: whereValue('c,d') → "c\,d" */
+        whereValue(value) {
+            return String(value).replace(/[\\,|]/g, '\\$&');
+        },
+
+        /* Numbers numerically, everything else (dates too) as text; null = no value */
+        compare(a, b) {
+            if (a === undefined || a === null || a === '') return null;
+            if (b === undefined || b === null || b === '') return null;
+
+            const numA = Number(a);
+            const numB = Number(b);
+            if (!isNaN(numA) && !isNaN(numB)) return numA - numB;
+            return String(a).localeCompare(String(b));
+        },
+
+        /* "-price,title" — items without the field go last either way */
+        sortItems(items, spec) {
+            const keys = spec.split(',').map(key => key.trim()).filter(Boolean).map(key => ({
+                field: key.replace(/^[-+]/, ''),
+                direction: key.startsWith('-') ? -1 : 1
+            }));
+
+            return [...items].sort((a, b) => {
+                for (const { field, direction } of keys) {
+                    const valueA = this.getField(a, field);
+                    const valueB = this.getField(b, field);
+                    const missingA = valueA === undefined || valueA === null || valueA === '';
+                    const missingB = valueB === undefined || valueB === null || valueB === '';
+
+                    if (missingA || missingB) {
+                        if (missingA !== missingB) return missingA ? 1 : -1;
+                        continue;
+                    }
+
+                    const result = typeof valueA === 'boolean' || typeof valueB === 'boolean'
+                        ? Number(valueA) - Number(valueB)
+                        : this.compare(valueA, valueB);
+                    if (result) return result * direction;
+                }
+                return 0;
+            });
+        },
+
+        getTemplate(container) {
+            const id = container.getAttribute('data-template');
+            if (!id) return null;
+
+            const template = document.getElementById(id);
+            if (!template || template.tagName !== 'TEMPLATE') {
+                console.warn('ContentLoader: No <template> with id', id);
+                return null;
+            }
+            return template;
+        },
+
+        /* ==========================================
+           PRERENDERED CONTENT
+           ==========================================
+           scripts/build-pages.js runs the same renderers on
+           data/*.json at build time and writes the cards into
+           the page:
+
+           <div data-content="pricing"
+                data-content-prerendered="1x9k2f">…cards…</div>
+
+           The value is the signature() of the items it shows.
+           In the browser the data is still loaded as usual, then:
+           - same signature → hydrate: the HTML stays as it is;
+             animations, pager and "content:loaded" (so filters,
+             search, the cart, ... bind to it) run as if it had
+             just been rendered
+           - different (the data changed since the build)
+             → rendered again from the fresh data
+           - loading fails → the prerendered cards stay
+             ("content:error" with cached: true)
+
+           Containers with data-template, and types only
+           registered in the browser, aren't prerendered.
+           ========================================== */
+
+        /* Short hash of the items (FNV-1a) — the same in Node and the browser */
+        signature(items) {
+            const text = JSON.stringify(items);
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193) >>> 0;
+            }
+            return hash.toString(36);
+        },
+
+
+        /* ==========================================
+           DATA FETCHING + CACHING
+           ==========================================
+           fetchData(source) looks in, in order:
+           1. Memory   — already loaded on this page
+           2. In flight — another container asked first; share it
+           3. IndexedDB — kept across visits (keyed by path):
+              - fresh (< CACHE_MAX_AGE): used as is
+              - stale: returned right away AND revalidated in the
+                background (If-None-Match / If-Modified-Since);
+                if the file changed, every container showing it
+                is re-rendered in place
+           4. Network (retried on network errors — see ERRORS)
+
+           IndexedDB owns data files. Requests bypass the
+           service worker (sw.js skips data/) and go out with
+           cache: 'no-cache', so the browser's HTTP cache checks
+           with the server too — a revalidation always compares
+           against the file actually deployed.
+           ========================================== */
+
         async fetchData(type) {
             if (this.cache[type]) {
                 return this.cache[type];
             }
 
+            if (!this.pending[type]) {
+                this.pending[type] = this.loadData(type).finally(() => {
+                    delete this.pending[type];
+                });
+            }
+            return this.pending[type];
+        },
+
+        async loadData(type) {
             const path = this.paths[type];
             if (!path) {
                 throw new Error('No path configured for: ' + type);
             }
 
-            const response = await fetch(path);
+            const stored = await this.readStored(path);
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            if (stored) {
+                this.cache[type] = stored.data;
+
+                if (Date.now() - stored.storedAt >= this.CACHE_MAX_AGE) {
+                    this.revalidate(type, path, stored).catch(error => {
+                        console.warn('ContentLoader: Could not revalidate', path, error);
+                    });
+                }
+                return stored.data;
             }
 
-            const data = await response.json();
+            const data = await this.requestWithRetry(path, null);
             this.cache[type] = data;
             return data;
         },
 
+        /* request(), retried with exponential backoff while retrying can help */
+        async requestWithRetry(path, stored) {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await this.request(path, stored);
+                } catch (error) {
+                    if (attempt >= this.RETRY_ATTEMPTS || !this.isRetryable(error)) throw error;
+                    await this.wait(this.RETRY_DELAY * Math.pow(2, attempt));
+                }
+            }
+        },
+
+        /*
+         * Fetch a data file and store it. With a stored copy, the
+         * request is conditional — resolves to null on 304 Not Modified.
+         */
+        async request(path, stored) {
+            const headers = {};
+            if (stored && stored.etag) headers['If-None-Match'] = stored.etag;
+            if (stored && stored.lastModified) headers['If-Modified-Since'] = stored.lastModified;
+
+            let response;
+            try {
+                response = await fetch(path, { headers, cache: 'no-cache' });
+            } catch (error) {
+                throw this.loadError(navigator.onLine === false ? 'offline' : 'network', error.message);
+            }
+
+            if (response.status === 304) {
+                this.writeStored(path, Object.assign({}, stored, { storedAt: Date.now() }));
+                return null;
+            }
+
+            if (!response.ok) {
+                throw this.loadError('http', `HTTP ${response.status}: ${response.statusText}`, response.status);
+            }
+
+            let data;
+            try {
+                data = await response.json();
+            } catch (error) {
+                throw this.loadError('parse', `Malformed JSON in ${path}: ${error.message}`);
+            }
+            this.writeStored(path, {
+                data,
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified'),
+                storedAt: Date.now()
+            });
+            return data;
+        },
+
+        /*
+         * Background check of a stale copy — re-render if the file
+         * changed. If the check fails, the saved copy stays on screen
+         * with a "Showing saved content" notice.
+         */
+        async revalidate(type, path, stored) {
+            let data;
+            try {
+                data = await this.requestWithRetry(path, stored);
+            } catch (error) {
+                this.stale[type] = { storedAt: stored.storedAt, reason: error.reason, path, stored };
+                this.showStale(type, error);
+                throw error;
+            }
+
+            const wasStale = Boolean(this.stale[type]);
+            delete this.stale[type];
+
+            if (data === null || JSON.stringify(data) === JSON.stringify(stored.data)) {
+                if (wasStale) this.showStale(type, null);
+                return;
+            }
+
+            this.cache[type] = data;
+            await this.refresh(type);
+        },
+
+        /* Re-render every container showing this data, keeping its page */
+        async refresh(source) {
+            const containers = document.querySelectorAll('[data-content-loaded]');
+
+            for (const container of containers) {
+                const view = this.views.get(container);
+                if (!view || view.type.source !== source) continue;
+
+                const next = this.createView(container, view.type, await this.getItems(view.type));
+                next.pager = view.pager;
+                next.notice = view.notice;
+                next.page = Math.min(view.page, this.pageCount(next));
+                this.views.set(container, next);
+                this.renderView(next);
+            }
+        },
+
+        /*
+         * Forget the cached data for a content type ("projects-featured")
+         * or data source ("projects") — the next fetchData() goes to the
+         * network. No argument = forget everything.
+         */
+        async invalidate(type) {
+            const sources = type
+                ? [this.types[type] ? this.types[type].source : type]
+                : Object.keys(this.paths);
+
+            sources.forEach(source => {
+                delete this.cache[source];
+                delete this.pending[source];
+            });
+
+            await Promise.all(sources
+                .filter(source => this.paths[source])
+                .map(source => this.deleteStored(this.paths[source])));
+        },
+
+
+        /* ---- IndexedDB helpers (every failure = "nothing stored") ---- */
+
+        openDb() {
+            if (!this.dbPromise) {
+                this.dbPromise = new Promise((resolve) => {
+                    if (typeof indexedDB === 'undefined') {
+                        resolve(null);
+                        return;
+                    }
+
+                    try {
+                        const request = indexedDB.open(this.DB_NAME, 1);
+                        request.onupgradeneeded = () => request.result.createObjectStore(this.DB_STORE);
+                        request.onsuccess = () => resolve(request.result);
+                        request.onerror = () => resolve(null);
+                        request.onblocked = () => resolve(null);
+                    } catch (error) {
+                        /* e.g. private browsing with storage disabled */
+                        resolve(null);
+                    }
+                });
+            }
+            return this.dbPromise;
+        },
+
+        /* Run one request against the store; resolves to its result (or null) */
+        async withStore(mode, operation) {
+            const db = await this.openDb();
+            if (!db) return null;
+
+            return new Promise((resolve) => {
+                try {
+                    const request = operation(db.transaction(this.DB_STORE, mode).objectStore(this.DB_STORE));
+                    request.onsuccess = () => resolve(request.result === undefined ? null : request.result);
+                    request.onerror = () => resolve(null);
+                } catch (error) {
+                    resolve(null);
+                }
+            });
+        },
+
+        readStored(path) {
+            return this.withStore('readonly', store => store.get(path));
+        },
+
+        writeStored(path, record) {
+            return this.withStore('readwrite', store => store.put(record, path));
+        },
+
+        deleteStored(path) {
+            return this.withStore('readwrite', store => store.delete(path));
+        },
+
 
         /* ==========================================
            SKELETON LOADERS
            ========================================== */
 
-        showSkeletons(container, type) {
-            let count = 3;
-            let skeletonClass = 'skeleton-card';
+        /*
+         * Placeholders while the data loads, shaped by the type's
+         * skeleton option: { count, className, extra } or a
+         * function (container) → HTML.
+         */
+        showSkeletons(container, contentType) {
+            const type = this.types[contentType] || {};
+            const skeleton = type.skeleton || {};
 
-            if (type.includes('testimonials')) {
-                skeletonClass = 'skeleton-testimonial';
-            } else if (type.includes('services')) {
-                skeletonClass = 'skeleton-service';
+            if (typeof skeleton === 'function') {
+                container.innerHTML = skeleton.call(this, container);
+                return;
             }
 
+            const count = skeleton.count || 3;
+            const skeletonClass = skeleton.className || 'skeleton-card';
+            const extraLines = skeleton.extra || '';
+
             let skeletons = '';
             for (let i = 0; i < count; i++) {
                 skeletons += `<div class="${skeletonClass}" aria-hidden="true">
@@ -181,6 +936,7 @@
                         <div class="skeleton-line skeleton-line--short skeleton-shimmer"></div>
                         <div class="skeleton-line skeleton-shimmer"></div>
                         <div class="skeleton-line skeleton-line--medium skeleton-shimmer"></div>
+                        ${extraLines}
                     </div>
                 </div>`;
             }
@@ -191,21 +947,18 @@
         /* ==========================================
            RENDER FUNCTIONS
            ==========================================
-           Each function takes an array of data objects
-           and returns an HTML string.
+           Each function takes the items to show (already
+           filtered, sorted and paged by the view) and
+           returns an HTML string.
            ========================================== */
 
         /* ---- Projects ---- */
-        renderProjects(projects, limit) {
+        renderProjects(projects) {
             if (!projects || projects.length === 0) {
                 return '<p class="content-empty">No projects to display yet.</p>';
             }
 
-            /* Sort by order field */
-            const sorted = [...projects].sort((a, b) => (a.order || 99) - (b.order || 99));
-            const items = limit ? sorted.slice(0, limit) : sorted;
-
-            return items.map((project, index) => {
+            return projects.map((project, index) => {
                 const techTags = (project.technologies || [])
                     .map(tech => `<span class="card__tech-tag">${this.escapeHtml(tech)}</span>`)
                     .join('');
@@ -248,15 +1001,12 @@
         },
 
         /* ---- Services ---- */
-        renderServices(services, limit) {
+        renderServices(services) {
             if (!services || services.length === 0) {
                 return '<p class="content-empty">No services listed yet.</p>';
             }
 
-            const sorted = [...services].sort((a, b) => (a.order || 99) - (b.order || 99));
-            const items = limit ? sorted.slice(0, limit) : sorted;
-
-            return items.map((service, index) => {
+            return services.map((service, index) => {
                 const featureList = (service.features || [])
                     .slice(0, 6)
                     .map(f => `<li class="service-card__feature">
@@ -265,10 +1015,14 @@
                     </li>`)
                     .join('');
 
+                /* Cheapest tier with a price — or "Contact for quote" if every tier is custom */
+                const startingAt = this.startingPrice(service);
                 const pricingHtml = (service.pricing && service.pricing.length > 0)
                     ? `<div class="service-card__pricing">
-                         <span class="service-card__price-label">Starting at</span>
-                         <span class="service-card__price">$${this.escapeHtml(service.pricing[0].price)}</span>
+                         <span class="service-card__price-label">${startingAt === null ? 'Pricing' : 'Starting at'}</span>
+                         ${startingAt === null
+                             ? '<span class="service-card__price">Contact for quote</span>'
+                             : `<span class="service-card__price" ${this.priceAttributes(startingAt)}>${this.formatPrice(startingAt)}</span>`}
                        </div>`
                     : '';
 
@@ -287,15 +1041,14 @@
         },
 
         /* ---- Testimonials ---- */
-        renderTestimonials(testimonials, limit) {
+        renderTestimonials(testimonials) {
             if (!testimonials || testimonials.length === 0) {
                 return '<p class="content-empty">No testimonials yet.</p>';
             }
 
-            const items = limit ? testimonials.slice(0, limit) : testimonials;
-
-            return items.map((testimonial, index) => {
-                const stars = '★'.repeat(testimonial.rating || 5) + '☆'.repeat(5 - (testimonial.rating || 5));
+            return testimonials.map((testimonial, index) => {
+                const rating = this.starRating(testimonial.rating);
+                const stars = '★'.repeat(rating) + '☆'.repeat(5 - rating);
 
                 const avatarHtml = testimonial.avatar
                     ? `<img src="${this.escapeHtml(testimonial.avatar)}" alt="${this.escapeHtml(testimonial.name)}" loading="lazy">`
@@ -303,7 +1056,7 @@
 
                 return `
                 <div class="testimonial-card" data-animation="fade-in-up" data-delay="${index * 100}">
-                    <div class="testimonial-card__stars" aria-label="${testimonial.rating} out of 5 stars">${stars}</div>
+                    <div class="testimonial-card__stars" role="img" aria-label="${rating} out of 5 stars">${stars}</div>
                     <blockquote class="testimonial-card__text">
                         <p>"${this.escapeHtml(testimonial.text)}"</p>
                     </blockquote>
@@ -318,16 +1071,47 @@
             }).join('');
         },
 
+        /* ---- Rating summary (average + one bar per star count) ---- */
+        renderRatingSummary(testimonials) {
+            /* Rated ones only, like the AggregateRating (structured-data.js) */
+            const ratings = (testimonials || [])
+                .filter(testimonial => Number(testimonial.rating) > 0)
+                .map(testimonial => this.starRating(testimonial.rating));
+
+            if (ratings.length === 0) {
+                return '<p class="content-empty">No ratings yet.</p>';
+            }
+
+            const average = ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+            const star = '<polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>';
+
+            const stars = [1, 2, 3, 4, 5].map(n => n <= Math.round(average)
+                ? `<svg class="rating-summary__star" viewBox="0 0 24 24" fill="currentColor">${star}</svg>`
+                : `<svg class="rating-summary__star rating-summary__star--empty" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${star}</svg>`
+            ).join('');
+
+            const bars = [5, 4, 3, 2, 1].map(n => {
+                const count = ratings.filter(rating => rating === n).length;
+                const percent = Math.round(count / ratings.length * 100);
+                return `<div class="rating-bar"><span class="rating-bar__label">${n} <svg viewBox="0 0 24 24" fill="currentColor">${star}</svg></span><div class="rating-bar__track"><div class="rating-bar__fill" style="width: ${percent}%;"></div></div><span class="rating-bar__count">${count}</span></div>`;
+            }).join('');
+
+            return `
+                <div class="rating-summary__score">
+                    <div class="rating-summary__number">${average.toFixed(1)}</div>
+                    <div class="rating-summary__stars" role="img" aria-label="${average.toFixed(1)} out of 5 stars">${stars}</div>
+                    <div class="rating-summary__count">Based on ${ratings.length} review${ratings.length === 1 ? '' : 's'}</div>
+                </div>
+                <div class="rating-bars">${bars}</div>`;
+        },
+
         /* ---- Products ---- */
-        renderProducts(products, limit) {
+        renderProducts(products) {
             if (!products || products.length === 0) {
                 return '<p class="content-empty">No products available yet.</p>';
             }
 
-            const sorted = [...products].sort((a, b) => (a.order || 99) - (b.order || 99));
-            const items = limit ? sorted.slice(0, limit) : sorted;
-
-            return items.map((product, index) => {
+            return products.map((product, index) => {
                 const featureList = (product.features || [])
                     .slice(0, 5)
                     .map(f => `<li class="product-card__feature">
@@ -337,7 +1121,7 @@
                     .join('');
 
                 const originalPriceHtml = product.originalPrice
-                    ? `<span class="product-card__original-price">$${product.originalPrice}</span>`
+                    ? `<span class="product-card__original-price" ${this.priceAttributes(product.originalPrice)}>${this.formatPrice(product.originalPrice)}</span>`
                     : '';
 
                 const imageHtml = product.image
@@ -345,11 +1129,7 @@
                     : `<svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1"><rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect><line x1="8" y1="21" x2="16" y2="21"></line><line x1="12" y1="17" x2="12" y2="21"></line></svg>`;
 
                 return `
-                <div class="product-card" data-animation="fade-in-up" data-delay="${index * 100}"
-                     data-product-id="${this.escapeHtml(product.id)}"
-                     data-product-title="${this.escapeHtml(product.title)}"
-                     data-product-price="${product.price}"
-                     data-product-image="${this.escapeHtml(product.image || '')}">
+                <div class="product-card" data-category="${this.escapeHtml(product.category || 'other')}" data-animation="fade-in-up" data-delay="${index * 100}">
                     <div class="product-card__image">${imageHtml}</div>
                     <div class="product-card__body">
                         <span class="product-card__category">${this.escapeHtml(product.category)}</span>
@@ -357,10 +1137,16 @@
                         <p class="product-card__description">${this.escapeHtml(product.description)}</p>
                         <ul class="product-card__features">${featureList}</ul>
                         <div class="product-card__pricing">
-                            <span class="product-card__price">$${product.price}</span>
+                            <span class="product-card__price" ${this.priceAttributes(product.price)}>${this.formatPrice(product.price)}</span>
                             ${originalPriceHtml}
                         </div>
-                        <button class="btn btn--primary btn--sm product-card__add-to-cart" aria-label="Add ${this.escapeHtml(product.title)} to cart">
+                        <button class="btn btn--primary btn--sm product-card__add-to-cart" aria-label="Add ${this.escapeHtml(product.title)} to cart"
+                                data-add-to-cart
+                                data-product-id="${this.escapeHtml(product.id)}"
+                                data-product-name="${this.escapeHtml(product.title)}"
+                                data-product-price="${product.price}"
+                                data-product-image="${this.escapeHtml(product.image || '')}"
+                                data-product-category="${this.escapeHtml(product.category || '')}">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="9" cy="21" r="1"></circle><circle cx="20" cy="21" r="1"></circle><path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"></path></svg>
                             <span>Add to Cart</span>
                         </button>
@@ -370,18 +1156,398 @@
         },
 
 
+        /* ---- Blog Posts ---- */
+        renderPosts(posts) {
+            if (!posts || posts.length === 0) {
+                return '<p class="content-empty">No articles published yet.</p>';
+            }
+
+            return posts.map((post, index) => {
+                const tags = post.tags || [];
+                const category = post.category || '';
+                const categoryLabel = Posts ? Posts.categoryLabel(category) : category;
+                const url = post.url || `blog-post.html?slug=${encodeURIComponent(post.slug)}`;
+
+                /* Only the first (newest) featured post gets the wide layout */
+                const isWide = index === 0 && post.featured;
+                const headingTag = isWide ? 'h2' : 'h3';
+
+                /* What BlogSearch matches against */
+                const searchable = [post.title, post.description, category, ...tags].join(' ').toLowerCase();
+
+                const imageHtml = post.thumbnail
+                    ? `<img src="${this.escapeHtml(post.thumbnail)}" alt="${this.escapeHtml(post.title)}" loading="lazy">`
+                    : `<svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1"><rect x="3" y="3" width="18" height="18" rx="2"></rect><circle cx="8.5" cy="8.5" r="1.5"></circle><polyline points="21 15 16 10 5 21"></polyline></svg>`;
+
+                /* Each tag links to its archive (blog.html?tag=python) */
+                const tagsHtml = tags.length > 0
+                    ? `<div class="blog-post-card__tags">${tags.map(tag => `<a class="blog-post-card__tag" href="blog.html?tag=${encodeURIComponent(tag)}">${this.escapeHtml(tag)}</a>`).join('')}</div>`
+                    : '';
+
+                return `
+                <article class="card card--blog${isWide ? ' blog-post-card--featured' : ''}"
+                         data-searchable="${this.escapeHtml(searchable)}"
+                         data-slug="${this.escapeHtml(post.slug)}"
+                         data-category="${this.escapeHtml(category)}"
+                         data-animation="fade-in-up" data-delay="${(index % 3) * 100}">
+                    <div class="card__image-wrapper">
+                        <div class="card__image-placeholder">${imageHtml}</div>
+                        <span class="card__category-badge">${this.escapeHtml(categoryLabel)}</span>
+                    </div>
+                    <div class="card__body">
+                        <div class="card__meta">
+                            <time datetime="${this.escapeHtml(post.date)}">${this.formatDate(post.date)}</time>
+                            <span class="card__meta-divider">·</span>
+                            <span>${this.escapeHtml(post.readingTime || '')} read</span>
+                        </div>
+                        <${headingTag} class="card__title">
+                            <a href="${this.escapeHtml(url)}">${this.escapeHtml(post.title)}</a>
+                        </${headingTag}>
+                        <p class="card__description">${this.escapeHtml(post.description)}</p>
+                        ${tagsHtml}
+                    </div>
+                </article>`;
+            }).join('');
+        },
+
+
+        /* ==========================================
+           <template> RENDERER
+           ==========================================
+           One clone of the template per item. Bindings
+           (all relative to the item, "a.b.0" for nested values):
+
+           data-field="title"              → text content
+           data-attr="href: url, src: image" → attributes
+           data-if="featured"              → element removed when empty
+           data-list="tags"                → element repeated per value
+
+           Values are set as text / attribute values, so
+           they never need escaping.
+           ========================================== */
+
+        renderTemplate(template, items) {
+            if (items.length === 0) {
+                const empty = template.getAttribute('data-empty') || 'Nothing to display yet.';
+                return `<p class="content-empty">${this.escapeHtml(empty)}</p>`;
+            }
+
+            const wrapper = document.createElement('div');
+            items.forEach((item, index) => {
+                const fragment = template.content.cloneNode(true);
+                this.fillTemplate(fragment, item);
+
+                /* Stagger the entrance animation like the built-in cards */
+                Array.from(fragment.children).forEach(el => {
+                    if (el.hasAttribute('data-animation') && !el.hasAttribute('data-delay')) {
+                        el.setAttribute('data-delay', (index % 3) * 100);
+                    }
+                });
+
+                wrapper.appendChild(fragment);
+            });
+            return wrapper.innerHTML;
+        },
+
+        fillTemplate(root, item) {
+            root.querySelectorAll('[data-if]').forEach(el => {
+                const value = this.getField(item, el.getAttribute('data-if'));
+                const empty = value === undefined || value === null || value === false || value === '' ||
+                    (Array.isArray(value) && value.length === 0);
+                if (empty) {
+                    el.remove();
+                } else {
+                    el.removeAttribute('data-if');
+                }
+            });
+
+            root.querySelectorAll('[data-list]').forEach(el => {
+                const values = this.getField(item, el.getAttribute('data-list'));
+                el.removeAttribute('data-list');
+                (Array.isArray(values) ? values : []).forEach(value => {
+                    const clone = el.cloneNode(true);
+                    clone.textContent = value;
+                    el.before(clone);
+                });
+                el.remove();
+            });
+
+            root.querySelectorAll('[data-field]').forEach(el => {
+                const value = this.getField(item, el.getAttribute('data-field'));
+                el.textContent = value === undefined || value === null ? '' : value;
+                el.removeAttribute('data-field');
+            });
+
+            root.querySelectorAll('[data-attr]').forEach(el => {
+                el.getAttribute('data-attr').split(',').forEach(binding => {
+                    const [attr, field] = binding.split(':').map(part => part.trim());
+                    const value = this.getField(item, field);
+                    if (!attr || value === undefined || value === null) return;
+
+                    /* No script URLs from data files */
+                    if (/^(href|src|action)$/i.test(attr) && /^\s*javascript:/i.test(value)) return;
+                    el.setAttribute(attr, value);
+                });
+                el.removeAttribute('data-attr');
+            });
+        },
+
+        /* getField(project, 'pricing.0.price') */
+        getField(item, path) {
+            return String(path || '').split('.').reduce((value, key) => {
+                return value === undefined || value === null ? undefined : value[key];
+            }, item);
+        },
+
+
         /* ==========================================
            ERROR / FALLBACK
            ========================================== */
-        showError(container, contentType) {
+        showError(container, contentType, error) {
+            const reason = (error && error.reason) || 'network';
+
+            container.setAttribute('data-content-error', reason);
             container.innerHTML = `
-                <div class="content-error">
-                    <span class="content-error__icon">⚠️</span>
-                    <p class="content-error__text">Unable to load ${contentType.replace(/-/g, ' ')}. Please try refreshing the page.</p>
-                    <button class="btn btn--outline btn--sm content-error__retry" onclick="location.reload()">
+                <div class="content-error" role="alert">
+                    <span class="content-error__icon">${reason === 'offline' ? '📡' : '⚠️'}</span>
+                    <p class="content-error__text">${this.errorMessage(contentType, error)}</p>
+                    <button type="button" class="btn btn--outline btn--sm content-error__retry">
                         <span>Retry</span>
                     </button>
                 </div>`;
+
+            /* Reload just this container — not the whole page */
+            container.querySelector('.content-error__retry').addEventListener('click', () => {
+                this.loadContent(container);
+            });
+
+            this.dispatchError(container, error, false);
+        },
+
+
+        /* ==========================================
+           DEV-MODE CHECKS
+           ==========================================
+           While developing, a record that doesn't match its
+           schema (missing id, price as text, rating of 7, ...)
+           is left out — the rest of the grid still renders —
+           and the console says exactly what's wrong:
+
+           ContentLoader: skipped 1 invalid record(s) in data/products.json
+             products[2].price: must be a number (got string "49")
+
+           Sources without a schema file aren't checked. The
+           validator (schema.js) is only loaded in dev mode.
+           Check every file at once: node scripts/validate-data.js
+           ========================================== */
+
+        isDevMode() {
+            if (this.DEV_MODE !== null) return this.DEV_MODE;
+
+            const host = window.location.hostname;
+            return host === 'localhost' || host === '127.0.0.1' || host === '[::1]'
+                || window.location.protocol === 'file:'
+                || new URLSearchParams(window.location.search).has('debug');
+        },
+
+        /* Records (of this exact array) that pass the check — once per array */
+        validRecords(source, items) {
+            if (!this.checkedRecords) this.checkedRecords = new WeakMap();
+
+            if (!this.checkedRecords.has(items)) {
+                this.checkedRecords.set(items, this.checkRecords(source, items));
+            }
+            return this.checkedRecords.get(items);
+        },
+
+        async checkRecords(source, items) {
+            const [Schema, schema] = await Promise.all([this.loadValidator(), this.loadSchema(source)]);
+            if (!Schema || !schema) return items;
+
+            /* The schema describes the whole file — { "projects": [...] } */
+            const listSchema = (schema.properties && schema.properties[source]) || schema;
+            const errors = Schema.validate(items, listSchema, source);
+            if (errors.length === 0) return items;
+
+            const invalid = new Set(errors
+                .map(error => error.path.match(/^[^[]*\[(\d+)\]/))
+                .filter(Boolean)
+                .map(match => Number(match[1])));
+
+            console.warn(
+                `ContentLoader: skipped ${invalid.size} invalid record(s) in ${this.paths[source]}\n` +
+                errors.map(error => `  ${error.path}: ${error.message}`).join('\n')
+            );
+
+            return items.filter((item, index) => !invalid.has(index));
+        },
+
+        /* data/schemas/<source>.schema.json, or null if there isn't one */
+        loadSchema(source) {
+            if (!this.schemas) this.schemas = {};
+
+            if (!this.schemas[source]) {
+                this.schemas[source] = fetch(this.SCHEMA_DIR + source + '.schema.json')
+                    .then(response => (response.ok ? response.json() : null))
+                    .catch(() => null);
+            }
+            return this.schemas[source];
+        },
+
+        /* Inject schema.js once; resolves to window.Schema (or null) */
+        loadValidator() {
+            if (!this.validatorPromise) {
+                this.validatorPromise = new Promise((resolve) => {
+                    if (window.Schema) {
+                        resolve(window.Schema);
+                        return;
+                    }
+
+                    const script = document.createElement('script');
+                    script.src = this.VALIDATOR_SRC;
+                    script.onload = () => resolve(window.Schema || null);
+                    script.onerror = () => {
+                        console.warn('ContentLoader: Could not load', this.VALIDATOR_SRC, '— data checks skipped');
+                        resolve(null);
+                    };
+                    document.head.appendChild(script);
+                });
+            }
+            return this.validatorPromise;
+        },
+
+
+        /* ==========================================
+           ERRORS
+           ==========================================
+           Every failed load is an Error with a reason:
+           - "offline" — the browser knows it has no connection
+           - "network" — the request itself failed
+           - "http"    — the server answered 4xx / 5xx (error.status)
+           - "parse"   — the file isn't valid JSON
+
+           "network" and 5xx are retried (see requestWithRetry);
+           "offline" waits for the browser's "online" event instead.
+
+           Listen for failures on any container (it bubbles):
+
+           document.addEventListener('content:error', (e) => {
+               e.detail → { type, reason, status, message, cached }
+           });
+           (cached = true: a saved copy is shown instead)
+           ========================================== */
+
+        loadError(reason, message, status) {
+            const error = new Error(message);
+            error.reason = reason;
+            error.status = status || null;
+            return error;
+        },
+
+        isRetryable(error) {
+            return error.reason === 'network' || (error.reason === 'http' && error.status >= 500);
+        },
+
+        /* What to tell the visitor, per reason */
+        errorMessage(contentType, error) {
+            const label = contentType.replace(/-/g, ' ');
+            const reason = error && error.reason;
+
+            if (reason === 'offline') {
+                return `You're offline. The ${label} will load as soon as you're back online.`;
+            }
+            if (reason === 'http' && error.status === 404) {
+                return `The ${label} couldn't be found (error 404).`;
+            }
+            if (reason === 'http') {
+                return `The server couldn't send the ${label} right now (error ${error.status}). Please try again in a moment.`;
+            }
+            if (reason === 'parse') {
+                return `The ${label} data is malformed and can't be displayed.`;
+            }
+            return `Unable to load ${label} — check your connection and try again.`;
+        },
+
+        dispatchError(container, error, cached) {
+            container.dispatchEvent(new CustomEvent('content:error', {
+                bubbles: true,
+                detail: {
+                    type: container.getAttribute('data-content'),
+                    reason: (error && error.reason) || 'network',
+                    status: (error && error.status) || null,
+                    message: error ? error.message : '',
+                    cached
+                }
+            }));
+        },
+
+        /* Containers currently rendered from this source */
+        viewsOf(source) {
+            return Array.from(document.querySelectorAll('[data-content-loaded]'))
+                .map(container => this.views.get(container))
+                .filter(view => view && view.type.source === source);
+        },
+
+        /*
+         * A revalidation failed (error) or succeeded again (null) —
+         * add or remove the notice on every container showing it.
+         */
+        showStale(source, error) {
+            this.viewsOf(source).forEach(view => {
+                this.renderNotice(view);
+                if (error) this.dispatchError(view.container, error, true);
+            });
+        },
+
+        /* "Showing saved content" above a container rendered from a stale copy */
+        renderNotice(view) {
+            const stale = this.stale[view.type.source];
+
+            if (!stale) {
+                if (view.notice) view.notice.hidden = true;
+                return;
+            }
+
+            if (!view.notice) {
+                view.notice = document.createElement('div');
+                view.notice.className = 'content-notice';
+                view.notice.setAttribute('role', 'status');
+                view.notice.addEventListener('click', (e) => {
+                    if (e.target.closest('.content-notice__retry')) this.retryStale(view.type.source);
+                });
+                view.container.before(view.notice);
+            }
+
+            const savedAt = new Date(stale.storedAt).toLocaleString(undefined, {
+                day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+            });
+            const why = stale.reason === 'offline' ? 'You\'re offline' : 'Couldn\'t check for updates';
+
+            view.notice.innerHTML = `
+                <span class="content-notice__text">Showing saved content from ${savedAt}. ${why}.</span>
+                <button type="button" class="content-notice__retry">Try again</button>`;
+            view.notice.hidden = false;
+        },
+
+        /* Check a stale source again (notice button / back online) */
+        retryStale(source) {
+            const stale = this.stale[source];
+            if (!stale) return;
+
+            this.revalidate(source, stale.path, stale.stored).catch(error => {
+                console.warn('ContentLoader: Still showing saved', stale.path, error);
+            });
+        },
+
+        retryAll() {
+            Object.keys(this.stale).forEach(source => this.retryStale(source));
+            document.querySelectorAll('[data-content-error]').forEach(container => {
+                this.loadContent(container);
+            });
+        },
+
+        wait(ms) {
+            return new Promise(resolve => setTimeout(resolve, ms));
         },
 
 
@@ -393,12 +1559,76 @@
          * Escape HTML to prevent XSS attacks.
          * Even though we control the JSON data, it's good practice
          * to escape any data before inserting into innerHTML.
+         * (Plain string replaces — the build runs it in Node too.)
          */
         escapeHtml(str) {
             if (typeof str !== 'string') return str;
-            const div = document.createElement('div');
-            div.appendChild(document.createTextNode(str));
-            return div.innerHTML;
+            return str
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        },
+
+        /*
+         * "2025-01-15" → "January 15, 2025".
+         * Formatted in UTC so the date never shifts by a day
+         * depending on the visitor's timezone.
+         */
+        formatDate(value) {
+            const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? value + 'T00:00:00Z' : value);
+            if (isNaN(date.getTime())) return '';
+            return date.toLocaleDateString('en-US', {
+                year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC'
+            });
+        },
+
+        /*
+         * Tier prices are strings in services.json: "299", "49.50"
+         * or "Custom". → 299 / 49.5 / null (no fixed price)
+         */
+        parsePrice(value) {
+            if (typeof value === 'number') return isFinite(value) ? value : null;
+            const text = String(value === undefined || value === null ? '' : value).replace(/[$,\s]/g, '');
+            return /^\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+        },
+
+        /* 299 → "$299", 49.5 → "$49.50" — in the visitor's currency when currency.js is loaded */
+        formatPrice(amount) {
+            if (Currency) return Currency.format(amount, { compact: true });
+            return '$' + (Number.isInteger(amount) ? String(amount) : amount.toFixed(2));
+        },
+
+        /* data-price="299" … so Currency can redraw the price when the currency changes */
+        priceAttributes(amount, symbolClass) {
+            return Currency ? Currency.attributes(amount, { compact: true, symbolClass }) : '';
+        },
+
+        /* formatPrice() as HTML, the symbol wrapped in <span class="symbolClass"> */
+        priceHtml(amount, symbolClass) {
+            if (Currency) return Currency.html(amount, { compact: true, symbolClass });
+
+            const formatted = this.formatPrice(amount);
+            return `<span class="${symbolClass}">${formatted.charAt(0)}</span>${formatted.slice(1)}`;
+        },
+
+        /*
+         * Testimonial stars: 1–5. The schema check only runs in dev
+         * mode, so a bad value (6, -1, "five") still gets here —
+         * missing or unreadable counts as 5, the rest is clamped.
+         */
+        starRating(value) {
+            const rating = Math.round(Number(value)) || 5;
+            return Math.min(5, Math.max(1, rating));
+        },
+
+        /* Lowest fixed tier price of a service, or null */
+        startingPrice(service) {
+            const prices = (service.pricing || [])
+                .map(tier => this.parsePrice(tier.price))
+                .filter(price => price !== null);
+            return prices.length > 0 ? Math.min(...prices) : null;
         },
 
         /*
@@ -430,11 +1660,73 @@
         }
     };
 
-    document.addEventListener('DOMContentLoaded', () => {
-        ContentLoader.init();
+
+    /* ==========================================
+       BUILT-IN CONTENT TYPES
+       ========================================== */
+
+    const featured = item => item.featured;
+
+    const skeletons = {
+        cards: { count: 3, className: 'skeleton-card' },
+        services: { count: 3, className: 'skeleton-service' },
+        testimonials: { count: 3, className: 'skeleton-testimonial' },
+
+        /* Blog cards: 2-column grid, plus a row of tag pills */
+        posts: {
+            count: 4,
+            className: 'skeleton-card skeleton-post',
+            extra: `<div class="skeleton-post__tags">
+                            <span class="skeleton-post__tag skeleton-shimmer"></span>
+                            <span class="skeleton-post__tag skeleton-shimmer"></span>
+                            <span class="skeleton-post__tag skeleton-shimmer"></span>
+                        </div>`
+        }
+    };
+
+    ContentLoader.registerType('projects', {
+        sort: 'order', render: ContentLoader.renderProjects, skeleton: skeletons.cards
+    });
+    ContentLoader.registerType('projects-featured', {
+        source: 'projects', filter: featured, sort: 'order', render: ContentLoader.renderProjects, skeleton: skeletons.cards
+    });
+    ContentLoader.registerType('services', {
+        sort: 'order', render: ContentLoader.renderServices, skeleton: skeletons.services
+    });
+    ContentLoader.registerType('testimonials', {
+        render: ContentLoader.renderTestimonials, skeleton: skeletons.testimonials
+    });
+    ContentLoader.registerType('testimonials-featured', {
+        source: 'testimonials', filter: featured, render: ContentLoader.renderTestimonials, skeleton: skeletons.testimonials
+    });
+    ContentLoader.registerType('testimonials-summary', {
+        source: 'testimonials', render: ContentLoader.renderRatingSummary, skeleton: { count: 1, className: 'skeleton-testimonial' }
+    });
+    ContentLoader.registerType('products', {
+        sort: 'order', render: ContentLoader.renderProducts, skeleton: skeletons.cards
+    });
+    ContentLoader.registerType('products-featured', {
+        source: 'products', filter: featured, sort: 'order', render: ContentLoader.renderProducts, skeleton: skeletons.cards
+    });
+
+    /* Newest first (the index is already sorted, but don't rely on it) */
+    ContentLoader.registerType('posts', {
+        sort: '-date', render: ContentLoader.renderPosts, skeleton: skeletons.posts
+    });
+    ContentLoader.registerType('posts-featured', {
+        source: 'posts', filter: featured, sort: '-date', render: ContentLoader.renderPosts, skeleton: skeletons.posts
     });
 
-    /* Expose globally so other scripts can access the cache */
-    window.ContentLoader = ContentLoader;
+    /* Node (scripts/build-pages.js) or browser */
+    if (isNode) {
+        module.exports = ContentLoader;
+    } else {
+        document.addEventListener('DOMContentLoaded', () => {
+            ContentLoader.init();
+        });
+
+        /* Expose globally so other scripts can access the cache */
+        window.ContentLoader = ContentLoader;
+    }
 
 })();
\ No newline at end of file
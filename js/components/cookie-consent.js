@@ -7,7 +7,7 @@
  * Shows a GDPR-style cookie consent banner on first visit.
  * Remembers the user's choice in localStorage.
  *
- * Also handles the notification/announcement bar dismiss.
+ * (The notification/announcement bar is handled by settings.js.)
  */
 
 ;(function () {
@@ -16,11 +16,9 @@
     const CookieConsent = {
 
         storageKey: 'cookie-consent-accepted',
-        notifKey: 'notification-bar-dismissed',
 
         init() {
             this.initCookieBanner();
-            this.initNotificationBar();
         },
 
         /* ==========================================
@@ -79,30 +77,6 @@
                     this.banner.parentNode.removeChild(this.banner);
                 }
             }, 500);
-        },
-
-        /* ==========================================
-           NOTIFICATION BAR
-           ========================================== */
-
-        initNotificationBar() {
-            const bar = document.getElementById('notification-bar');
-            if (!bar) return;
-
-            /* Check if already dismissed */
-            if (localStorage.getItem(this.notifKey) === 'true') {
-                bar.classList.add('dismissed');
-                return;
-            }
-
-            /* Close button */
-            const closeBtn = bar.querySelector('.notification-bar__close');
-            if (closeBtn) {
-                closeBtn.addEventListener('click', () => {
-                    bar.classList.add('dismissed');
-                    localStorage.setItem(this.notifKey, 'true');
-                });
-            }
         }
     };
 
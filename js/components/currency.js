@@ -0,0 +1,278 @@
+/* File: js/components/currency.js */
+/*
+ * ============================================
+ *    CURRENCY (display prices)
+ * ============================================
+ *
+ * Every price in the data files and the shop cards is in one
+ * base currency (BASE, USD). Currency shows it in the
+ * visitor's chosen currency — converted with the rates in
+ * data/currencies.json, formatted for their locale with
+ * Intl.NumberFormat:
+ *
+ *   Currency.format(29.99)                       → "€27.59" / "27,59 €"
+ *   Currency.format(299, { compact: true })      → "€257" (whole prices stay whole)
+ *   Currency.format(23.99, { currency: 'USD' })  → "$23.99" (as is — no conversion)
+ *
+ * Prices in the HTML carry their base amount, so they can be
+ * redrawn when the currency changes:
+ *
+ *   <span class="product-card__price" data-price="29.99">$29.99</span>
+ *   <span data-price="299" data-price-compact>$299</span>
+ *   data-price-symbol="pricing-card__currency"
+ *       → the symbol gets its own <span class="pricing-card__currency">
+ *
+ * Renderers write those with Currency.attributes(amount, options)
+ * and Currency.html(amount, options).
+ *
+ * Choosing a currency: every <select data-currency-select> on
+ * the page lists the currencies in the rates file. The choice
+ * is kept in localStorage together with its rate, so the next
+ * page is right before the rates file has even loaded.
+ *
+ * Events (on document):
+ *   "currency:changed" → detail: { code, rate }
+ *   (ShopCart and Checkout redraw their totals)
+ *
+ * Orders are charged in BASE — converted prices are a guide,
+ * and checkout says so.
+ *
+ * Also used by the build (scripts/build-pages.js), which always
+ * writes BASE prices in DEFAULT_LOCALE.
+ */
+
+;(function () {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+
+    const Currency = {
+
+        /* ---- Configuration ---- */
+        /* 🔧 CUSTOMIZE: the currency your data files' prices are in */
+        BASE: 'USD',
+        RATES_URL: 'data/currencies.json',
+        STORAGE_KEY: 'portfolio-currency',
+        DEFAULT_LOCALE: 'en-US',
+
+        /* ---- Display currency and its rate against BASE ---- */
+        code: 'USD',
+        rate: 1,
+
+        /* [{ code, rate }] from the rates file, once loaded */
+        currencies: null,
+
+        formatters: {},
+
+        init() {
+            this.bindEvents();
+            this.fillSelects();
+
+            /* Prerendered and hand-written prices are in BASE */
+            if (this.code !== this.BASE) this.apply(document);
+
+            this.loadRates();
+        },
+
+        /* The remembered choice — runs as soon as the script loads */
+        restore() {
+            try {
+                const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+                if (stored && typeof stored.code === 'string' && stored.rate > 0) {
+                    this.code = stored.code;
+                    this.rate = stored.rate;
+                }
+            } catch (e) {
+                /* Nothing stored (or unreadable) — stay on BASE */
+            }
+        },
+
+        save() {
+            try {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ code: this.code, rate: this.rate }));
+            } catch (e) {
+                console.warn('Currency: could not remember the choice', e);
+            }
+        },
+
+
+        /* ==========================================
+           FORMATTING
+           ========================================== */
+
+        locale() {
+            if (isNode || typeof navigator === 'undefined') return this.DEFAULT_LOCALE;
+            return (navigator.languages && navigator.languages[0]) || navigator.language || this.DEFAULT_LOCALE;
+        },
+
+        /* One Intl.NumberFormat per currency (and whole/decimal) */
+        formatter(code, whole) {
+            const key = code + (whole ? ':whole' : '');
+            if (!this.formatters[key]) {
+                const options = { style: 'currency', currency: code };
+                if (whole) {
+                    options.minimumFractionDigits = 0;
+                    options.maximumFractionDigits = 0;
+                }
+                try {
+                    this.formatters[key] = new Intl.NumberFormat(this.locale(), options);
+                } catch (e) {
+                    this.formatters[key] = new Intl.NumberFormat(this.DEFAULT_LOCALE, options);
+                }
+            }
+            return this.formatters[key];
+        },
+
+        /* BASE amount → Intl parts in the display currency (or options.currency, unconverted) */
+        parts(amount, options = {}) {
+            const value = Number(amount);
+            if (!isFinite(value)) return [];
+
+            const code = options.currency || this.code;
+            const converted = options.currency ? value : value * this.rate;
+            return this.formatter(code, options.compact && Number.isInteger(value)).formatToParts(converted);
+        },
+
+        format(amount, options) {
+            return this.parts(amount, options).map(part => part.value).join('');
+        },
+
+        /* format() as HTML, with the symbol in <span class="options.symbolClass"> */
+        html(amount, options = {}) {
+            return this.parts(amount, options).map(part => {
+                const text = this.escapeHtml(part.value);
+                return part.type === 'currency' && options.symbolClass
+                    ? `<span class="${this.escapeHtml(options.symbolClass)}">${text}</span>`
+                    : text;
+            }).join('');
+        },
+
+        /* The data-price attributes apply() redraws from */
+        attributes(amount, options = {}) {
+            return `data-price="${Number(amount)}"` +
+                (options.compact ? ' data-price-compact' : '') +
+                (options.symbolClass ? ` data-price-symbol="${this.escapeHtml(options.symbolClass)}"` : '');
+        },
+
+        /* Redraw every [data-price] inside root in the display currency */
+        apply(root) {
+            (root || document).querySelectorAll('[data-price]').forEach(el => {
+                el.innerHTML = this.html(el.getAttribute('data-price'), {
+                    compact: el.hasAttribute('data-price-compact'),
+                    symbolClass: el.getAttribute('data-price-symbol')
+                });
+            });
+        },
+
+
+        /* ==========================================
+           RATES + CHOOSING
+           ========================================== */
+
+        /* data/currencies.json, through ContentLoader's cache when it's on the page */
+        async loadRates() {
+            try {
+                const data = window.ContentLoader && ContentLoader.paths.currencies
+                    ? await ContentLoader.fetchData('currencies')
+                    : await fetch(this.RATES_URL).then(response => {
+                        if (!response.ok) throw new Error('HTTP ' + response.status);
+                        return response.json();
+                    });
+                this.currencies = (data.currencies || []).filter(entry => entry.code && entry.rate > 0);
+            } catch (error) {
+                console.warn('Currency: could not load the rates', error);
+                this.currencies = [];
+            }
+
+            if (!this.currencies.some(entry => entry.code === this.BASE)) {
+                this.currencies.unshift({ code: this.BASE, rate: 1 });
+            }
+            this.fillSelects();
+
+            /* The remembered rate may be out of date — or the currency gone */
+            const current = this.currencies.find(entry => entry.code === this.code);
+            if (!current) {
+                this.set(this.BASE);
+            } else if (current.rate !== this.rate) {
+                this.set(current.code);
+            }
+        },
+
+        /* → false if the rates file doesn't have it */
+        set(code) {
+            const entry = (this.currencies || []).find(item => item.code === code);
+            if (!entry) return false;
+
+            this.code = entry.code;
+            this.rate = entry.rate;
+            this.save();
+            this.apply(document);
+            this.syncSelects();
+
+            document.dispatchEvent(new CustomEvent('currency:changed', {
+                detail: { code: this.code, rate: this.rate }
+            }));
+            return true;
+        },
+
+        /* "EUR — Euro" */
+        label(code) {
+            let name = '';
+            try {
+                name = new Intl.DisplayNames([this.locale()], { type: 'currency' }).of(code);
+            } catch (e) {
+                /* Older browsers — the code alone */
+            }
+            return name && name !== code ? `${code} — ${name}` : code;
+        },
+
+        fillSelects() {
+            const list = this.currencies || [{ code: this.code, rate: this.rate }];
+
+            document.querySelectorAll('[data-currency-select]').forEach(select => {
+                select.innerHTML = list.map(entry =>
+                    `<option value="${this.escapeHtml(entry.code)}">${this.escapeHtml(this.label(entry.code))}</option>`
+                ).join('');
+                select.disabled = list.length < 2;
+            });
+            this.syncSelects();
+        },
+
+        syncSelects() {
+            document.querySelectorAll('[data-currency-select]').forEach(select => {
+                select.value = this.code;
+            });
+        },
+
+        bindEvents() {
+            document.addEventListener('change', (e) => {
+                const select = e.target.closest('[data-currency-select]');
+                if (select) this.set(select.value);
+            });
+        },
+
+        escapeHtml(str) {
+            return String(str === undefined || str === null ? '' : str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+    };
+
+    /* Node (scripts/build-pages.js) or browser */
+    if (isNode) {
+        module.exports = Currency;
+    } else {
+        /* Before any other script formats a price */
+        Currency.restore();
+
+        document.addEventListener('DOMContentLoaded', () => {
+            Currency.init();
+        });
+
+        window.Currency = Currency;
+    }
+
+})();
@@ -25,6 +25,13 @@
  *
  * The component auto-initializes on any element with
  * [data-filter-group] attribute.
+ *
+ * Grids filled by ContentLoader (data-content + data-filter-group)
+ * start empty; the grid re-collects its items when the
+ * "content:loaded" event fires for its container.
+ *
+ * Every filter change dispatches "filter:changed" on the grid
+ * container (detail: { filter }).
  */
 
 ;(function () {
@@ -49,7 +56,7 @@
 
             this.activeFilter = 'all';
 
-            if (this.buttons.length === 0 || this.items.length === 0) return;
+            if (this.buttons.length === 0) return;
 
             this.totalCount = this.items.length;
             this.init();
@@ -69,10 +76,27 @@
                     this.activeFilter = filter;
                     this.updateButtons(btn);
                     this.filterItems(filter);
+
+                    this.container.dispatchEvent(new CustomEvent('filter:changed', {
+                        bubbles: true,
+                        detail: { filter }
+                    }));
                 });
             });
         }
 
+        /* Re-collect items after the grid content was replaced */
+        refresh() {
+            this.items = Array.from(this.container.querySelectorAll('[data-category]'));
+            this.totalCount = this.items.length;
+
+            if (this.activeFilter === 'all') {
+                this.updateCounter(this.totalCount);
+            } else {
+                this.filterItems(this.activeFilter);
+            }
+        }
+
         /* Update active button styling */
         updateButtons(activeBtn) {
             this.buttons.forEach(btn => btn.classList.remove('active'));
@@ -139,18 +163,30 @@
         }
     }
 
+    const instances = [];
+
     /* Auto-initialize all filter grids on the page */
     document.addEventListener('DOMContentLoaded', () => {
         const filterGrids = document.querySelectorAll('[data-filter-group]');
         /* Only initialize on grid containers, not buttons */
         const containers = new Set();
         filterGrids.forEach(el => {
-            /* Find the grid container (the one with children that have data-category) */
-            if (el.querySelector('[data-category]')) {
+            /*
+             * Find the grid container (the one with children that have data-category,
+             * or a ContentLoader container that will be filled later)
+             */
+            if (el.querySelector('[data-category]') || el.hasAttribute('data-content')) {
                 containers.add(el);
             }
         });
-        containers.forEach(container => new FilterGrid(container));
+        containers.forEach(container => instances.push(new FilterGrid(container)));
+    });
+
+    /* Pick up cards rendered by ContentLoader */
+    document.addEventListener('content:loaded', (e) => {
+        instances
+            .filter(grid => grid.container === e.target && grid.buttons.length > 0)
+            .forEach(grid => grid.refresh());
     });
 
     window.FilterGrid = FilterGrid;
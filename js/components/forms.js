@@ -7,6 +7,13 @@
  * FIX: Errors no longer show on page load.
  * Validation only triggers AFTER user interacts
  * with a field (blur) or clicks Submit.
+ *
+ * Preselected from the URL (pricing buttons, service cards):
+ *   contact.html?service=web-development&tier=multi-page-site
+ * → Subject = Web Development, Package = Multi-Page Site.
+ * The Package list shows the chosen service's tiers from
+ * data/services.json (via Pricing) and is hidden for subjects
+ * without tiers.
  */
 
 ;(function () {
@@ -64,6 +71,7 @@
             this.clearAllErrors();
 
             this.bindEvents();
+            this.initPackages();
         },
 
         clearAllErrors() {
@@ -224,6 +232,61 @@
 
             /* Reset touched state */
             this.touched = {};
+
+            if (this.tierSelect && this.services) this.updatePackages();
+        },
+
+
+        /* ==========================================
+           SERVICE + PACKAGE (?service=&tier=)
+           ========================================== */
+
+        async initPackages() {
+            const params = new URLSearchParams(window.location.search);
+            const subject = this.fields.subject.el;
+            this.tierGroup = document.getElementById('contact-tier-group');
+            this.tierSelect = this.form.querySelector('[name="tier"]');
+
+            if (subject && params.get('service')) {
+                this.selectSubject(params.get('service'));
+            }
+
+            if (!this.tierSelect || !window.Pricing || !window.ContentLoader) return;
+
+            try {
+                this.services = await ContentLoader.getItems(ContentLoader.types.services);
+            } catch (error) {
+                /* No package list — the subject alone still works */
+                return;
+            }
+
+            this.updatePackages(params.get('tier'));
+            if (subject) {
+                subject.addEventListener('change', () => this.updatePackages());
+            }
+        },
+
+        /* Pick the matching subject option (unknown ids are ignored) */
+        selectSubject(id) {
+            const subject = this.fields.subject.el;
+            const option = Array.from(subject.options).find(opt => opt.value === id);
+            if (option) subject.value = option.value;
+        },
+
+        /* Fill the Package list with the selected service's tiers */
+        updatePackages(selected) {
+            const service = (this.services || []).find(item => item.id === this.fields.subject.el.value);
+            const tiers = service && service.pricing ? service.pricing : [];
+
+            this.tierSelect.length = 1;
+            tiers.forEach(tier => {
+                const option = new Option(`${tier.name} — ${Pricing.describePrice(tier)}`, Pricing.tierSlug(tier.name));
+                this.tierSelect.add(option);
+            });
+
+            const chosen = Pricing.findTier(service, selected);
+            this.tierSelect.value = chosen ? Pricing.tierSlug(chosen.name) : '';
+            if (this.tierGroup) this.tierGroup.hidden = tiers.length === 0;
         }
     };
 
@@ -0,0 +1,504 @@
+/* File: js/components/markdown.js */
+/*
+ * ============================================
+ *    MARKDOWN + FRONTMATTER PARSER
+ * ============================================
+ *
+ * Turns the frontmatter markdown files that Decap CMS writes
+ * to blog/posts/ into data + HTML.
+ *
+ * Why our own parser?
+ * The site has no build tools and no dependencies, and the
+ * CSP only allows scripts from 'self' — so no CDN libraries.
+ * Blog posts only use a small, predictable subset of markdown,
+ * which this file covers:
+ *
+ * - Frontmatter: key: value, quoted strings, booleans, numbers,
+ *   "- item" lists, [inline, lists] and | / > block strings
+ * - Blocks: headings, paragraphs, fenced code, blockquotes,
+ *   ordered/unordered (nested) lists, tables, horizontal rules
+ * - Code fence annotations (used by code-highlight.js):
+ *     ```python {2,5-7} title="bot.py"
+ *   {…} = lines to highlight, title="…" = filename caption
+ * - Inline: **bold**, *italic*, ***both***, ~~strike~~, `code`,
+ *   links, images and <https://autolinks>
+ *
+ * Raw HTML inside posts is escaped, never executed.
+ *
+ * The same file runs in the browser (window.Markdown) and in
+ * Node build scripts (require('./markdown.js')).
+ *
+ * Usage:
+ *   const post = Markdown.parse(fileText);
+ *   post.data      → frontmatter object
+ *   post.html      → rendered body
+ *   post.headings  → [{ level, text, id }] for h2–h6
+ */
+
+;(function () {
+    'use strict';
+
+    const Markdown = {
+
+        /* ==========================================
+           PUBLIC API
+           ========================================== */
+
+        /* Parse a whole file: frontmatter + rendered body */
+        parse(source) {
+            const { data, body } = this.parseFrontmatter(source);
+            const { html, headings } = this.render(body);
+            return { data, body, html, headings };
+        },
+
+        /* Render a markdown string to HTML */
+        render(markdown) {
+            const state = { headings: [], ids: {} };
+            const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+            const html = this.renderBlocks(lines, state);
+            return { html, headings: state.headings };
+        },
+
+        /*
+         * Turn any text into a URL/id-friendly slug.
+         * "Getting Started with BotFather" → "getting-started-with-botfather"
+         */
+        slugify(text) {
+            return String(text || '')
+                .normalize('NFKD')
+                .replace(/[\u0300-\u036f]/g, '')  /* strip accents */
+                .toLowerCase()
+                .replace(/<[^>]*>/g, '')
+                .replace(/&[a-z]+;|&#\d+;/g, '')
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-+|-+$/g, '');
+        },
+
+        escapeHtml(str) {
+            return String(str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        },
+
+
+        /* ==========================================
+           FRONTMATTER
+           ========================================== */
+
+        parseFrontmatter(source) {
+            const text = String(source || '').replace(/\r\n?/g, '\n').replace(/^\uFEFF/, '');
+            const match = text.match(/^---\n([\s\S]*?)\n---[ \t]*(?:\n|$)/);
+
+            if (!match) return { data: {}, body: text };
+
+            return {
+                data: this.parseYaml(match[1]),
+                body: text.slice(match[0].length)
+            };
+        },
+
+        /*
+         * Minimal YAML reader for flat frontmatter.
+         * Handles exactly what the Decap "blog" collection writes.
+         */
+        parseYaml(yaml) {
+            const data = {};
+            const lines = yaml.split('\n');
+            let i = 0;
+
+            while (i < lines.length) {
+                const line = lines[i];
+                const keyMatch = line.match(/^([A-Za-z0-9_-]+):\s*(.*)$/);
+                i++;
+
+                if (!keyMatch) continue;
+
+                const key = keyMatch[1];
+                const raw = keyMatch[2].trim();
+
+                /* Block strings: "key: |" (keep newlines) or "key: >" (fold) */
+                if (/^[|>][+-]?$/.test(raw)) {
+                    const block = [];
+                    while (i < lines.length && (/^\s+/.test(lines[i]) || lines[i].trim() === '')) {
+                        block.push(lines[i].replace(/^\s{1,2}/, '').replace(/^\s+/, ''));
+                        i++;
+                    }
+                    const joined = raw[0] === '|'
+                        ? block.join('\n')
+                        : block.join('\n').replace(/([^\n])\n(?!\n)/g, '$1 ');
+                    data[key] = raw.endsWith('+') ? joined : joined.replace(/\n+$/, '');
+                    continue;
+                }
+
+                /* Indented "- item" list on the following lines */
+                if (raw === '') {
+                    const items = [];
+                    while (i < lines.length && /^\s*-\s+/.test(lines[i])) {
+                        items.push(this.parseScalar(lines[i].replace(/^\s*-\s+/, '')));
+                        i++;
+                    }
+                    data[key] = items.length > 0 ? items : '';
+                    continue;
+                }
+
+                data[key] = this.parseScalar(raw);
+            }
+
+            return data;
+        },
+
+        parseScalar(raw) {
+            const value = raw.trim();
+
+            if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+                try {
+                    return JSON.parse(value);
+                } catch (e) {
+                    return value.slice(1, -1);
+                }
+            }
+            if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+                return value.slice(1, -1).replace(/''/g, "'");
+            }
+            if (value.startsWith('[') && value.endsWith(']')) {
+                const inner = value.slice(1, -1).trim();
+                return inner === '' ? [] : inner.split(',').map(item => this.parseScalar(item));
+            }
+            if (value === 'true') return true;
+            if (value === 'false') return false;
+            if (value === 'null' || value === '~') return null;
+            if (/^-?\d+(\.\d+)?$/.test(value)) return parseFloat(value);
+
+            /* Strip trailing " # comment" */
+            return value.replace(/\s+#.*$/, '');
+        },
+
+
+        /* ==========================================
+           BLOCK-LEVEL RENDERING
+           ========================================== */
+
+        renderBlocks(lines, state) {
+            const out = [];
+            let i = 0;
+
+            while (i < lines.length) {
+                const line = lines[i];
+
+                /* Blank line */
+                if (line.trim() === '') {
+                    i++;
+                    continue;
+                }
+
+                /* Fenced code block */
+                const fence = line.match(/^\s*(`{3,}|~{3,})\s*([^\s`]*)\s*(.*)$/);
+                if (fence) {
+                    const marker = fence[1];
+                    const code = [];
+                    i++;
+                    while (i < lines.length && !lines[i].trim().startsWith(marker)) {
+                        code.push(lines[i]);
+                        i++;
+                    }
+                    i++; /* skip closing fence */
+                    out.push(this.renderCodeBlock(code.join('\n'), fence[2], fence[3]));
+                    continue;
+                }
+
+                /* ATX heading */
+                const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+                if (heading) {
+                    out.push(this.renderHeading(heading[1].length, heading[2], state));
+                    i++;
+                    continue;
+                }
+
+                /* Horizontal rule */
+                if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                    out.push('<hr>');
+                    i++;
+                    continue;
+                }
+
+                /* Blockquote */
+                if (/^\s*>/.test(line)) {
+                    const quote = [];
+                    while (i < lines.length && lines[i].trim() !== '' && (/^\s*>/.test(lines[i]) || quote.length > 0)) {
+                        quote.push(lines[i].replace(/^\s*>\s?/, ''));
+                        i++;
+                    }
+                    out.push(`<blockquote>${this.renderBlocks(quote, state)}</blockquote>`);
+                    continue;
+                }
+
+                /* Table (header row + separator row) */
+                if (line.includes('|') && i + 1 < lines.length && this.isTableSeparator(lines[i + 1])) {
+                    const rows = [line];
+                    i += 2;
+                    while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+                        rows.push(lines[i]);
+                        i++;
+                    }
+                    out.push(this.renderTable(rows));
+                    continue;
+                }
+
+                /* List */
+                if (this.listMarker(line)) {
+                    const result = this.collectList(lines, i, state);
+                    out.push(result.html);
+                    i = result.next;
+                    continue;
+                }
+
+                /* Paragraph — runs until a blank line or another block starts */
+                const para = [];
+                while (i < lines.length && lines[i].trim() !== '' && !this.startsBlock(lines, i)) {
+                    para.push(lines[i]);
+                    i++;
+                }
+                if (para.length === 0) {
+                    /* Safety net: never loop forever on an unrecognised line */
+                    para.push(lines[i]);
+                    i++;
+                }
+                out.push(`<p>${this.renderInline(para.join('\n'))}</p>`);
+            }
+
+            return out.join('\n');
+        },
+
+        startsBlock(lines, i) {
+            const line = lines[i];
+            return /^\s*(`{3,}|~{3,})/.test(line) ||
+                /^#{1,6}\s/.test(line) ||
+                /^\s*>/.test(line) ||
+                /^\s*([-*_])(\s*\1){2,}\s*$/.test(line) ||
+                !!this.listMarker(line) ||
+                (line.includes('|') && i + 1 < lines.length && this.isTableSeparator(lines[i + 1]));
+        },
+
+        renderHeading(level, text, state) {
+            const plain = text.replace(/[*_`~]/g, '').replace(/\[([^\]]*)\]\([^)]*\)/g, '$1');
+            let id = this.slugify(plain) || 'section';
+
+            /* Keep ids unique: "setup", "setup-2", "setup-3" ... */
+            if (state.ids[id]) {
+                state.ids[id]++;
+                id = `${id}-${state.ids[id]}`;
+            } else {
+                state.ids[id] = 1;
+            }
+
+            if (level > 1) {
+                state.headings.push({ level, text: plain, id });
+            }
+
+            return `<h${level} id="${id}">${this.renderInline(text)}</h${level}>`;
+        },
+
+        /*
+         * Fenced code. The text after the language is the annotation:
+         *   {2,5-7}          → data-line="2,5-7" (highlighted lines)
+         *   title="bot.py"   → <figcaption> with the file name
+         */
+        renderCodeBlock(code, lang, info) {
+            /* ``` {2} title="x" — annotation without a language */
+            if (lang && /^\{|=/.test(lang)) {
+                info = lang + ' ' + (info || '');
+                lang = '';
+            }
+
+            const meta = this.parseFenceInfo(info);
+            const langClass = lang ? ` class="language-${this.escapeHtml(lang.toLowerCase())}"` : '';
+            const lineAttr = meta.lines ? ` data-line="${this.escapeHtml(meta.lines)}"` : '';
+            const pre = `<pre${lineAttr}><code${langClass}>${this.escapeHtml(code)}</code></pre>`;
+
+            if (!meta.title) return pre;
+
+            return `<figure class="code-block">` +
+                `<figcaption class="code-block__filename">${this.escapeHtml(meta.title)}</figcaption>` +
+                pre + `</figure>`;
+        },
+
+        parseFenceInfo(info) {
+            const text = String(info || '');
+            const lines = text.match(/\{([\d,\s-]+)\}/);
+            const title = text.match(/(?:title|filename)=(?:"([^"]*)"|'([^']*)'|(\S+))/);
+
+            return {
+                lines: lines ? lines[1].replace(/\s+/g, '') : '',
+                title: title ? (title[1] || title[2] || title[3] || '') : ''
+            };
+        },
+
+        /* ---- Lists ---- */
+
+        listMarker(line) {
+            const match = line.match(/^(\s*)([*+-]|\d+[.)])\s+(.*)$/);
+            if (!match) return null;
+            return {
+                indent: match[1].length,
+                ordered: /\d/.test(match[2]),
+                start: parseInt(match[2], 10),
+                text: match[3]
+            };
+        },
+
+        collectList(lines, start, state) {
+            const first = this.listMarker(lines[start]);
+            const items = [];
+            let i = start;
+
+            while (i < lines.length) {
+                const marker = this.listMarker(lines[i]);
+
+                /* A sibling item at the same depth and of the same type */
+                if (marker && marker.indent <= first.indent && marker.ordered === first.ordered) {
+                    items.push([marker.text]);
+                    i++;
+                    continue;
+                }
+
+                /* Indented continuation or nested list belongs to the last item */
+                const indented = lines[i].match(/^(\s*)/)[1].length > first.indent;
+                if (lines[i].trim() !== '' && (indented || (!marker && !this.startsBlock(lines, i)))) {
+                    items[items.length - 1].push(lines[i].replace(new RegExp(`^\\s{0,${first.indent + 4}}`), ''));
+                    i++;
+                    continue;
+                }
+
+                /* Blank line: the list continues only if the next line is still part of it */
+                if (lines[i].trim() === '' && i + 1 < lines.length) {
+                    const nextMarker = this.listMarker(lines[i + 1]);
+                    const nextIndented = lines[i + 1].match(/^(\s*)/)[1].length > first.indent;
+                    if ((nextMarker && nextMarker.indent <= first.indent && nextMarker.ordered === first.ordered) ||
+                        (nextIndented && lines[i + 1].trim() !== '')) {
+                        items[items.length - 1].push('');
+                        i++;
+                        continue;
+                    }
+                }
+
+                break;
+            }
+
+            const tag = first.ordered ? 'ol' : 'ul';
+            const startAttr = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+            const itemsHtml = items.map(itemLines => {
+                let inner = this.renderBlocks(itemLines, state);
+                /* Tight list items: unwrap the single leading paragraph */
+                inner = inner.replace(/^<p>([\s\S]*?)<\/p>(?=\n<(ul|ol)|$)/, '$1');
+                return `<li>${inner}</li>`;
+            }).join('\n');
+
+            return { html: `<${tag}${startAttr}>\n${itemsHtml}\n</${tag}>`, next: i };
+        },
+
+        /* ---- Tables ---- */
+
+        isTableSeparator(line) {
+            return /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(line) && line.includes('-');
+        },
+
+        splitRow(row) {
+            return row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+        },
+
+        renderTable(rows) {
+            const header = this.splitRow(rows[0]);
+            const body = rows.slice(1).map(row => this.splitRow(row));
+
+            const head = header.map(cell => `<th>${this.renderInline(cell)}</th>`).join('');
+            const bodyHtml = body.map(cells =>
+                '<tr>' + header.map((_, c) => `<td>${this.renderInline(cells[c] || '')}</td>`).join('') + '</tr>'
+            ).join('\n');
+
+            return `<div class="table-wrapper"><table><thead><tr>${head}</tr></thead><tbody>\n${bodyHtml}\n</tbody></table></div>`;
+        },
+
+
+        /* ==========================================
+           INLINE RENDERING
+           ========================================== */
+
+        renderInline(text) {
+            const stash = [];
+            const keep = (html) => {
+                stash.push(html);
+                return `\u0000${stash.length - 1}\u0000`;
+            };
+
+            /* 1. Pull out code spans first so nothing inside them is formatted */
+            let out = String(text).replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) =>
+                keep(`<code>${this.escapeHtml(code.trim())}</code>`)
+            );
+
+            /* 2. Escape everything else */
+            out = this.escapeHtml(out);
+
+            /* 3. Images: ![alt](src "title") — URLs may hold balanced (parens) */
+            out = out.replace(/!\[([^\]]*)\]\(\s*((?:[^()\s]|\([^()\s]*\))*)(?:\s+&quot;([^)]*?)&quot;)?\s*\)/g, (_, alt, src, title) => {
+                const safeSrc = this.safeUrl(src);
+                if (!safeSrc) return alt;
+                const titleAttr = title ? ` title="${title}"` : '';
+                return keep(`<img src="${safeSrc}" alt="${alt}"${titleAttr} loading="lazy">`);
+            });
+
+            /* 4. Links: [text](href "title") — empty hrefs render as plain text, (parens) as in images */
+            out = out.replace(/\[([^\]]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))*)(?:\s+&quot;([^)]*?)&quot;)?\s*\)/g, (_, label, href, title) => {
+                const safeHref = this.safeUrl(href);
+                if (!safeHref) return label;
+                const external = /^https?:\/\//.test(safeHref);
+                const attrs = (title ? ` title="${title}"` : '') +
+                    (external ? ' target="_blank" rel="noopener noreferrer"' : '');
+                return keep(`<a href="${safeHref}"${attrs}>`) + label + '</a>';
+            });
+
+            /* 5. Autolinks: <https://example.com> */
+            out = out.replace(/&lt;(https?:\/\/[^\s&]+)&gt;/g, (_, url) =>
+                keep(`<a href="${url}" target="_blank" rel="noopener noreferrer">`) + url + '</a>'
+            );
+
+            /* 6. Emphasis — ***both*** first, or ** would close inside the * */
+            out = out
+                .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<strong><em>$1</em></strong>')
+                .replace(/(^|[^\w])___(?=\S)([\s\S]*?\S)___(?!\w)/g, '$1<strong><em>$2</em></strong>')
+                .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+                .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+                .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+                .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+                .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+            /* 7. Hard line breaks (two trailing spaces or a backslash) */
+            out = out.replace(/( {2,}|\\)\n/g, '<br>\n');
+
+            /* 8. Put the stashed HTML back */
+            return out.replace(/\u0000(\d+)\u0000/g, (_, index) => stash[index]);
+        },
+
+        /*
+         * Only allow http(s), mailto, tel, relative paths and anchors.
+         * Blocks javascript: and data: URLs from ending up in href/src.
+         */
+        safeUrl(url) {
+            const value = String(url || '').trim();
+            if (value === '') return '';
+            if (/^(https?:|mailto:|tel:)/i.test(value)) return value;
+            if (/^[a-z][a-z0-9+.-]*:/i.test(value)) return '';
+            return value;
+        }
+    };
+
+    /* Node (build scripts) or browser */
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Markdown;
+    } else {
+        window.Markdown = Markdown;
+    }
+
+})();
@@ -14,6 +14,8 @@
  * 4. Close via: .modal__close button, clicking overlay, pressing Escape
  * 5. Focus is trapped inside the modal while it's open
  * 6. On close, focus returns to the trigger element
+ * 7. "modal:opened" / "modal:closed" are dispatched on the overlay
+ *    (they bubble), for modals whose content is filled in by script
  *
  * Usage in HTML:
  *   Trigger:  <button data-modal-trigger="service-web">Learn More</button>
@@ -101,6 +103,7 @@
 
             /* Set ARIA attributes */
             overlay.setAttribute('aria-hidden', 'false');
+            overlay.dispatchEvent(new CustomEvent('modal:opened', { bubbles: true }));
 
             /* Focus the first focusable element inside the modal */
             const modal = overlay.querySelector('.modal');
@@ -118,8 +121,9 @@
         close() {
             if (!this.activeModal) return;
 
-            this.activeModal.classList.remove('active');
-            this.activeModal.setAttribute('aria-hidden', 'true');
+            const overlay = this.activeModal;
+            overlay.classList.remove('active');
+            overlay.setAttribute('aria-hidden', 'true');
             document.body.style.overflow = '';
 
             /* Return focus to the trigger element */
@@ -129,6 +133,8 @@
 
             this.activeModal = null;
             this.triggerElement = null;
+
+            overlay.dispatchEvent(new CustomEvent('modal:closed', { bubbles: true }));
         },
 
         /* Keep Tab focus inside the modal */
@@ -0,0 +1,164 @@
+/* File: js/components/payment.js */
+/*
+ * ============================================
+ *    PAYMENT PROVIDERS
+ * ============================================
+ *
+ * Checkout (checkout.js) never talks to a payment service
+ * itself — it hands the order to a provider adapter:
+ *
+ *   Payment.register('stripe', {
+ *       label: 'Card',
+ *       async pay(order) {
+ *           ...
+ *           return { status: 'paid', transactionId: 'pi_123' };
+ *       }
+ *   });
+ *
+ * pay(order) gets:
+ *   { id: 'ORD-20250115-7K3QXM', createdAt, currency: 'USD',
+ *     items: [{ id, name, price, quantity, discount }],
+ *     itemsTotal, discount: { code, amount } | null, subtotal,
+ *     tax: { country, label, rate, display, amount, reverseCharge, vatId },
+ *     total, buyer: { name, email, country, company, vatId } }
+ *
+ * (total is what to charge — discounts taken off, tax included)
+ *
+ * and resolves to one of:
+ *   { status: 'paid',      transactionId }
+ *   { status: 'declined',  message }   e.g. "Card declined"
+ *   { status: 'cancelled' }            the buyer backed out
+ *
+ * A decline or a cancellation is an answer, not an error —
+ * resolve with it. Only reject when the provider couldn't be
+ * reached at all; checkout then offers to try again.
+ *
+ * The "mock" provider (below) needs no account or network: it
+ * shows a test dialog where you choose what the "bank" does,
+ * so success, decline and cancel can all be tried offline.
+ * Set Payment.providers.mock.outcome = 'paid' | 'declined' |
+ * 'cancelled' to answer without the dialog.
+ *
+ * 🔧 CUSTOMIZE: register your real provider and set
+ * Checkout.PROVIDER to its name (see checkout.js).
+ */
+
+;(function () {
+    'use strict';
+
+    const Payment = {
+
+        STATUSES: ['paid', 'declined', 'cancelled'],
+
+        /* ---- Registered adapters, by name ---- */
+        providers: {},
+
+        register(name, adapter) {
+            if (!name || !adapter || typeof adapter.pay !== 'function') {
+                throw new Error('Payment.register: "' + name + '" needs a pay(order) function');
+            }
+            this.providers[name] = Object.assign({ name, label: name }, adapter);
+            return this.providers[name];
+        },
+
+        get(name) {
+            const provider = this.providers[name];
+            if (!provider) throw new Error('Payment: no provider registered as "' + name + '"');
+            return provider;
+        },
+
+        /* Run the order through a provider → { status, transactionId, message, provider } */
+        async pay(order, name) {
+            const provider = this.get(name);
+            const result = Object.assign({}, await provider.pay(order));
+
+            if (!this.STATUSES.includes(result.status)) {
+                throw new Error(`Payment: "${name}" answered with an unknown status "${result.status}"`);
+            }
+            result.provider = provider.name;
+            return result;
+        }
+    };
+
+
+    /* ==========================================
+       MOCK PROVIDER (offline testing)
+       ========================================== */
+
+    const MockProvider = {
+        label: 'Test payment',
+
+        /* null = ask in the dialog; or answer every order with this status */
+        outcome: null,
+
+        /* Pretend the bank takes a moment */
+        DELAY: 600,
+
+        async pay(order) {
+            const status = this.outcome || await this.ask(order);
+            await new Promise(resolve => setTimeout(resolve, status === 'cancelled' ? 0 : this.DELAY));
+
+            if (status === 'paid') {
+                return { status, transactionId: 'mock_' + Date.now().toString(36) };
+            }
+            if (status === 'declined') {
+                return { status, message: 'The test card was declined. No money was taken.' };
+            }
+            return { status: 'cancelled' };
+        },
+
+        /* Test dialog → 'paid' | 'declined' | 'cancelled' */
+        ask(order) {
+            return new Promise(resolve => {
+                const dialog = document.createElement('div');
+                dialog.className = 'mock-payment';
+                dialog.setAttribute('role', 'dialog');
+                dialog.setAttribute('aria-modal', 'true');
+                dialog.setAttribute('aria-labelledby', 'mock-payment-title');
+                dialog.innerHTML = `
+                    <div class="mock-payment__panel">
+                        <span class="mock-payment__badge">Test mode</span>
+                        <h2 class="mock-payment__title" id="mock-payment-title">Simulated payment</h2>
+                        <p class="mock-payment__text">
+                            Order <strong class="mock-payment__order"></strong> —
+                            <strong class="mock-payment__amount"></strong>.
+                            No real payment is made. What should the bank do?
+                        </p>
+                        <div class="mock-payment__actions">
+                            <button type="button" class="btn btn--primary" data-mock-outcome="paid">Approve payment</button>
+                            <button type="button" class="btn btn--outline" data-mock-outcome="declined">Decline card</button>
+                            <button type="button" class="btn btn--ghost" data-mock-outcome="cancelled">Cancel</button>
+                        </div>
+                    </div>`;
+
+                dialog.querySelector('.mock-payment__order').textContent = order.id;
+                dialog.querySelector('.mock-payment__amount').textContent = window.Currency
+                    ? Currency.format(order.total, { currency: order.currency }) + ' ' + order.currency
+                    : '$' + Number(order.total).toFixed(2) + ' ' + order.currency;
+
+                const finish = (status) => {
+                    document.removeEventListener('keydown', onKey);
+                    dialog.remove();
+                    resolve(status);
+                };
+                const onKey = (e) => {
+                    if (e.key === 'Escape') finish('cancelled');
+                };
+
+                dialog.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-mock-outcome]');
+                    if (button) finish(button.getAttribute('data-mock-outcome'));
+                });
+                document.addEventListener('keydown', onKey);
+
+                document.body.appendChild(dialog);
+                dialog.querySelector('[data-mock-outcome]').focus();
+            });
+        }
+    };
+
+    Payment.register('mock', MockProvider);
+
+    window.Payment = Payment;
+
+})();
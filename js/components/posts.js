@@ -0,0 +1,276 @@
+/* File: js/components/posts.js */
+/*
+ * ============================================
+ *    BLOG POST MODEL
+ * ============================================
+ *
+ * Shared helpers for turning a blog/posts/*.md file into a
+ * normalized post object, plus the rules for which posts are
+ * public. Used by the post page (blog-post.js) in the browser
+ * and by the Node build scripts, so both agree on what a
+ * "published" post is.
+ *
+ * Post object structure:
+ * {
+ *   slug: 'building-telegram-bot-python',   (file name without .md)
+ *   title, description, thumbnail, category,
+ *   date: '2025-01-15',
+ *   tags: ['python', 'telegram'],
+ *   readingTime: '8 min',
+ *   featured: true,
+ *   draft: false,
+ *   series: 'Telegram Bots 101',            (optional, multi-part series)
+ *   seriesPart: 2,                          (optional, order in the series)
+ *   html, headings, body                    (from Markdown.parse)
+ * }
+ *
+ * relatedTo() and seriesOf() work on the same objects or on the
+ * lighter entries in data/posts.json (they only use slug, date,
+ * category, tags, series and seriesPart).
+ *
+ * Depends on: markdown.js
+ */
+
+;(function () {
+    'use strict';
+
+    const Markdown = (typeof module !== 'undefined' && module.exports)
+        ? require('./markdown.js')
+        : window.Markdown;
+
+    const Posts = {
+
+        /* Where the CMS stores posts (relative to the site root) */
+        POSTS_DIR: 'blog/posts/',
+
+        /* Average adult reading speed, used when reading_time is missing */
+        WORDS_PER_MINUTE: 200,
+
+        /* Labels for the category values defined in admin/config.yml */
+        CATEGORY_LABELS: {
+            development: 'Development',
+            telegram:    'Telegram',
+            tools:       'Tools',
+            business:    'Business',
+            tutorials:   'Tutorials',
+            career:      'Career'
+        },
+
+        /* Build a post object from a slug and the raw .md file */
+        fromMarkdown(slug, source) {
+            const parsed = Markdown.parse(source);
+            const data = parsed.data;
+
+            return {
+                slug,
+                title:       String(data.title || slug),
+                date:        data.date ? String(data.date) : '',
+                description: String(data.description || ''),
+                thumbnail:   String(data.thumbnail || ''),
+                category:    String(data.category || '').toLowerCase(),
+                tags:        Array.isArray(data.tags) ? data.tags.map(tag => String(tag).toLowerCase()) : [],
+                readingTime: data.reading_time ? String(data.reading_time) : this.estimateReadingTime(parsed.body),
+                featured:    data.featured === true,
+                draft:       data.draft === true,
+                series:      data.series ? String(data.series).trim() : '',
+                seriesPart:  parseInt(data.series_part, 10) || null,
+                html:        parsed.html,
+                headings:    parsed.headings,
+                body:        parsed.body
+            };
+        },
+
+        /*
+         * A post is public when it isn't a draft and its
+         * publish date isn't in the future (scheduled posts).
+         */
+        isPublished(post, now) {
+            if (!post || post.draft) return false;
+            const date = this.parseDate(post.date);
+            if (!date) return true;
+            return date.getTime() <= (now || new Date()).getTime();
+        },
+
+        /*
+         * "2025-01-15" is treated as midnight UTC so the same
+         * post is published at the same moment everywhere.
+         */
+        parseDate(value) {
+            if (!value) return null;
+            const str = String(value);
+            const dateOnly = str.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+            const date = dateOnly
+                ? new Date(Date.UTC(+dateOnly[1], +dateOnly[2] - 1, +dateOnly[3]))
+                : new Date(str);
+            return isNaN(date.getTime()) ? null : date;
+        },
+
+        /* "2025-01-15" → "January 15, 2025" */
+        formatDate(value, month) {
+            const date = this.parseDate(value);
+            if (!date) return '';
+            return date.toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: month || 'long',
+                day: 'numeric',
+                timeZone: 'UTC'
+            });
+        },
+
+        categoryLabel(category) {
+            if (!category) return '';
+            return this.CATEGORY_LABELS[category] ||
+                category.charAt(0).toUpperCase() + category.slice(1);
+        },
+
+        estimateReadingTime(body) {
+            const words = String(body || '').split(/\s+/).filter(Boolean).length;
+            return Math.max(1, Math.round(words / this.WORDS_PER_MINUTE)) + ' min';
+        },
+
+        /* ==========================================
+           RELATED POSTS & SERIES
+           ========================================== */
+
+        /* Scoring weights for relatedTo() */
+        RELATED_WEIGHTS: {
+            tag: 3,          /* per shared tag */
+            category: 2,     /* same category */
+            recency: 1       /* up to +1 for new posts, fading over a year */
+        },
+
+        /*
+         * Posts most similar to `post`, best first.
+         * Only posts sharing at least one tag or the category count;
+         * recency breaks ties between equally similar posts.
+         * Other parts of the same series are left out — the series
+         * navigation already links to them.
+         */
+        relatedTo(post, posts, limit, now) {
+            const weights = this.RELATED_WEIGHTS;
+            const tags = new Set(post.tags || []);
+            const series = this.seriesKey(post);
+            const today = (now || new Date()).getTime();
+
+            return (posts || [])
+                .filter(other => other.slug !== post.slug)
+                .filter(other => !series || this.seriesKey(other) !== series)
+                .map(other => {
+                    const sharedTags = (other.tags || []).filter(tag => tags.has(tag)).length;
+                    const sameCategory = post.category && other.category === post.category;
+                    const relevance = sharedTags * weights.tag + (sameCategory ? weights.category : 0);
+
+                    const date = this.parseDate(other.date);
+                    const ageDays = date ? Math.max(0, (today - date.getTime()) / 86400000) : Infinity;
+                    const recency = weights.recency * Math.max(0, 1 - ageDays / 365);
+
+                    return { post: other, relevance, score: relevance + recency };
+                })
+                .filter(entry => entry.relevance > 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit || 3)
+                .map(entry => entry.post);
+        },
+
+        /*
+         * The series `post` belongs to, or null:
+         * { name, parts: [...in reading order], index, prev, next }
+         *
+         * Parts are ordered by series_part, then by date.
+         */
+        seriesOf(post, posts) {
+            const key = this.seriesKey(post);
+            if (!key) return null;
+
+            const byDate = item => {
+                const date = this.parseDate(item.date);
+                return date ? date.getTime() : 0;
+            };
+
+            const parts = (posts || [])
+                .filter(other => this.seriesKey(other) === key)
+                .sort((a, b) => (a.seriesPart || Infinity) - (b.seriesPart || Infinity) || byDate(a) - byDate(b));
+
+            const index = parts.findIndex(other => other.slug === post.slug);
+            if (index === -1) return null;
+
+            return {
+                name: post.series,
+                parts,
+                index,
+                prev: parts[index - 1] || null,
+                next: parts[index + 1] || null
+            };
+        },
+
+        /* Series names are matched case-insensitively */
+        seriesKey(post) {
+            return post && post.series ? String(post.series).trim().toLowerCase() : '';
+        },
+
+        /* ==========================================
+           TAG & CATEGORY ARCHIVES
+           ========================================== */
+
+        /* Posts per archive page (blog.html?tag=…&page=2) */
+        ARCHIVE_PAGE_SIZE: 9,
+
+        /* blog.html?tag=python, blog.html?category=tools&page=2 */
+        archiveUrl(type, value, page) {
+            let url = `blog.html?${type}=${encodeURIComponent(value)}`;
+            if (page > 1) url += `&page=${page}`;
+            return url;
+        },
+
+        /* Does the post belong to the tag / category archive? */
+        inArchive(post, type, value) {
+            const wanted = String(value || '').toLowerCase();
+            if (type === 'tag') return (post.tags || []).includes(wanted);
+            if (type === 'category') return post.category === wanted;
+            return false;
+        },
+
+        /*
+         * Every category and tag in use, with post counts —
+         * most used first, then alphabetical:
+         * { categories: [{ name, label, count }], tags: [{ name, count }] }
+         */
+        taxonomy(posts) {
+            const categories = {};
+            const tags = {};
+
+            (posts || []).forEach(post => {
+                if (post.category) categories[post.category] = (categories[post.category] || 0) + 1;
+                (post.tags || []).forEach(tag => {
+                    tags[tag] = (tags[tag] || 0) + 1;
+                });
+            });
+
+            const sorted = counts => Object.keys(counts)
+                .map(name => ({ name, count: counts[name] }))
+                .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+            return {
+                categories: sorted(categories).map(entry => Object.assign(entry, { label: this.categoryLabel(entry.name) })),
+                tags: sorted(tags)
+            };
+        },
+
+        /* Relative URL of the rendered post page */
+        url(slug) {
+            return 'blog-post.html?slug=' + encodeURIComponent(slug);
+        },
+
+        /* Only plain slugs are accepted — no paths, no dots */
+        isValidSlug(slug) {
+            return typeof slug === 'string' && /^[a-z0-9][a-z0-9-]*$/i.test(slug);
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Posts;
+    } else {
+        window.Posts = Posts;
+    }
+
+})();
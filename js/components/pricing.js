@@ -0,0 +1,263 @@
+/* File: js/components/pricing.js */
+/*
+ * ============================================
+ *    SERVICE PRICING (services.html, contact.html)
+ * ============================================
+ *
+ * Builds the pricing section from the pricing tiers in
+ * data/services.json, so a price changed in the CMS changes
+ * everywhere at once.
+ *
+ * Two views:
+ *
+ *   <div data-content="pricing"></div>
+ *   → every service with ALL of its tiers, as pricing cards
+ *     (price, description, included / not included, turnaround)
+ *
+ *   <div data-content="pricing-compare"></div>
+ *   → a side-by-side table: one column per service, one row
+ *     per tier level (Starter / Standard / Premium)
+ *
+ * Tier fields (only name and price are required):
+ *   { name, price: "299" | "Custom", description, period,
+ *     features: [...], excluded: [...], turnaround, featured }
+ *
+ * A price that isn't a number ("Custom") is shown as
+ * "Contact for quote".
+ *
+ * Every tier's button links to the contact form with the
+ * service and the tier preselected:
+ *
+ *   contact.html?service=web-development&tier=multi-page-site
+ *
+ * (FormValidator reads those — see initPackages() in forms.js)
+ *
+ * Depends on: content-loader.js
+ */
+
+;(function () {
+    'use strict';
+
+    /* Node (scripts/build-pages.js) or browser */
+    const ContentLoader = (typeof module !== 'undefined' && module.exports)
+        ? require('./content-loader.js')
+        : window.ContentLoader;
+
+    const Pricing = {
+
+        /* ---- Configuration ---- */
+        CONTACT_PAGE: 'contact.html',
+        DEFAULT_PERIOD: 'one-time',
+        QUOTE_LABEL: 'Contact for quote',
+
+        /* Row labels in the comparison table, by tier position */
+        LEVELS: ['Starter', 'Standard', 'Premium'],
+
+
+        /* ==========================================
+           TIERS
+           ========================================== */
+
+        /* "Multi-Page Site" → "multi-page-site" */
+        tierSlug(name) {
+            return String(name || '')
+                .toLowerCase()
+                .replace(/&/g, ' and ')
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-+|-+$/g, '');
+        },
+
+        contactUrl(service, tier) {
+            const params = new URLSearchParams({ service: service.id });
+            if (tier) params.set('tier', this.tierSlug(tier.name));
+            return `${this.CONTACT_PAGE}?${params}`;
+        },
+
+        /* Tier of a service by its slug (as used in the contact URL) */
+        findTier(service, slug) {
+            if (!service || !slug) return null;
+            return (service.pricing || []).find(tier => this.tierSlug(tier.name) === slug) || null;
+        },
+
+        /* "$799", "$25 per page" or "Contact for quote" */
+        describePrice(tier) {
+            const amount = ContentLoader.parsePrice(tier.price);
+            if (amount === null) return this.QUOTE_LABEL;
+            return tier.period ? `${ContentLoader.formatPrice(amount)} ${tier.period}` : ContentLoader.formatPrice(amount);
+        },
+
+        /* describePrice() as HTML — the amount redraws when the currency changes */
+        describePriceHtml(tier) {
+            const amount = ContentLoader.parsePrice(tier.price);
+            if (amount === null) return this.escapeHtml(this.QUOTE_LABEL);
+
+            const price = `<span ${ContentLoader.priceAttributes(amount)}>${this.escapeHtml(ContentLoader.formatPrice(amount))}</span>`;
+            return tier.period ? `${price} ${this.escapeHtml(tier.period)}` : price;
+        },
+
+        levelLabel(index, count) {
+            return count <= this.LEVELS.length ? this.LEVELS[index] : `Tier ${index + 1}`;
+        },
+
+
+        /* ==========================================
+           PRICING CARDS (data-content="pricing")
+           ========================================== */
+
+        renderTiers(services) {
+            const priced = services.filter(service => service.pricing && service.pricing.length > 0);
+            if (priced.length === 0) {
+                return '<p class="content-empty">Pricing is available on request.</p>';
+            }
+
+            return priced.map(service => `
+                <div class="pricing-group" id="pricing-${this.escapeHtml(service.id)}" data-animation="fade-in-up">
+                    <h3 class="pricing-group__title">
+                        <span class="pricing-group__icon" aria-hidden="true">${service.icon || '⚡'}</span>
+                        ${this.escapeHtml(service.title)}
+                    </h3>
+                    <div class="pricing-grid">
+                        ${service.pricing.map(tier => this.renderCard(service, tier)).join('')}
+                    </div>
+                </div>`).join('');
+        },
+
+        renderCard(service, tier) {
+            const amount = ContentLoader.parsePrice(tier.price);
+
+            const priceHtml = amount === null
+                ? `<span class="pricing-card__amount pricing-card__amount--quote">${this.QUOTE_LABEL}</span>
+                   <span class="pricing-card__period">tailored to your project</span>`
+                : `<span class="pricing-card__amount" ${ContentLoader.priceAttributes(amount, 'pricing-card__currency')}>${ContentLoader.priceHtml(amount, 'pricing-card__currency')}</span>
+                   <span class="pricing-card__period">${this.escapeHtml(tier.period || this.DEFAULT_PERIOD)}</span>`;
+
+            const features = [
+                ...(tier.features || []).map(feature => this.renderFeature(feature, true)),
+                ...(tier.excluded || []).map(feature => this.renderFeature(feature, false))
+            ].join('');
+
+            const turnaround = tier.turnaround
+                ? `<div class="pricing-card__turnaround">
+                       ${ICONS.clock}
+                       ${this.escapeHtml(tier.turnaround)}
+                   </div>`
+                : '';
+
+            return `
+                <div class="pricing-card${tier.featured ? ' pricing-card--featured' : ''}">
+                    ${tier.featured ? '<span class="pricing-card__badge">Most Popular</span>' : ''}
+                    <span class="pricing-card__tier">${this.escapeHtml(tier.name)}</span>
+                    <div class="pricing-card__price">${priceHtml}</div>
+                    ${tier.description ? `<p class="pricing-card__description">${this.escapeHtml(tier.description)}</p>` : ''}
+                    ${features ? `<div class="pricing-card__features">${features}</div>` : ''}
+                    <a href="${this.escapeHtml(this.contactUrl(service, tier))}" class="btn ${tier.featured ? 'btn--primary' : 'btn--outline'} pricing-card__cta">
+                        ${amount === null ? 'Request a Quote' : 'Get Started'}
+                    </a>
+                    ${turnaround}
+                </div>`;
+        },
+
+        renderFeature(feature, included) {
+            return included
+                ? `<div class="pricing-card__feature"><span class="pricing-card__feature-icon pricing-card__feature-icon--yes" aria-hidden="true">✓</span> ${this.escapeHtml(feature)}</div>`
+                : `<div class="pricing-card__feature pricing-card__feature--disabled"><span class="pricing-card__feature-icon pricing-card__feature-icon--no" aria-hidden="true">✗</span> <span class="sr-only">Not included:</span> ${this.escapeHtml(feature)}</div>`;
+        },
+
+
+        /* ==========================================
+           COMPARISON TABLE (data-content="pricing-compare")
+           ========================================== */
+
+        renderComparison(services) {
+            const priced = services.filter(service => service.pricing && service.pricing.length > 0);
+            if (priced.length === 0) return '';
+
+            const levels = Math.max(...priced.map(service => service.pricing.length));
+
+            const head = priced.map(service => `
+                <th scope="col">
+                    <span class="pricing-compare__icon" aria-hidden="true">${service.icon || '⚡'}</span>
+                    ${this.escapeHtml(service.title)}
+                </th>`).join('');
+
+            /* Cheapest tier with its period ("$25 per page") */
+            const startingRow = priced.map(service => {
+                const amount = ContentLoader.startingPrice(service);
+                const tier = service.pricing.find(item => ContentLoader.parsePrice(item.price) === amount);
+                return `<td class="pricing-compare__start">${tier ? this.describePriceHtml(tier) : this.escapeHtml(this.QUOTE_LABEL)}</td>`;
+            }).join('');
+
+            const tierRows = Array.from({ length: levels }, (unused, index) => {
+                const cells = priced.map(service => {
+                    const tier = service.pricing[index];
+                    if (!tier) return '<td class="pricing-compare__empty"><span aria-label="Not offered">—</span></td>';
+
+                    return `
+                    <td${tier.featured ? ' class="pricing-compare__cell--featured"' : ''}>
+                        <span class="pricing-compare__tier">${this.escapeHtml(tier.name)}</span>
+                        <span class="pricing-compare__price">${this.describePriceHtml(tier)}</span>
+                        ${tier.description ? `<span class="pricing-compare__description">${this.escapeHtml(tier.description)}</span>` : ''}
+                        <a href="${this.escapeHtml(this.contactUrl(service, tier))}" class="pricing-compare__link">Choose ${this.escapeHtml(tier.name)} ${ICONS.arrow}</a>
+                    </td>`;
+                }).join('');
+
+                return `<tr><th scope="row">${this.levelLabel(index, levels)}</th>${cells}</tr>`;
+            }).join('');
+
+            const ctaRow = priced.map(service => `
+                <td>
+                    <a href="${this.escapeHtml(this.contactUrl(service))}" class="btn btn--outline btn--sm">Ask about ${this.escapeHtml(service.title)}</a>
+                </td>`).join('');
+
+            return `
+                <div class="pricing-compare" data-animation="fade-in-up">
+                    <table class="pricing-compare__table">
+                        <caption class="sr-only">Pricing tiers compared across services</caption>
+                        <thead><tr><td></td>${head}</tr></thead>
+                        <tbody>
+                            <tr><th scope="row">Starting at</th>${startingRow}</tr>
+                            ${tierRows}
+                            <tr class="pricing-compare__cta"><th scope="row"><span class="sr-only">Get a quote</span></th>${ctaRow}</tr>
+                        </tbody>
+                    </table>
+                </div>`;
+        },
+
+        escapeHtml(str) {
+            return String(str === undefined || str === null ? '' : str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+    };
+
+    const ICONS = {
+        clock: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg>',
+        arrow: '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><line x1="5" y1="12" x2="19" y2="12"></line><polyline points="12 5 19 12 12 19"></polyline></svg>'
+    };
+
+    /* Same data as the service cards — tier-level layouts */
+    if (ContentLoader) {
+        ContentLoader.registerType('pricing', {
+            source: 'services',
+            sort: 'order',
+            render: (items) => Pricing.renderTiers(items),
+            skeleton: { count: 3, className: 'skeleton-service' }
+        });
+        ContentLoader.registerType('pricing-compare', {
+            source: 'services',
+            sort: 'order',
+            render: (items) => Pricing.renderComparison(items),
+            skeleton: { count: 1, className: 'skeleton-service' }
+        });
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Pricing;
+    } else {
+        window.Pricing = Pricing;
+    }
+
+})();
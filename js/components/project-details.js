@@ -0,0 +1,435 @@
+/* File: js/components/project-details.js */
+/*
+ * ============================================
+ *    PROJECT DETAILS (portfolio.html)
+ * ============================================
+ *
+ * Renders the portfolio grid and the project detail modal
+ * straight from data/projects.json — adding a project in the
+ * CMS gives it a card AND a case study, no HTML editing.
+ *
+ * Every project has its own URL (shareable, listed in
+ * sitemap.xml):
+ *
+ *   portfolio.html?project=telegram-food-bot
+ *   portfolio.html#project-telegram-food-bot   (also works)
+ *
+ * Opening a project from the grid updates the address bar
+ * to match; closing the modal puts it back.
+ *
+ * The modal shows (each section only if the project has it):
+ * - Overview   → longDescription, written in markdown
+ *                (falls back to description)
+ * - Role / Timeline
+ * - Screenshots → gallery: [{ image, caption }]
+ * - Tech stack → technologies
+ * - Key results → results: ['60% fewer tickets', ...]
+ * - Live demo / source code links
+ * - Previous / next project (buttons or ← → keys), in the
+ *   same order as the grid
+ *
+ * Usage in HTML:
+ *   <div class="projects-grid" data-content="project-cards"></div>
+ *   <div class="modal-overlay" id="project-modal">…</div>
+ *   Any element with data-project="<id>" opens that project.
+ *
+ * Depends on: content-loader.js, modal.js, markdown.js
+ */
+
+;(function () {
+    'use strict';
+
+    /* Node (scripts/build-pages.js) or browser */
+    const ContentLoader = (typeof module !== 'undefined' && module.exports)
+        ? require('./content-loader.js')
+        : window.ContentLoader;
+
+    const ProjectDetails = {
+
+        /* ---- Configuration ---- */
+        PARAM: 'project',
+        HASH_PREFIX: '#project-',
+
+        /* Labels / icons for the category values in admin/config.yml */
+        CATEGORIES: {
+            web:       { label: 'Web',        icon: '🌐' },
+            telegram:  { label: 'Telegram',   icon: '🤖' },
+            saas:      { label: 'SaaS',       icon: '📊' },
+            ecommerce: { label: 'E-Commerce', icon: '🛒' },
+            other:     { label: 'Other',      icon: '✨' }
+        },
+
+        projects: [],
+        current: null,
+
+        init() {
+            this.overlay = document.getElementById('project-modal');
+            if (!this.overlay || !window.ContentLoader || !window.ModalManager) return;
+
+            this.pageTitle = document.title;
+            this.bindEvents();
+            this.openFromUrl();
+        },
+
+        bindEvents() {
+            document.addEventListener('click', (e) => {
+                const trigger = e.target.closest('[data-project]');
+                if (!trigger) return;
+
+                /* Let Ctrl/Cmd-click open the project's URL in a new tab */
+                if (e.ctrlKey || e.metaKey || e.shiftKey || e.button === 1) return;
+
+                e.preventDefault();
+                this.open(trigger.getAttribute('data-project'), trigger);
+            });
+
+            this.overlay.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-project-step]');
+                if (button) this.step(Number(button.getAttribute('data-project-step')));
+            });
+
+            this.overlay.addEventListener('modal:closed', () => this.onClose());
+
+            document.addEventListener('keydown', (e) => {
+                if (!this.current || ModalManager.activeModal !== this.overlay) return;
+                if (e.target.closest('input, textarea, select')) return;
+
+                if (e.key === 'ArrowLeft') this.step(-1);
+                if (e.key === 'ArrowRight') this.step(1);
+            });
+        },
+
+        /* All projects, in grid order (ContentLoader's cache is shared) */
+        async loadProjects() {
+            const type = ContentLoader.types['project-cards'] || ContentLoader.types.projects;
+            this.projects = ContentLoader.sortItems(await ContentLoader.getItems(type), 'order');
+            return this.projects;
+        },
+
+        /* ?project=<id> or #project-<id> */
+        readUrl() {
+            const param = new URLSearchParams(window.location.search).get(this.PARAM);
+            if (param) return param;
+
+            const hash = window.location.hash;
+            return hash.startsWith(this.HASH_PREFIX) ? decodeURIComponent(hash.slice(this.HASH_PREFIX.length)) : null;
+        },
+
+        async openFromUrl() {
+            const id = this.readUrl();
+            if (!id) return;
+
+            try {
+                await this.loadProjects();
+            } catch (error) {
+                /* The grid shows its own error */
+                return;
+            }
+
+            if (this.projects.some(project => project.id === id)) {
+                this.open(id, null);
+            } else {
+                console.warn('ProjectDetails: No project with id', id);
+                this.setUrl(null);
+            }
+        },
+
+
+        /* ==========================================
+           OPEN / NAVIGATE / CLOSE
+           ========================================== */
+
+        async open(id, trigger) {
+            if (this.projects.length === 0) await this.loadProjects();
+
+            const project = this.projects.find(item => item.id === id);
+            if (!project) return;
+
+            this.current = project;
+            this.render(project);
+            this.setUrl(project);
+
+            if (ModalManager.activeModal !== this.overlay) {
+                ModalManager.open(this.overlay, trigger);
+            }
+        },
+
+        /* -1 = previous project, 1 = next */
+        step(offset) {
+            const index = this.projects.indexOf(this.current) + offset;
+            const project = this.projects[index];
+            if (!project) return;
+
+            this.open(project.id, null);
+
+            /* Start the new project at the top */
+            const modal = this.overlay.querySelector('.modal');
+            if (modal) modal.scrollTop = 0;
+        },
+
+        onClose() {
+            this.current = null;
+            this.setUrl(null);
+        },
+
+        /* Keep the address bar (and <title>) in sync — without adding history entries */
+        setUrl(project) {
+            const url = new URL(window.location.href);
+
+            if (project) {
+                url.searchParams.set(this.PARAM, project.id);
+                document.title = `${project.title} — ${this.pageTitle}`;
+            } else {
+                url.searchParams.delete(this.PARAM);
+                document.title = this.pageTitle;
+            }
+            if (url.hash.startsWith(this.HASH_PREFIX)) url.hash = '';
+
+            window.history.replaceState(window.history.state, '', url.pathname + url.search + url.hash);
+        },
+
+        projectUrl(project) {
+            return `portfolio.html?${this.PARAM}=${encodeURIComponent(project.id)}`;
+        },
+
+
+        /* ==========================================
+           MODAL CONTENT
+           ========================================== */
+
+        render(project) {
+            const category = this.category(project.category);
+
+            this.setText('.modal__title', project.title);
+            this.setText('.modal__subtitle', project.role ? `${category.label} · ${project.role}` : category.label);
+            this.setText('.modal__icon', category.icon);
+
+            const body = this.overlay.querySelector('.modal__body');
+            body.innerHTML = [
+                this.renderOverview(project),
+                this.renderFacts(project),
+                this.renderGallery(project),
+                this.renderTech(project),
+                this.renderResults(project),
+                this.renderLinks(project),
+                this.renderPager(project)
+            ].join('');
+        },
+
+        renderOverview(project) {
+            const html = project.longDescription
+                ? window.Markdown.render(project.longDescription).html
+                : `<p>${this.escapeHtml(project.description)}</p>`;
+
+            return `
+                <div class="modal__section">
+                    <h4 class="modal__section-title">📋 Project Overview</h4>
+                    <div class="modal__text modal__markdown">${html}</div>
+                </div>`;
+        },
+
+        renderFacts(project) {
+            const facts = [['Role', project.role], ['Timeline', project.timeline]]
+                .filter(([, value]) => value)
+                .map(([label, value]) => `
+                    <div class="modal__fact">
+                        <dt class="modal__fact-label">${label}</dt>
+                        <dd class="modal__fact-value">${this.escapeHtml(value)}</dd>
+                    </div>`)
+                .join('');
+
+            return facts ? `<dl class="modal__section modal__facts">${facts}</dl>` : '';
+        },
+
+        renderGallery(project) {
+            const items = (project.gallery || [])
+                .map(item => (typeof item === 'string' ? { image: item } : item))
+                .filter(item => item && this.safeUrl(item.image));
+            if (items.length === 0) return '';
+
+            const figures = items.map(item => {
+                const caption = item.caption || project.title;
+                return `
+                    <figure class="modal__gallery-item">
+                        <a href="${this.escapeHtml(this.safeUrl(item.image))}" target="_blank" rel="noopener">
+                            <img src="${this.escapeHtml(this.safeUrl(item.image))}" alt="${this.escapeHtml(caption)}" loading="lazy">
+                        </a>
+                        ${item.caption ? `<figcaption class="modal__gallery-caption">${this.escapeHtml(item.caption)}</figcaption>` : ''}
+                    </figure>`;
+            }).join('');
+
+            return `
+                <div class="modal__section">
+                    <h4 class="modal__section-title">🖼️ Screenshots</h4>
+                    <div class="modal__gallery">${figures}</div>
+                </div>`;
+        },
+
+        renderTech(project) {
+            const tags = (project.technologies || [])
+                .map(tech => `<span class="modal__tech-tag">${this.escapeHtml(tech)}</span>`)
+                .join('');
+            if (!tags) return '';
+
+            return `
+                <div class="modal__section">
+                    <h4 class="modal__section-title">🛠️ Tech Stack</h4>
+                    <div class="modal__tech-stack">${tags}</div>
+                </div>`;
+        },
+
+        renderResults(project) {
+            const results = (project.results || [])
+                .map(result => `<div class="modal__feature"><span class="modal__feature-check">✓</span> ${this.escapeHtml(result)}</div>`)
+                .join('');
+            if (!results) return '';
+
+            return `
+                <div class="modal__section">
+                    <h4 class="modal__section-title">✨ Key Results</h4>
+                    <div class="modal__features">${results}</div>
+                </div>`;
+        },
+
+        renderLinks(project) {
+            const live = this.safeUrl(project.liveUrl);
+            const source = this.safeUrl(project.githubUrl);
+            if (!live && !source) return '';
+
+            return `
+                <div class="modal__links">
+                    ${live ? `<a href="${this.escapeHtml(live)}" class="btn btn--primary btn--sm" target="_blank" rel="noopener noreferrer">${ICONS.external} Live Demo</a>` : ''}
+                    ${source ? `<a href="${this.escapeHtml(source)}" class="btn btn--outline btn--sm" target="_blank" rel="noopener noreferrer">${ICONS.github} Source Code</a>` : ''}
+                </div>`;
+        },
+
+        /* ← Previous project · 2 / 6 · Next project → */
+        renderPager(project) {
+            const index = this.projects.indexOf(project);
+            const prev = this.projects[index - 1];
+            const next = this.projects[index + 1];
+            if (!prev && !next) return '';
+
+            const button = (target, step, label) => target
+                ? `<button type="button" class="modal__pager-btn modal__pager-btn--${step < 0 ? 'prev' : 'next'}" data-project-step="${step}">
+                        <span class="modal__pager-label">${label}</span>
+                        <span class="modal__pager-title">${this.escapeHtml(target.title)}</span>
+                   </button>`
+                : '<span></span>';
+
+            return `
+                <nav class="modal__pager" aria-label="More projects">
+                    ${button(prev, -1, '← Previous')}
+                    <span class="modal__pager-count">${index + 1} / ${this.projects.length}</span>
+                    ${button(next, 1, 'Next →')}
+                </nav>`;
+        },
+
+
+        /* ==========================================
+           GRID CARDS (data-content="project-cards")
+           ========================================== */
+
+        renderCards(projects) {
+            if (!projects || projects.length === 0) {
+                return '<p class="content-empty">No projects to display yet.</p>';
+            }
+
+            return projects.map((project, index) => {
+                const category = this.category(project.category);
+                const url = this.escapeHtml(this.projectUrl(project));
+                const id = this.escapeHtml(project.id);
+                const live = this.safeUrl(project.liveUrl);
+                const source = this.safeUrl(project.githubUrl);
+
+                const image = this.safeUrl(project.image)
+                    ? `<img class="project-card__image" src="${this.escapeHtml(this.safeUrl(project.image))}" alt="${this.escapeHtml(project.title)}" loading="lazy">`
+                    : `<div class="project-card__image-placeholder">${category.icon}</div>`;
+
+                const tags = (project.technologies || []).slice(0, 4)
+                    .map(tech => `<span class="project-card__tag">${this.escapeHtml(tech)}</span>`)
+                    .join('');
+
+                return `
+                    <article class="project-card" data-category="${this.escapeHtml(project.category || 'other')}" data-animation="fade-in-up" data-delay="${(index % 3) * 100}">
+                        <div class="project-card__image-wrapper">
+                            ${image}
+                            <div class="project-card__overlay">
+                                <a href="${url}" class="project-card__overlay-btn" data-project="${id}" aria-label="View details: ${this.escapeHtml(project.title)}">${ICONS.search}</a>
+                                ${live ? `<a href="${this.escapeHtml(live)}" class="project-card__overlay-btn" aria-label="Live demo" target="_blank" rel="noopener noreferrer">${ICONS.external}</a>` : ''}
+                                ${source ? `<a href="${this.escapeHtml(source)}" class="project-card__overlay-btn" aria-label="Source code" target="_blank" rel="noopener noreferrer">${ICONS.github}</a>` : ''}
+                            </div>
+                            <span class="project-card__category">${this.escapeHtml(category.label)}</span>
+                        </div>
+                        <div class="project-card__body">
+                            <h3 class="project-card__title">${this.escapeHtml(project.title)}</h3>
+                            <p class="project-card__description">${this.escapeHtml(project.description)}</p>
+                            <div class="project-card__tags">${tags}</div>
+                            <div class="project-card__footer">
+                                <a href="${url}" class="project-card__link" data-project="${id}">View Details ${ICONS.arrow}</a>
+                                ${live ? `<a href="${this.escapeHtml(live)}" class="project-card__link project-card__link--external" target="_blank" rel="noopener noreferrer">Live Demo ${ICONS.external}</a>` : ''}
+                            </div>
+                        </div>
+                    </article>`;
+            }).join('');
+        },
+
+
+        /* ==========================================
+           UTILITIES
+           ========================================== */
+
+        category(name) {
+            return this.CATEGORIES[name] || { label: name || 'Other', icon: this.CATEGORIES.other.icon };
+        },
+
+        setText(selector, text) {
+            const el = this.overlay.querySelector(selector);
+            if (el) el.textContent = text;
+        },
+
+        /* Links from the CMS — no javascript: / data: URLs */
+        safeUrl(url) {
+            const value = String(url || '').trim();
+            if (!value || value === '#' || /^(javascript|data|vbscript):/i.test(value)) return '';
+            return value;
+        },
+
+        escapeHtml(str) {
+            return String(str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+    };
+
+    const ICONS = {
+        search: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg>',
+        external: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path><polyline points="15 3 21 3 21 9"></polyline><line x1="10" y1="14" x2="21" y2="3"></line></svg>',
+        github: '<svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor"><path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/></svg>',
+        arrow: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="5" y1="12" x2="19" y2="12"></line><polyline points="12 5 19 12 12 19"></polyline></svg>'
+    };
+
+    /* The portfolio grid — same data, portfolio card layout */
+    if (ContentLoader) {
+        ContentLoader.registerType('project-cards', {
+            source: 'projects',
+            sort: 'order',
+            render: (items) => ProjectDetails.renderCards(items),
+            skeleton: { count: 6, className: 'skeleton-card' }
+        });
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ProjectDetails;
+    } else {
+        document.addEventListener('DOMContentLoaded', () => {
+            ProjectDetails.init();
+        });
+
+        window.ProjectDetails = ProjectDetails;
+    }
+
+})();
@@ -2,7 +2,7 @@
 
 /*
  * ============================================
- *  READING PROGRESS BAR
+ *  READING PROGRESS BAR + READING HISTORY
  * ============================================
  *
  * Shows a thin progress bar at the top of the viewport
@@ -13,34 +13,58 @@
  * 2. Calculates how far through the article the user has scrolled
  * 3. Updates the width of .reading-progress bar
  *
- * Only activates on pages that have a .post-content element.
+ * Reading history (post pages, after "post:rendered"):
+ * - The scroll position and how much of the post has been read
+ *   are remembered per post in localStorage
+ * - Coming back to a half-read post shows a
+ *   "Continue where you left off" prompt (#reading-resume)
+ *
+ * On blog.html, #reading-history lists the posts read recently
+ * with their progress, and a button to clear the history.
+ *
+ * Storage is bounded: the MAX_ENTRIES most recent posts, none
+ * older than MAX_AGE_DAYS.
+ *
+ * Stored structure (localStorage "reading-history"):
+ * [{ slug, title, url, position: 0.42, progress: 0.6, readAt }, ...]
+ * (position = where the reader is, progress = furthest point
+ *  reached — both as a fraction of the article)
  */
 
 ;(function () {
     'use strict';
 
     const ReadingProgress = {
+
+        /* ---- Configuration ---- */
+        STORAGE_KEY: 'reading-history',
+        MAX_ENTRIES: 20,
+        MAX_AGE_DAYS: 90,
+        MIN_RESUME: 0.05,       /* don't offer to resume right at the top */
+        COMPLETE_AT: 0.95,      /* counts as read from here */
+        SAVE_DELAY: 500,
+        HISTORY_LIMIT: 4,       /* posts shown on blog.html */
+
+        post: null,
+        saveTimer: null,
+        resumePending: false,
+
         init() {
             this.progressBar = document.querySelector('.reading-progress');
             this.article = document.querySelector('.post-content');
 
+            this.renderHistory();
+
             if (!this.progressBar || !this.article) return;
 
             this.bindEvents();
             this.update();
         },
 
-        update() {
-            const articleRect = this.article.getBoundingClientRect();
-            const articleTop = this.article.offsetTop;
-            const articleHeight = this.article.offsetHeight;
-            const windowHeight = window.innerHeight;
-            const scrollY = window.scrollY;
-
-            /* Calculate progress through the article */
-            const start = articleTop;
-            const end = articleTop + articleHeight - windowHeight;
-            const current = scrollY;
+        /* How far through the article the viewport is (0 … 1) */
+        getProgress() {
+            const { start, end } = this.getBounds();
+            const current = window.scrollY;
 
             let progress = 0;
             if (current >= start && end > start) {
@@ -48,13 +72,211 @@
             } else if (current >= end) {
                 progress = 1;
             }
+            return progress;
+        },
+
+        /* Scroll range over which the article is read */
+        getBounds() {
+            const articleTop = this.article.offsetTop;
+            const articleHeight = this.article.offsetHeight;
+            const windowHeight = window.innerHeight;
 
+            return {
+                start: articleTop,
+                end: articleTop + articleHeight - windowHeight
+            };
+        },
+
+        update() {
+            const progress = this.getProgress();
             this.progressBar.style.width = (progress * 100) + '%';
+
+            if (this.post) this.scheduleSave(progress);
         },
 
         bindEvents() {
             window.addEventListener('scroll', () => this.update(), { passive: true });
             window.addEventListener('resize', () => this.update(), { passive: true });
+
+            /* Don't lose the last few hundred milliseconds when leaving */
+            window.addEventListener('pagehide', () => this.saveNow());
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.saveNow();
+            });
+        },
+
+
+        /* ==========================================
+           PER-POST POSITION
+           ========================================== */
+
+        /* Called on "post:rendered" — the article now has its real height */
+        track(post) {
+            if (!this.article || !post) return;
+
+            const saved = this.getEntry(post.slug);
+            this.post = post;
+
+            this.offerResume(saved);
+            this.update();
+        },
+
+        scheduleSave(progress) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = setTimeout(() => this.save(progress), this.SAVE_DELAY);
+        },
+
+        saveNow() {
+            if (!this.post) return;
+            clearTimeout(this.saveTimer);
+            this.save(this.getProgress());
+        },
+
+        save(position) {
+            /* Keep the saved spot until the reader answers the resume prompt */
+            if (this.resumePending) return;
+
+            const previous = this.getEntry(this.post.slug);
+
+            /* Just opened and still at the top — nothing worth remembering */
+            if (!previous && position < this.MIN_RESUME) return;
+
+            this.setEntry({
+                slug: this.post.slug,
+                title: this.post.title,
+                url: window.Posts ? Posts.url(this.post.slug) : window.location.pathname + window.location.search,
+                position: Math.round(position * 1000) / 1000,
+                progress: Math.round(Math.max(position, previous ? previous.progress : 0) * 1000) / 1000,
+                readAt: Date.now()
+            });
+        },
+
+        /* "Continue where you left off" — only for half-read posts */
+        offerResume(entry) {
+            const prompt = document.getElementById('reading-resume');
+            if (!prompt || !entry) return;
+
+            /* A link to a section (#setup) wins over the saved position */
+            if (window.location.hash) return;
+            if (entry.position < this.MIN_RESUME || entry.position >= this.COMPLETE_AT) return;
+
+            const percent = prompt.querySelector('.reading-resume__percent');
+            if (percent) percent.textContent = Math.round(entry.position * 100) + '%';
+
+            const close = () => {
+                this.resumePending = false;
+                prompt.hidden = true;
+                window.removeEventListener('scroll', onScroll);
+            };
+
+            /* Scrolling on your own counts as "no thanks" */
+            const onScroll = () => {
+                if (this.getProgress() > this.MIN_RESUME) close();
+            };
+
+            prompt.querySelector('.reading-resume__continue').onclick = () => {
+                close();
+                const { start, end } = this.getBounds();
+                window.scrollTo({ top: start + entry.position * (end - start), behavior: 'smooth' });
+            };
+            prompt.querySelector('.reading-resume__dismiss').onclick = close;
+
+            this.resumePending = true;
+            prompt.hidden = false;
+            window.addEventListener('scroll', onScroll, { passive: true });
+        },
+
+
+        /* ==========================================
+           STORAGE
+           ========================================== */
+
+        /* Newest first, expired entries dropped */
+        getHistory() {
+            let history = [];
+            try {
+                history = JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || [];
+            } catch (e) {
+                history = [];
+            }
+
+            const maxAge = this.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+            return (Array.isArray(history) ? history : [])
+                .filter(entry => entry && entry.slug && Date.now() - entry.readAt < maxAge)
+                .sort((a, b) => b.readAt - a.readAt);
+        },
+
+        getEntry(slug) {
+            return this.getHistory().find(entry => entry.slug === slug) || null;
+        },
+
+        setEntry(entry) {
+            const history = this.getHistory().filter(item => item.slug !== entry.slug);
+            history.unshift(entry);
+            this.saveHistory(history.slice(0, this.MAX_ENTRIES));
+        },
+
+        saveHistory(history) {
+            try {
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(history));
+            } catch (e) {
+                console.warn('Could not save reading history to localStorage:', e);
+            }
+        },
+
+        clearHistory() {
+            try {
+                localStorage.removeItem(this.STORAGE_KEY);
+            } catch (e) {
+                /* Storage unavailable — nothing was saved either */
+            }
+            this.renderHistory();
+        },
+
+
+        /* ==========================================
+           RECENTLY READ (blog.html)
+           ========================================== */
+
+        renderHistory() {
+            const section = document.getElementById('reading-history');
+            if (!section) return;
+
+            const list = section.querySelector('.reading-history__list');
+            const history = this.getHistory().slice(0, this.HISTORY_LIMIT);
+
+            if (!list || history.length === 0) {
+                section.hidden = true;
+                return;
+            }
+
+            list.innerHTML = history.map(entry => {
+                const percent = Math.round(entry.progress * 100);
+                const done = entry.progress >= this.COMPLETE_AT;
+
+                return `
+                    <li class="reading-history__item">
+                        <a class="reading-history__link" href="${this.escapeHtml(entry.url)}">${this.escapeHtml(entry.title)}</a>
+                        <span class="reading-history__status">${done ? 'Read' : percent + '% read'}</span>
+                        <span class="reading-history__bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}" aria-label="${this.escapeHtml(entry.title)}">
+                            <span class="reading-history__fill${done ? ' reading-history__fill--done' : ''}" style="width: ${percent}%"></span>
+                        </span>
+                    </li>`;
+            }).join('');
+
+            const clearBtn = section.querySelector('.reading-history__clear');
+            if (clearBtn) clearBtn.onclick = () => this.clearHistory();
+
+            section.hidden = false;
+        },
+
+        escapeHtml(str) {
+            return String(str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
         }
     };
 
@@ -62,4 +284,10 @@
         ReadingProgress.init();
     });
 
-})();
\ No newline at end of file
+    document.addEventListener('post:rendered', (e) => {
+        ReadingProgress.track(e.detail.post);
+    });
+
+    window.ReadingProgress = ReadingProgress;
+
+})();
@@ -0,0 +1,177 @@
+/* File: js/components/related-posts.js */
+/*
+ * ============================================
+ *    RELATED POSTS + SERIES NAVIGATION
+ * ============================================
+ *
+ * Fills the end of a post page with ways to keep reading:
+ *
+ * 1. Series — when the post has a `series` in its frontmatter:
+ *    "Part 2 of 4" overview listing every part, plus
+ *    Previous / Next part links (.post-nav)
+ *
+ * 2. Related articles — up to 3 posts scored by shared tags,
+ *    same category and recency (see Posts.relatedTo)
+ *
+ * Both come from data/posts.json — the same index the blog
+ * listing uses — so drafts and scheduled posts never show up.
+ * Each block stays hidden when there's nothing to show.
+ *
+ * Runs on "post:rendered" (dispatched by blog-post.js).
+ *
+ * Depends on: posts.js, content-loader.js (fetchData + cache)
+ */
+
+;(function () {
+    'use strict';
+
+    const RelatedPosts = {
+
+        /* ---- Configuration ---- */
+        LIMIT: 3,
+
+        async init(post) {
+            this.seriesEl = document.getElementById('post-series');
+            this.relatedEl = document.getElementById('related-posts');
+
+            if (!this.seriesEl && !this.relatedEl) return;
+
+            let posts;
+            try {
+                posts = await this.fetchIndex();
+            } catch (error) {
+                /* Nice-to-have — the article itself is already on screen */
+                console.warn('RelatedPosts: Could not load the posts index', error);
+                return;
+            }
+
+            this.renderSeries(Posts.seriesOf(post, posts));
+            this.renderRelated(Posts.relatedTo(post, posts, this.LIMIT));
+        },
+
+        /* Shares ContentLoader's cache with any listing on the page */
+        async fetchIndex() {
+            if (window.ContentLoader) {
+                const data = await window.ContentLoader.fetchData('posts');
+                return data.posts || [];
+            }
+
+            const response = await fetch('data/posts.json');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            return (await response.json()).posts || [];
+        },
+
+
+        /* ==========================================
+           SERIES
+           ========================================== */
+
+        renderSeries(series) {
+            if (!this.seriesEl) return;
+
+            if (!series || series.parts.length < 2) {
+                this.seriesEl.hidden = true;
+                return;
+            }
+
+            const parts = series.parts.map((part, index) => {
+                const title = this.escapeHtml(part.title);
+                return index === series.index
+                    ? `<li class="post-series__item post-series__item--current" aria-current="page">${title}</li>`
+                    : `<li class="post-series__item"><a href="${this.escapeHtml(this.url(part))}">${title}</a></li>`;
+            }).join('');
+
+            this.seriesEl.innerHTML = `
+                <div class="post-series__header">
+                    <span class="post-series__label">Series · Part ${series.index + 1} of ${series.parts.length}</span>
+                    <h2 class="post-series__title">${this.escapeHtml(series.name)}</h2>
+                </div>
+                <ol class="post-series__list">${parts}</ol>
+                ${this.renderSeriesNav(series)}`;
+            this.seriesEl.hidden = false;
+        },
+
+        /* Previous / Next part — reuses the .post-nav styles */
+        renderSeriesNav(series) {
+            if (!series.prev && !series.next) return '';
+
+            const prev = series.prev ? `
+                <a href="${this.escapeHtml(this.url(series.prev))}" class="post-nav__item post-nav__item--prev">
+                    <span class="post-nav__label"><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15 18 9 12 15 6"></polyline></svg> Previous part</span>
+                    <span class="post-nav__title">${this.escapeHtml(series.prev.title)}</span>
+                </a>` : '<span></span>';
+
+            const next = series.next ? `
+                <a href="${this.escapeHtml(this.url(series.next))}" class="post-nav__item post-nav__item--next">
+                    <span class="post-nav__label">Next part <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="9 18 15 12 9 6"></polyline></svg></span>
+                    <span class="post-nav__title">${this.escapeHtml(series.next.title)}</span>
+                </a>` : '';
+
+            return `<nav class="post-nav" aria-label="Series navigation">${prev}${next}</nav>`;
+        },
+
+
+        /* ==========================================
+           RELATED ARTICLES
+           ========================================== */
+
+        renderRelated(posts) {
+            if (!this.relatedEl) return;
+
+            const grid = this.relatedEl.querySelector('.cards-grid');
+            if (!grid || posts.length === 0) {
+                this.relatedEl.hidden = true;
+                return;
+            }
+
+            grid.innerHTML = posts.map((post, index) => `
+                <article class="card card--blog" data-animation="fade-in-up" data-delay="${(index + 1) * 100}">
+                    <div class="card__image-wrapper">
+                        <div class="card__image-placeholder">${this.renderImage(post)}</div>
+                        <span class="card__category-badge">${this.escapeHtml(Posts.categoryLabel(post.category))}</span>
+                    </div>
+                    <div class="card__body">
+                        <div class="card__meta">
+                            <time datetime="${this.escapeHtml(post.date)}">${Posts.formatDate(post.date, 'short')}</time>
+                            <span class="card__meta-divider">·</span>
+                            <span>${this.escapeHtml(post.readingTime || '')}</span>
+                        </div>
+                        <h3 class="card__title"><a href="${this.escapeHtml(this.url(post))}">${this.escapeHtml(post.title)}</a></h3>
+                        <p class="card__description">${this.escapeHtml(post.description)}</p>
+                    </div>
+                </article>`).join('');
+
+            this.relatedEl.hidden = false;
+
+            if (window.ContentLoader) window.ContentLoader.triggerAnimations(grid);
+        },
+
+        renderImage(post) {
+            return post.thumbnail
+                ? `<img src="${this.escapeHtml(post.thumbnail)}" alt="${this.escapeHtml(post.title)}" loading="lazy">`
+                : `<svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1"><rect x="3" y="3" width="18" height="18" rx="2"></rect><circle cx="8.5" cy="8.5" r="1.5"></circle><polyline points="21 15 16 10 5 21"></polyline></svg>`;
+        },
+
+
+        /* ==========================================
+           UTILITIES
+           ========================================== */
+
+        url(post) {
+            return post.url || Posts.url(post.slug);
+        },
+
+        escapeHtml(str) {
+            return window.Markdown.escapeHtml(str == null ? '' : str);
+        }
+    };
+
+    document.addEventListener('post:rendered', (e) => {
+        RelatedPosts.init(e.detail.post);
+    });
+
+    window.RelatedPosts = RelatedPosts;
+
+})();
@@ -0,0 +1,167 @@
+/* File: js/components/schema.js */
+/*
+ * ============================================
+ *    DATA SCHEMA VALIDATOR
+ * ============================================
+ *
+ * Checks the data/*.json content files against the JSON
+ * schemas in data/schemas/, so a missing id, a price typed
+ * as text or a rating of 7 is reported instead of quietly
+ * producing a broken card.
+ *
+ * Used by:
+ * - scripts/validate-data.js — the Node command (and build step)
+ * - ContentLoader in dev mode — loaded on demand, skips the
+ *   invalid records and logs why
+ *
+ * Supported keywords (the subset of JSON Schema the data
+ * files need):
+ *   type ("string", "number", "integer", "boolean", "object",
+ *         "array" — or a list of them), enum,
+ *   properties, required, items, minItems,
+ *   minimum, maximum, minLength,
+ *   pattern (+ patternHint — a readable version for the message),
+ *   uniqueItemProperties (e.g. ["id"] — no two items share it)
+ * Anything else (title, description, $schema, ...) is ignored.
+ *
+ * Usage:
+ *   Schema.validate(data, schema)
+ *   → [{ path: 'projects[2].price', message: 'must be a number (got string "49")' }, ...]
+ *   (empty array = valid)
+ */
+
+;(function () {
+    'use strict';
+
+    const Schema = {
+
+        validate(value, schema, path) {
+            const errors = [];
+            this.check(value, schema || {}, path || '', errors);
+            return errors;
+        },
+
+        check(value, schema, path, errors) {
+            const fail = (message) => errors.push({ path: path || '(root)', message });
+
+            if (schema.type && !this.matchesType(value, schema.type)) {
+                fail(`must be ${this.describeType(schema.type)} (got ${this.describeValue(value)})`);
+                return;
+            }
+
+            if (schema.enum && !schema.enum.includes(value)) {
+                fail(`must be one of: ${schema.enum.join(', ')} (got ${this.describeValue(value)})`);
+            }
+
+            if (typeof value === 'string') {
+                if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                    fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+                }
+                if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                    fail(`doesn't match the expected format${schema.patternHint ? ' — ' + schema.patternHint : ''} (got ${this.describeValue(value)})`);
+                }
+            }
+
+            if (typeof value === 'number') {
+                if (schema.minimum !== undefined && value < schema.minimum) {
+                    fail(`must be at least ${schema.minimum} (got ${value})`);
+                }
+                if (schema.maximum !== undefined && value > schema.maximum) {
+                    fail(`must be at most ${schema.maximum} (got ${value})`);
+                }
+            }
+
+            if (Array.isArray(value)) {
+                this.checkArray(value, schema, path, errors);
+            } else if (value && typeof value === 'object') {
+                this.checkObject(value, schema, path, errors);
+            }
+        },
+
+        checkObject(value, schema, path, errors) {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined || value[key] === null) {
+                    errors.push({ path: this.join(path, key), message: 'is required' });
+                }
+            });
+
+            Object.keys(schema.properties || {}).forEach(key => {
+                if (value[key] === undefined || value[key] === null) return;
+                this.check(value[key], schema.properties[key], this.join(path, key), errors);
+            });
+        },
+
+        checkArray(value, schema, path, errors) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path: path || '(root)', message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+            }
+
+            if (schema.items) {
+                value.forEach((item, index) => this.check(item, schema.items, `${path}[${index}]`, errors));
+            }
+
+            (schema.uniqueItemProperties || []).forEach(key => {
+                const seen = {};
+                value.forEach((item, index) => {
+                    if (!item || item[key] === undefined) return;
+                    const id = String(item[key]);
+                    if (Object.prototype.hasOwnProperty.call(seen, id)) {
+                        errors.push({
+                            path: `${path}[${index}].${key}`,
+                            message: `duplicate ${key} ${JSON.stringify(id)} (also used by ${path}[${seen[id]}])`
+                        });
+                    } else {
+                        seen[id] = index;
+                    }
+                });
+            });
+        },
+
+
+        /* ==========================================
+           HELPERS
+           ========================================== */
+
+        matchesType(value, type) {
+            const types = Array.isArray(type) ? type : [type];
+            return types.some(name => {
+                switch (name) {
+                    case 'integer': return Number.isInteger(value);
+                    case 'number':  return typeof value === 'number' && isFinite(value);
+                    case 'array':   return Array.isArray(value);
+                    case 'object':  return value !== null && typeof value === 'object' && !Array.isArray(value);
+                    case 'null':    return value === null;
+                    default:        return typeof value === name;
+                }
+            });
+        },
+
+        describeType(type) {
+            const article = name => (/^[aeiou]/.test(name) ? 'an ' : 'a ') + name;
+            return (Array.isArray(type) ? type : [type]).map(article).join(' or ');
+        },
+
+        /* 'string "49"', 'number 7', 'null', ... — for error messages */
+        describeValue(value) {
+            if (value === null) return 'null';
+            if (value === undefined) return 'nothing';
+            if (Array.isArray(value)) return 'an array';
+            if (typeof value === 'object') return 'an object';
+
+            const text = JSON.stringify(value);
+            return `${typeof value} ${text.length > 40 ? text.slice(0, 37) + '…"' : text}`;
+        },
+
+        join(path, key) {
+            return path ? `${path}.${key}` : key;
+        }
+    };
+
+    /* Node (build scripts) or browser */
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Schema;
+    } else {
+        window.Schema = Schema;
+    }
+
+})();
@@ -0,0 +1,305 @@
+/* File: js/components/search-index.js */
+/*
+ * ============================================
+ *    BLOG FULL-TEXT SEARCH INDEX
+ * ============================================
+ *
+ * A small inverted index for the blog — built once on deploy
+ * (scripts/build-search.js → data/search-index.json) and
+ * queried in the browser by blog-search.js.
+ *
+ * Index structure:
+ * {
+ *   docs:  [{ slug, title, text }, ...]      (text = plain body, for snippets)
+ *   terms: { "python": [[0, 14], [2, 3]] }   (doc index, weighted frequency)
+ * }
+ *
+ * Weighted frequency: every occurrence of a term counts with
+ * the weight of the field it appears in (FIELD_WEIGHTS), so a
+ * word in the title outranks the same word deep in the body.
+ *
+ * Matching, per query word:
+ * - exact     "python"  → python                (full score)
+ * - prefix    "tele"    → telegram, telemetry   (PREFIX_FACTOR)
+ * - fuzzy     "pyhton"  → python                (FUZZY_FACTOR)
+ *             (1 typo for words of 4+ letters, 2 for 8+)
+ *
+ * A post must match EVERY query word (in any of those ways).
+ * Rarer words count more than common ones (idf).
+ *
+ * The same file runs in the browser (window.SearchIndex) and in
+ * Node build scripts (require('./search-index.js')).
+ */
+
+;(function () {
+    'use strict';
+
+    const SearchIndex = {
+
+        /* ---- Configuration ---- */
+        FIELD_WEIGHTS: {
+            title: 10,
+            tags: 6,
+            category: 4,
+            description: 3,
+            body: 1
+        },
+        PREFIX_FACTOR: 0.6,
+        FUZZY_FACTOR: 0.4,
+        MIN_PREFIX_LENGTH: 2,
+        SNIPPET_LENGTH: 160,
+
+        /* Too common to be useful on their own */
+        STOP_WORDS: new Set([
+            'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from',
+            'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to',
+            'was', 'with', 'you', 'your'
+        ]),
+
+
+        /* ==========================================
+           BUILDING
+           ========================================== */
+
+        /*
+         * posts: [{ slug, title, description, category, tags, text }]
+         * (text = the post body as plain text)
+         */
+        build(posts) {
+            const terms = {};
+
+            const docs = posts.map((post, docIndex) => {
+                const counts = {};
+                const fields = {
+                    title: post.title,
+                    tags: (post.tags || []).join(' '),
+                    category: post.category,
+                    description: post.description,
+                    body: post.text
+                };
+
+                Object.keys(fields).forEach(field => {
+                    this.tokenize(fields[field]).forEach(term => {
+                        counts[term] = (counts[term] || 0) + this.FIELD_WEIGHTS[field];
+                    });
+                });
+
+                Object.keys(counts).forEach(term => {
+                    if (!terms[term]) terms[term] = [];
+                    terms[term].push([docIndex, counts[term]]);
+                });
+
+                return { slug: post.slug, title: post.title, text: post.text || '' };
+            });
+
+            return { docs, terms };
+        },
+
+        /* "Hello, Wörld!" → ['hello', 'world'] (stop words dropped) */
+        tokenize(text) {
+            return this.normalize(text)
+                .split(/[^a-z0-9]+/)
+                .filter(word => word.length > 1 && !this.STOP_WORDS.has(word));
+        },
+
+        normalize(text) {
+            return String(text || '')
+                .normalize('NFKD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase();
+        },
+
+
+        /* ==========================================
+           QUERYING
+           ========================================== */
+
+        /*
+         * Ranked results, best first:
+         * [{ slug, score, terms: ['telegram', 'bots'] }]
+         * (terms = the indexed words that matched — for highlighting)
+         *
+         * A query with nothing to search for — only stop words or
+         * single letters ("the", "a") — filters nothing: every
+         * post, in index order.
+         */
+        search(index, query) {
+            if (!index) return [];
+
+            const words = this.tokenize(query);
+            if (words.length === 0) {
+                return index.docs.map(doc => ({ slug: doc.slug, score: 0, terms: [] }));
+            }
+
+            const vocabulary = Object.keys(index.terms);
+            const totalDocs = index.docs.length;
+            let results = null;
+
+            words.forEach(word => {
+                const scores = {};
+
+                this.expand(word, vocabulary).forEach(({ term, factor }) => {
+                    const postings = index.terms[term];
+                    const idf = Math.log(1 + totalDocs / postings.length);
+
+                    postings.forEach(([doc, frequency]) => {
+                        if (!scores[doc]) scores[doc] = { score: 0, terms: [] };
+                        scores[doc].score += frequency * factor * idf;
+                        scores[doc].terms.push(term);
+                    });
+                });
+
+                /* Every query word must match — keep the intersection */
+                if (results === null) {
+                    results = scores;
+                } else {
+                    Object.keys(results).forEach(doc => {
+                        if (!scores[doc]) {
+                            delete results[doc];
+                        } else {
+                            results[doc].score += scores[doc].score;
+                            results[doc].terms.push(...scores[doc].terms);
+                        }
+                    });
+                }
+            });
+
+            return Object.keys(results)
+                .map(doc => ({
+                    slug: index.docs[doc].slug,
+                    score: results[doc].score,
+                    terms: results[doc].terms
+                }))
+                .sort((a, b) => b.score - a.score);
+        },
+
+        /* Indexed words a query word matches, with their score factor */
+        expand(word, vocabulary) {
+            const maxTypos = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+
+            return vocabulary.reduce((matches, term) => {
+                if (term === word) {
+                    matches.push({ term, factor: 1 });
+                } else if (word.length >= this.MIN_PREFIX_LENGTH && term.startsWith(word)) {
+                    matches.push({ term, factor: this.PREFIX_FACTOR });
+                } else if (maxTypos > 0 && this.withinDistance(word, term, maxTypos)) {
+                    matches.push({ term, factor: this.FUZZY_FACTOR });
+                }
+                return matches;
+            }, []);
+        },
+
+        /*
+         * Edit distance <= max? Insertions, deletions, substitutions
+         * and swapped neighbours ("pyhton") each count as one typo.
+         * Bails out early once a whole row is over the limit, so
+         * non-matches are cheap.
+         */
+        withinDistance(a, b, max) {
+            if (Math.abs(a.length - b.length) > max) return false;
+
+            let beforePrevious = null;
+            let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                let rowMin = i;
+
+                for (let j = 1; j <= b.length; j++) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+                    if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+                    }
+                    rowMin = Math.min(rowMin, current[j]);
+                }
+
+                if (rowMin > max) return false;
+                beforePrevious = previous;
+                previous = current;
+            }
+
+            return previous[b.length] <= max;
+        },
+
+
+        /* ==========================================
+           SNIPPETS
+           ========================================== */
+
+        /*
+         * A short excerpt of `text` around the first matched word,
+         * as HTML with the matches wrapped in <mark>.
+         */
+        snippet(text, terms, length) {
+            const size = length || this.SNIPPET_LENGTH;
+            const source = String(text || '');
+            const pattern = this.termsPattern(terms);
+            if (!source || !pattern) return '';
+
+            const match = pattern.exec(this.normalize(source));
+            if (!match) return '';
+
+            /* Start a little before the match, on a word boundary */
+            let start = Math.max(0, match.index - Math.round(size / 3));
+            if (start > 0) start = source.indexOf(' ', start) + 1 || start;
+            let end = Math.min(source.length, start + size);
+            if (end < source.length) end = source.lastIndexOf(' ', end) > start ? source.lastIndexOf(' ', end) : end;
+
+            const excerpt = source.slice(start, end);
+            return (start > 0 ? '… ' : '') +
+                this.highlight(excerpt, terms) +
+                (end < source.length ? ' …' : '');
+        },
+
+        /* Escape `text` and wrap every matched word in <mark> */
+        highlight(text, terms) {
+            const source = String(text || '');
+            const pattern = this.termsPattern(terms, 'g');
+            if (!pattern) return this.escapeHtml(source);
+
+            /* Match on the accent-free text, slice the original (same length for Latin text) */
+            const normalized = this.normalize(source);
+            const sameLength = normalized.length === source.length;
+            let html = '';
+            let last = 0;
+            let match;
+
+            while (sameLength && (match = pattern.exec(normalized)) !== null) {
+                html += this.escapeHtml(source.slice(last, match.index));
+                html += '<mark>' + this.escapeHtml(source.slice(match.index, match.index + match[0].length)) + '</mark>';
+                last = match.index + match[0].length;
+            }
+
+            return html + this.escapeHtml(source.slice(last));
+        },
+
+        /* Words starting with any of the terms (covers prefix matches) */
+        termsPattern(terms, flags) {
+            const unique = Array.from(new Set(terms || [])).filter(Boolean);
+            if (unique.length === 0) return null;
+
+            const escaped = unique
+                .sort((a, b) => b.length - a.length)
+                .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            return new RegExp(`\\b(${escaped.join('|')})[a-z0-9]*`, flags || '');
+        },
+
+        escapeHtml(str) {
+            return String(str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SearchIndex;
+    } else {
+        window.SearchIndex = SearchIndex;
+    }
+
+})();
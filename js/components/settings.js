@@ -0,0 +1,204 @@
+/* File: js/components/settings.js */
+/*
+ * ============================================
+ *    SITE SETTINGS (data/settings.json)
+ * ============================================
+ *
+ * Fills the site name, email, social links, notification bar,
+ * ... on every page from data/settings.json, so they're edited
+ * once (in the CMS) instead of in each HTML file.
+ *
+ * Bindings (the value is a key in settings.json, dots for
+ * nested keys):
+ *
+ *   data-setting="social.github"
+ *   → <a>: the href (an email address becomes "mailto:...")
+ *     <meta>: the content, <img>: the src, anything else: the text
+ *
+ *   data-setting-text="siteName"
+ *   → always the text (e.g. a mailto link that shows the address)
+ *
+ *   data-setting-if="notificationBar"
+ *   → the element is only shown when that setting has a value
+ *
+ *   data-setting-format="handle"
+ *   → "https://t.me/yourusername" is shown as "@yourusername"
+ *
+ * An empty or missing value HIDES the element instead of
+ * leaving a dead link — clear a social link in the CMS and its
+ * icon disappears everywhere. The markup keeps a working
+ * fallback for visitors without JavaScript.
+ *
+ * The notification bar (#notification-bar) shows
+ * notificationBar / notificationBarLink. Dismissing it hides
+ * that message for good — a new message shows again.
+ *
+ * Other scripts: Settings.get('social.github') once loaded,
+ * or listen for "settings:loaded" (detail: { settings }).
+ *
+ * Depends on: content-loader.js (optional — shares its cache)
+ */
+
+;(function () {
+    'use strict';
+
+    const Settings = {
+
+        /* ---- Configuration ---- */
+        SOURCE: 'settings',
+        PATH: 'data/settings.json',
+        SELECTOR: '[data-setting], [data-setting-text], [data-setting-if]',
+        DISMISS_KEY: 'notification-bar-dismissed',
+
+        /* data-setting-format="..." */
+        FORMATS: {
+            /* "https://t.me/yourusername" → "@yourusername" */
+            handle: value => '@' + String(value).replace(/\/+$/, '').split('/').pop().replace(/^@/, '')
+        },
+
+        values: null,
+
+        async init() {
+            try {
+                this.values = await this.load();
+            } catch (error) {
+                /* Keep the fallback markup */
+                console.warn('Settings: could not load', this.PATH, error);
+                return;
+            }
+
+            this.apply(document);
+            this.initNotificationBar();
+
+            document.dispatchEvent(new CustomEvent('settings:loaded', {
+                detail: { settings: this.values }
+            }));
+        },
+
+        load() {
+            /* Same cache (memory + IndexedDB) as the content cards */
+            if (window.ContentLoader) {
+                return ContentLoader.fetchData(this.SOURCE);
+            }
+
+            return fetch(this.PATH).then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                return response.json();
+            });
+        },
+
+        /* get('social.github') → the value, or '' when it's missing */
+        get(key) {
+            const value = String(key || '').split('.').reduce(
+                (current, part) => (current && typeof current === 'object' ? current[part] : undefined),
+                this.values
+            );
+            return value === undefined || value === null ? '' : value;
+        },
+
+        has(key) {
+            const value = this.get(key);
+            return typeof value === 'string' ? value.trim() !== '' : Boolean(value);
+        },
+
+
+        /* ==========================================
+           BINDINGS
+           ========================================== */
+
+        apply(root) {
+            if (!this.values) return;
+
+            root.querySelectorAll(this.SELECTOR).forEach(el => {
+                const keys = ['data-setting', 'data-setting-text', 'data-setting-if']
+                    .map(attr => el.getAttribute(attr))
+                    .filter(Boolean);
+
+                /* No value, no element */
+                if (!keys.every(key => this.has(key))) {
+                    el.hidden = true;
+                    return;
+                }
+
+                const key = el.getAttribute('data-setting');
+                if (key) this.bind(el, key);
+
+                const textKey = el.getAttribute('data-setting-text');
+                if (textKey) el.textContent = this.format(el, this.get(textKey));
+
+                el.hidden = false;
+            });
+        },
+
+        bind(el, key) {
+            const value = String(this.get(key));
+
+            switch (el.tagName) {
+                case 'A':
+                    el.setAttribute('href', this.href(value));
+                    break;
+                case 'META':
+                    el.setAttribute('content', value);
+                    break;
+                case 'IMG':
+                    el.setAttribute('src', value);
+                    break;
+                default:
+                    el.textContent = this.format(el, value);
+            }
+        },
+
+        /* "you@example.com" → "mailto:you@example.com"; URLs unchanged */
+        href(value) {
+            return /^[^@\s:/]+@[^@\s]+$/.test(value) ? 'mailto:' + value : value;
+        },
+
+        format(el, value) {
+            const formatter = this.FORMATS[el.getAttribute('data-setting-format')];
+            return formatter ? formatter(value) : String(value);
+        },
+
+
+        /* ==========================================
+           NOTIFICATION BAR
+           ========================================== */
+
+        initNotificationBar() {
+            const bar = document.getElementById('notification-bar');
+            if (!bar || bar.hidden) return;
+
+            /* Remembers WHICH message was dismissed */
+            const message = String(this.get('notificationBar'));
+            let dismissed = null;
+            try {
+                dismissed = localStorage.getItem(this.DISMISS_KEY);
+            } catch (e) {
+                /* Storage unavailable — show it */
+            }
+
+            if (dismissed === message) {
+                bar.classList.add('dismissed');
+                return;
+            }
+
+            const closeBtn = bar.querySelector('.notification-bar__close');
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => {
+                    bar.classList.add('dismissed');
+                    try {
+                        localStorage.setItem(this.DISMISS_KEY, message);
+                    } catch (e) {
+                        /* Dismissed for this page view only */
+                    }
+                });
+            }
+        }
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        Settings.init();
+    });
+
+    window.Settings = Settings;
+
+})();
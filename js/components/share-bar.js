@@ -0,0 +1,289 @@
+/* File: js/components/share-bar.js */
+/*
+ * ============================================
+ *    SHARE BAR
+ * ============================================
+ *
+ * Share links for the current page, built from its title,
+ * description and canonical URL:
+ *
+ *   X (Twitter) · LinkedIn · Telegram · WhatsApp · Reddit · Email
+ *
+ * Plus:
+ * - "Share…" — the device's native share sheet (navigator.share),
+ *   only shown where the browser supports it
+ * - "Copy link" — clipboard, with "Link copied!" feedback
+ *   (also the fallback when the native share sheet fails)
+ * - Share selected text (optional) — select a passage in the
+ *   article and a small popover offers to quote it on X or
+ *   copy it with a link back
+ *
+ * Usage in HTML:
+ *   <div class="share-bar" data-share data-share-selection="#post-body">
+ *     <a class="share-btn" data-share-network="x" ...>
+ *     <button class="share-btn" data-share-action="native" hidden>
+ *     <button class="share-btn" data-share-action="copy">
+ *     <span class="share-bar__status" aria-live="polite"></span>
+ *   </div>
+ *
+ * data-share-selection = the element whose text can be quoted
+ * (leave it out to disable the popover).
+ *
+ * The details are read from the page (<title>, meta description,
+ * <link rel="canonical">), so on the post page the links are
+ * rebuilt on "post:rendered", once blog-post.js has filled them in.
+ */
+
+;(function () {
+    'use strict';
+
+    const ShareBar = {
+
+        /* ---- Configuration ---- */
+        FEEDBACK_MS: 2000,
+        MIN_SELECTION: 10,       /* characters before the popover shows */
+        MAX_QUOTE: 200,          /* quote length on X (leaves room for the link) */
+
+        /* Share URL per network — { title, text, url } are raw strings */
+        NETWORKS: {
+            x: ({ title, url }) =>
+                `https://x.com/intent/tweet?text=${encodeURIComponent(title)}&url=${encodeURIComponent(url)}`,
+            linkedin: ({ url }) =>
+                `https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(url)}`,
+            telegram: ({ title, url }) =>
+                `https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent(title)}`,
+            whatsapp: ({ title, url }) =>
+                `https://wa.me/?text=${encodeURIComponent(`${title} ${url}`)}`,
+            reddit: ({ title, url }) =>
+                `https://www.reddit.com/submit?url=${encodeURIComponent(url)}&title=${encodeURIComponent(title)}`,
+            email: ({ title, text, url }) =>
+                `mailto:?subject=${encodeURIComponent(title)}&body=${encodeURIComponent((text ? text + '\n\n' : '') + url)}`
+        },
+
+        bars: [],
+        popover: null,
+
+        init() {
+            this.bars = Array.from(document.querySelectorAll('[data-share]'));
+            if (this.bars.length === 0) return;
+
+            this.bars.forEach(bar => this.bindBar(bar));
+            this.update();
+
+            const selectionBar = this.bars.find(bar => bar.hasAttribute('data-share-selection'));
+            if (selectionBar) this.initSelection(selectionBar.getAttribute('data-share-selection'));
+        },
+
+        /* What gets shared — taken from the page's metadata */
+        getDetails() {
+            const canonical = document.querySelector('link[rel="canonical"]');
+            const description = document.querySelector('meta[name="description"]');
+            const ogTitle = document.querySelector('meta[property="og:title"]');
+
+            return {
+                title: (ogTitle && ogTitle.content) || document.title,
+                text: description ? description.content : '',
+                url: (canonical && canonical.href) || window.location.href.split('#')[0]
+            };
+        },
+
+        /* (Re)build every network link from the current details */
+        update() {
+            const details = this.getDetails();
+
+            this.bars.forEach(bar => {
+                bar.querySelectorAll('[data-share-network]').forEach(link => {
+                    const network = this.NETWORKS[link.getAttribute('data-share-network')];
+                    if (network) link.href = network(details);
+                });
+            });
+        },
+
+        bindBar(bar) {
+            const nativeBtn = bar.querySelector('[data-share-action="native"]');
+            const copyBtn = bar.querySelector('[data-share-action="copy"]');
+
+            if (nativeBtn && typeof navigator.share === 'function') {
+                nativeBtn.hidden = false;
+                nativeBtn.addEventListener('click', () => this.shareNative(bar));
+            }
+
+            if (copyBtn) {
+                copyBtn.addEventListener('click', () => this.copyLink(bar));
+            }
+        },
+
+
+        /* ==========================================
+           NATIVE SHARE + COPY LINK
+           ========================================== */
+
+        async shareNative(bar) {
+            const { title, text, url } = this.getDetails();
+
+            try {
+                await navigator.share({ title, text, url });
+            } catch (error) {
+                /* AbortError = the visitor closed the share sheet */
+                if (error && error.name === 'AbortError') return;
+                this.copyLink(bar);
+            }
+        },
+
+        async copyLink(bar) {
+            const copied = await this.copyText(this.getDetails().url);
+            const button = bar.querySelector('[data-share-action="copy"]');
+
+            this.feedback(bar, button, copied ? 'Link copied!' : 'Couldn\'t copy — copy the address bar instead');
+            if (button) button.classList.toggle('share-btn--copied', copied);
+        },
+
+        /* Show a status message next to the buttons (and announce it) */
+        feedback(bar, button, message) {
+            const status = bar.querySelector('.share-bar__status');
+            if (status) status.textContent = message;
+
+            clearTimeout(bar._resetTimer);
+            bar._resetTimer = setTimeout(() => {
+                if (status) status.textContent = '';
+                if (button) button.classList.remove('share-btn--copied');
+            }, this.FEEDBACK_MS);
+        },
+
+        async copyText(text) {
+            try {
+                await navigator.clipboard.writeText(text);
+                return true;
+            } catch (error) {
+                return this.copyFallback(text);
+            }
+        },
+
+        /* Older browsers / insecure contexts: select a hidden textarea */
+        copyFallback(text) {
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.setAttribute('readonly', '');
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+
+            let ok = false;
+            try {
+                ok = document.execCommand('copy');
+            } catch (error) {
+                ok = false;
+            }
+            textarea.remove();
+            return ok;
+        },
+
+
+        /* ==========================================
+           SHARE SELECTED TEXT
+           ========================================== */
+
+        initSelection(selector) {
+            this.selectionRoot = document.querySelector(selector);
+            if (!this.selectionRoot) return;
+
+            this.popover = document.createElement('div');
+            this.popover.className = 'share-popover';
+            this.popover.setAttribute('role', 'toolbar');
+            this.popover.setAttribute('aria-label', 'Share selected text');
+            this.popover.hidden = true;
+            this.popover.innerHTML = `
+                <button type="button" class="share-popover__btn" data-quote-action="x">Quote on X</button>
+                <button type="button" class="share-popover__btn" data-quote-action="copy">Copy quote</button>`;
+            document.body.appendChild(this.popover);
+
+            /* Keep the selection when the popover is clicked */
+            this.popover.addEventListener('mousedown', (e) => e.preventDefault());
+            this.popover.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-quote-action]');
+                if (button) this.shareQuote(button);
+            });
+
+            document.addEventListener('mouseup', () => setTimeout(() => this.onSelection(), 0));
+            document.addEventListener('keyup', (e) => {
+                if (e.key === 'Escape') {
+                    this.hidePopover();
+                } else if (e.shiftKey) {
+                    this.onSelection();
+                }
+            });
+            window.addEventListener('scroll', () => this.hidePopover(), { passive: true });
+        },
+
+        /* The selected text, if it's (entirely) inside the article */
+        getSelectedText() {
+            const selection = window.getSelection();
+            if (!selection || selection.isCollapsed || selection.rangeCount === 0) return '';
+
+            const range = selection.getRangeAt(0);
+            if (!this.selectionRoot.contains(range.commonAncestorContainer)) return '';
+
+            return selection.toString().replace(/\s+/g, ' ').trim();
+        },
+
+        onSelection() {
+            const text = this.getSelectedText();
+
+            if (text.length < this.MIN_SELECTION) {
+                this.hidePopover();
+                return;
+            }
+
+            this.quote = text;
+            this.showPopover(window.getSelection().getRangeAt(0).getBoundingClientRect());
+        },
+
+        /* Centered above the selection */
+        showPopover(rect) {
+            this.popover.hidden = false;
+            const width = this.popover.offsetWidth;
+            const left = rect.left + rect.width / 2 - width / 2;
+
+            this.popover.style.top = `${rect.top + window.scrollY - this.popover.offsetHeight - 8}px`;
+            this.popover.style.left = `${Math.max(8, Math.min(left, document.documentElement.clientWidth - width - 8)) + window.scrollX}px`;
+        },
+
+        hidePopover() {
+            if (this.popover) this.popover.hidden = true;
+        },
+
+        async shareQuote(button) {
+            const { title, url } = this.getDetails();
+            const quote = this.quote.length > this.MAX_QUOTE
+                ? this.quote.slice(0, this.MAX_QUOTE - 1).trim() + '…'
+                : this.quote;
+
+            if (button.getAttribute('data-quote-action') === 'x') {
+                window.open(this.NETWORKS.x({ title: `“${quote}”`, url }), '_blank', 'noopener,noreferrer');
+                this.hidePopover();
+                return;
+            }
+
+            /* Full quote — the length limit is only for X */
+            const copied = await this.copyText(`“${this.quote}”\n— ${title}\n${url}`);
+            button.textContent = copied ? 'Copied!' : 'Copy failed';
+            setTimeout(() => {
+                button.textContent = 'Copy quote';
+                this.hidePopover();
+            }, this.FEEDBACK_MS / 2);
+        }
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        ShareBar.init();
+    });
+
+    /* The post page fills in the title / description / canonical URL */
+    document.addEventListener('post:rendered', () => {
+        ShareBar.update();
+    });
+
+    window.ShareBar = ShareBar;
+
+})();
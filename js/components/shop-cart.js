@@ -8,7 +8,8 @@
  * A complete client-side cart for digital products.
  *
  * Architecture:
- * - Cart data stored in localStorage as JSON
+ * - Cart data stored in localStorage as one JSON record:
+ *   { items, coupon, tax } under STORAGE_KEY
  * - Cart object manages all operations (add, remove, update)
  * - UI rendering is separate from data logic
  * - Custom events notify other parts of the page about changes
@@ -32,15 +33,55 @@
  * - Different browsers
  * - Clearing browser data
  * - Incognito/private mode sessions
+ *
+ * Open tabs stay in sync: a change in one re-renders the badge
+ * and drawer in the others (see SYNC ACROSS TABS below).
+ *
+ * Discount codes (data/coupons.json — see COUPONS below):
+ * one code per order, typed into the drawer. Codes scoped
+ * to products/categories discount those lines; the rest
+ * discount the whole order. getSubtotal() is the amount
+ * after discounts; getItemsTotal() the amount before.
+ *
+ * Tax (tax.js, data/tax.json): getTax() has the VAT lines for
+ * the buyer's country (set at checkout — setTaxLocation), and
+ * getGrandTotal() what the order comes to with them.
+ *
+ * "cart:updated" detail:
+ * { items, total, subtotal, discounts, tax, grandTotal }
+ * (see getDiscounts, and Tax.calculate in tax.js)
  */
 
 ;(function () {
     'use strict';
 
+    const isNode = typeof module !== 'undefined' && module.exports;
+
+    /* Display currency and VAT — optional; without them prices show as "$29.99" and no tax is added */
+    const Currency = isNode ? require('./currency.js') : window.Currency;
+    const Tax = isNode ? require('./tax.js') : window.Tax;
+
     const ShopCart = {
         STORAGE_KEY: 'portfolio-shop-cart',
+        COUPONS_URL: 'data/coupons.json',
         items: [],
 
+        /* Older carts kept the code and tax country under their own keys — read once, then removed */
+        LEGACY_KEYS: { coupon: 'portfolio-shop-coupon', tax: 'portfolio-shop-tax' },
+
+        /* false while the last save failed — the stored cart is then older than this tab's */
+        saved: true,
+
+        /* Applied code (or null) and the loaded data/coupons.json list */
+        couponCode: null,
+        coupons: null,
+
+        /* Last apply attempt's answer in the drawer — { text, type: 'success' | 'error' } */
+        couponNotice: null,
+
+        /* Where the buyer is taxed — { country, business, vatId } (from checkout) */
+        taxLocation: {},
+
         /* ==========================================
            DATA OPERATIONS
            ========================================== */
@@ -50,23 +91,56 @@
             this.bindEvents();
             this.updateNavBadge();
             this.renderDrawer();
+
+            /* An applied code shows as pending until the list arrives */
+            if (this.couponCode) this.loadCoupons();
+
+            if (Tax) {
+                Tax.load().then(() => {
+                    this.renderDrawer();
+                    this.dispatchEvent('cart:updated');
+                });
+            }
         },
 
         /* Load cart from localStorage */
         load() {
             try {
-                const stored = localStorage.getItem(this.STORAGE_KEY);
-                this.items = stored ? JSON.parse(stored) : [];
+                const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+
+                /* Older carts: just the items array */
+                const record = Array.isArray(stored)
+                    ? {
+                        items: stored,
+                        coupon: localStorage.getItem(this.LEGACY_KEYS.coupon),
+                        tax: JSON.parse(localStorage.getItem(this.LEGACY_KEYS.tax))
+                    }
+                    : stored || {};
+
+                this.items = Array.isArray(record.items) ? record.items : [];
+                this.couponCode = record.coupon || null;
+                this.taxLocation = record.tax || {};
+                this.saved = true;
             } catch (e) {
                 this.items = [];
+                this.couponCode = null;
+                this.taxLocation = {};
             }
         },
 
-        /* Save cart to localStorage */
+        /* Save cart to localStorage — one key, so other tabs get one "storage" event per change */
         save() {
             try {
-                localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.items));
+                localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+                    items: this.items,
+                    coupon: this.couponCode,
+                    tax: this.taxLocation
+                }));
+                localStorage.removeItem(this.LEGACY_KEYS.coupon);
+                localStorage.removeItem(this.LEGACY_KEYS.tax);
+                this.saved = true;
             } catch (e) {
+                this.saved = false;
                 console.warn('Could not save cart to localStorage:', e);
             }
             this.updateNavBadge();
@@ -75,6 +149,7 @@
 
         /* Add an item to cart */
         addItem(product) {
+            this.refresh();
             const existing = this.items.find(item => item.id === product.id);
 
             if (existing) {
@@ -96,6 +171,7 @@
 
         /* Remove an item from cart */
         removeItem(productId) {
+            this.refresh();
             this.items = this.items.filter(item => item.id !== productId);
             this.save();
             this.dispatchEvent('cart:updated');
@@ -103,6 +179,7 @@
 
         /* Update quantity of an item */
         updateQuantity(productId, newQuantity) {
+            this.refresh();
             const item = this.items.find(item => item.id === productId);
             if (!item) return;
 
@@ -116,9 +193,21 @@
             this.dispatchEvent('cart:updated');
         },
 
-        /* Clear all items */
+        /* +1 / −1 on top of the latest quantity (another tab may have changed it) */
+        changeQuantity(productId, delta) {
+            this.refresh();
+            const item = this.items.find(item => item.id === productId);
+            if (!item) return;
+
+            this.updateQuantity(productId, item.quantity + delta);
+        },
+
+        /* Clear all items (and the code — it was for this order) */
         clearCart() {
+            this.refresh();
             this.items = [];
+            this.couponCode = null;
+            this.couponNotice = null;
             this.save();
             this.dispatchEvent('cart:updated');
         },
@@ -128,23 +217,307 @@
             return this.items.reduce((sum, item) => sum + item.quantity, 0);
         },
 
-        /* Get subtotal price */
-        getSubtotal() {
+        /* Get the items' price before discounts */
+        getItemsTotal() {
             return this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
         },
 
-        /* Format price as currency */
+        /* Get subtotal price — after discount codes */
+        getSubtotal() {
+            return Math.max(0, this.roundMoney(this.getItemsTotal() - this.getDiscounts().total));
+        },
+
+        /* VAT for the buyer's country — see Tax.calculate (no tax.js → none) */
+        getTax() {
+            const subtotal = this.getSubtotal();
+            if (!Tax) {
+                return { country: null, label: 'VAT', rate: 0, display: 'exclusive', reverseCharge: false,
+                    vatId: null, pending: false, lines: [], net: subtotal, tax: 0, total: subtotal };
+            }
+            return Tax.calculate(subtotal, this.taxLocation);
+        },
+
+        /* What the order comes to — after discounts, with tax */
+        getGrandTotal() {
+            return this.getTax().total;
+        },
+
+        /* { country: 'DE', business: true, vatId: 'DE123456789' } */
+        setTaxLocation(location) {
+            this.refresh();
+            const next = {
+                country: location.country || null,
+                business: Boolean(location.business),
+                vatId: location.vatId || null
+            };
+            if (JSON.stringify(next) === JSON.stringify(this.taxLocation)) return;
+
+            this.taxLocation = next;
+            this.save();
+            this.dispatchEvent('cart:updated');
+        },
+
+        /* 29.99 × 3 → 89.97, not 89.97000000000001 */
+        roundMoney(amount) {
+            return Math.round(amount * 100) / 100;
+        },
+
+        /* Format price as currency — the visitor's display currency (currency.js) if it's loaded */
         formatPrice(amount) {
+            if (Currency) return Currency.format(amount);
             return '$' + amount.toFixed(2);
         },
 
         /* Dispatch a custom event */
         dispatchEvent(name) {
             document.dispatchEvent(new CustomEvent(name, {
-                detail: { items: this.items, total: this.getTotalItems(), subtotal: this.getSubtotal() }
+                detail: {
+                    items: this.items,
+                    total: this.getTotalItems(),
+                    subtotal: this.getSubtotal(),
+                    discounts: this.getDiscounts(),
+                    tax: this.getTax(),
+                    grandTotal: this.getGrandTotal()
+                }
             }));
         },
 
+        /* ==========================================
+           COUPONS
+           ==========================================
+           data/coupons.json:
+           {
+             "code": "TEMPLATES20",
+             "type": "percent",           → or "fixed" (USD)
+             "amount": 20,
+             "minSubtotal": 40,           → items total before discounts
+             "products": ["developer-portfolio-pro"],
+                                          → only these ids...
+             "categories": ["template"],  → ...or these categories
+                                            (both from data/products.json)
+             "starts": "2025-06-01",      → first and last day
+             "expires": "2025-08-31"        (both optional)
+           }
+
+           With products/categories the discount is per line
+           (a fixed amount comes off each unit); without, it
+           comes off the order. One code per order — applying
+           another replaces it.
+
+           The codes are public (anyone can read the JSON), so
+           treat them as promotions, not secrets. A real
+           payment provider should re-check the order total.
+           ========================================== */
+
+        /* The code list, fetched once (through ContentLoader's cache when it's on the page) */
+        loadCoupons() {
+            if (!this.couponsReady) {
+                const request = window.ContentLoader && ContentLoader.paths.coupons
+                    ? ContentLoader.fetchData('coupons')
+                    : fetch(this.COUPONS_URL).then(response => {
+                        if (!response.ok) throw new Error('HTTP ' + response.status);
+                        return response.json();
+                    });
+
+                this.couponsReady = request
+                    .then(data => data.coupons || [])
+                    .catch(error => {
+                        console.warn('ShopCart: could not load discount codes', error);
+                        return [];
+                    })
+                    .then(coupons => {
+                        this.coupons = coupons;
+                        this.renderDrawer();
+                        this.dispatchEvent('cart:updated');
+                        return coupons;
+                    });
+            }
+            return this.couponsReady;
+        },
+
+        findCoupon(code) {
+            const wanted = String(code || '').trim().toUpperCase();
+            return (this.coupons || []).find(coupon => coupon.code.toUpperCase() === wanted) || null;
+        },
+
+        /* → { ok, message } */
+        async applyCoupon(code) {
+            const wanted = String(code || '').trim().toUpperCase();
+            if (!wanted) return { ok: false, message: 'Enter a discount code' };
+
+            await this.loadCoupons();
+            this.refresh();
+
+            const coupon = this.findCoupon(wanted);
+            if (!coupon) return { ok: false, message: `"${wanted}" isn't a valid code` };
+
+            const check = this.evaluateCoupon(coupon);
+            if (check.error) return { ok: false, message: check.error };
+
+            const replaced = this.couponCode && this.couponCode !== coupon.code ? this.couponCode : null;
+            this.couponCode = coupon.code;
+            this.save();
+            this.dispatchEvent('cart:updated');
+
+            return {
+                ok: true,
+                message: replaced
+                    ? `${coupon.code} replaces ${replaced} — one code per order`
+                    : `${coupon.code} applied${coupon.description ? ' — ' + coupon.description : ''}`
+            };
+        },
+
+        removeCoupon() {
+            this.refresh();
+            if (!this.couponCode) return;
+
+            this.couponCode = null;
+            this.couponNotice = null;
+            this.save();
+            this.dispatchEvent('cart:updated');
+        },
+
+        /* "2025-08-31" in the visitor's time zone — codes run to the end of their last day */
+        today() {
+            const now = new Date();
+            const pad = n => String(n).padStart(2, '0');
+            return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+        },
+
+        /* → { error } or { lines: [{ id, amount }], order } for the current items */
+        evaluateCoupon(coupon) {
+            const today = this.today();
+            if (coupon.starts && today < coupon.starts) {
+                return { error: `${coupon.code} isn't active yet` };
+            }
+            if (coupon.expires && today > coupon.expires) {
+                return { error: `${coupon.code} has expired` };
+            }
+
+            const itemsTotal = this.getItemsTotal();
+            if (coupon.minSubtotal && itemsTotal < coupon.minSubtotal) {
+                const missing = this.formatPrice(coupon.minSubtotal - itemsTotal);
+                return { error: `Add ${missing} more to use ${coupon.code} (minimum ${this.formatPrice(coupon.minSubtotal)})` };
+            }
+
+            const products = coupon.products || [];
+            const categories = coupon.categories || [];
+            const amount = Math.max(0, Number(coupon.amount) || 0);
+
+            /* Whole order */
+            if (products.length === 0 && categories.length === 0) {
+                const order = coupon.type === 'percent'
+                    ? itemsTotal * Math.min(amount, 100) / 100
+                    : Math.min(amount, itemsTotal);
+                return { lines: [], order: this.roundMoney(order) };
+            }
+
+            /* Matching lines only */
+            const lines = this.items
+                .filter(item => products.includes(item.id) || categories.includes(item.category))
+                .map(item => ({
+                    id: item.id,
+                    amount: this.roundMoney(coupon.type === 'percent'
+                        ? item.price * item.quantity * Math.min(amount, 100) / 100
+                        : Math.min(amount, item.price) * item.quantity)
+                }));
+
+            if (lines.length === 0) {
+                return { error: `${coupon.code} doesn't apply to anything in your cart` };
+            }
+            return { lines, order: 0 };
+        },
+
+        /*
+         * → {
+         *     code: 'TEMPLATES20' | null,
+         *     description,
+         *     applied: true,          false while the code doesn't qualify
+         *     message,                why not (or null)
+         *     lines: [{ id, amount }],  line-level discounts
+         *     order: 0,               order-level discount
+         *     total: 6,               lines + order
+         *     itemsTotal: 29.99       before discounts
+         *   }
+         */
+        getDiscounts() {
+            const result = {
+                code: this.couponCode,
+                description: null,
+                applied: false,
+                message: null,
+                lines: [],
+                order: 0,
+                total: 0,
+                itemsTotal: this.roundMoney(this.getItemsTotal())
+            };
+            if (!this.couponCode || this.items.length === 0) return result;
+
+            /* Still loading — counted once the list arrives */
+            if (!this.coupons) return result;
+
+            const coupon = this.findCoupon(this.couponCode);
+            if (!coupon) {
+                result.message = `${this.couponCode} is no longer available`;
+                return result;
+            }
+
+            const check = this.evaluateCoupon(coupon);
+            result.description = coupon.description || null;
+            if (check.error) {
+                result.message = check.error;
+                return result;
+            }
+
+            result.applied = true;
+            result.lines = check.lines;
+            result.order = check.order;
+            result.total = this.roundMoney(check.lines.reduce((sum, line) => sum + line.amount, 0) + check.order);
+            return result;
+        },
+
+        /* ==========================================
+           SYNC ACROSS TABS
+           ==========================================
+           Every tab keeps its own copy of the cart, and the
+           browser tells the others when localStorage changes
+           (the "storage" event) — they reload and re-render.
+
+           Merge rules, so two tabs editing at once don't
+           overwrite each other:
+           - Every edit re-reads the stored cart first and is
+             applied on top of it — never a stale copy saved
+             over a newer one (which used to drop items).
+           - Adding and +/− are relative: adds in two tabs add
+             up, and +1 in a tab that still shows 1 turns the 3
+             set elsewhere into 4.
+           - Setting a quantity, the discount code and the tax
+             country: the latest edit wins.
+           - A removed item stays removed — +/− on it in a tab
+             that hadn't caught up does nothing; "Add to Cart"
+             brings it back.
+           - If saving failed (storage full or disabled), this
+             tab keeps its own copy — the stored one is older.
+           ========================================== */
+
+        /* Pick up other tabs' edits before changing anything */
+        refresh() {
+            if (!this.saved) return;
+            this.load();
+        },
+
+        /* Another tab changed the cart (or this page came back from the back/forward cache) */
+        syncFromStorage() {
+            /* Unsaved edits here are newer than whatever is stored */
+            if (!this.saved) return;
+
+            this.load();
+            this.updateNavBadge();
+            this.renderDrawer();
+            if (this.couponCode) this.loadCoupons();
+            this.dispatchEvent('cart:updated');
+        },
+
         /* ==========================================
            UI OPERATIONS
            ========================================== */
@@ -189,6 +562,9 @@
             if (footerContainer) footerContainer.style.display = '';
             if (drawerCount) drawerCount.textContent = this.getTotalItems();
 
+            const discounts = this.getDiscounts();
+            const lineDiscount = id => (discounts.lines.find(line => line.id === id) || { amount: 0 }).amount;
+
             /* Render cart items */
             itemsContainer.innerHTML = this.items.map(item => `
                 <div class="cart-item" data-cart-item-id="${item.id}">
@@ -200,7 +576,13 @@
                     </div>
                     <div class="cart-item__info">
                         <div class="cart-item__name" title="${item.name}">${item.name}</div>
-                        <div class="cart-item__price">${this.formatPrice(item.price)}</div>
+                        <div class="cart-item__price">
+                            ${this.formatPrice(item.price)}
+                            ${lineDiscount(item.id) > 0
+                                ? `<span class="cart-item__discount">−${this.formatPrice(lineDiscount(item.id))} with ${discounts.code}</span>`
+                                : ''
+                            }
+                        </div>
                         <div class="cart-item__controls">
                             <button class="cart-item__qty-btn" data-action="decrease" data-id="${item.id}" aria-label="Decrease quantity">−</button>
                             <span class="cart-item__qty">${item.quantity}</span>
@@ -213,11 +595,100 @@
                 </div>
             `).join('');
 
+            if (footerContainer) this.renderCoupon(footerContainer, discounts);
+
             /* Update subtotal */
             const subtotalEl = document.getElementById('cart-subtotal');
             if (subtotalEl) {
                 subtotalEl.textContent = this.formatPrice(this.getSubtotal());
             }
+
+            if (footerContainer) this.renderTax(footerContainer, this.getTax());
+        },
+
+        /* Tax lines + total, below the subtotal (added here, like the coupon form) */
+        renderTax(footer, tax) {
+            if (!Tax) return;
+
+            let box = footer.querySelector('.cart-tax');
+            if (!box) {
+                box = document.createElement('dl');
+                box.className = 'cart-tax';
+                const subtotal = footer.querySelector('.cart-drawer__subtotal');
+                footer.insertBefore(box, subtotal ? subtotal.nextSibling : footer.firstChild);
+            }
+
+            const row = (label, value, modifier) => `
+                <div class="cart-tax__row${modifier ? ' cart-tax__row--' + modifier : ''}">
+                    <dt>${Tax.escapeHtml(label)}</dt>
+                    <dd>${Tax.escapeHtml(value)}</dd>
+                </div>`;
+
+            /* Country not chosen yet */
+            if (tax.pending) {
+                box.innerHTML = row('VAT', tax.display === 'inclusive' ? 'Included where due' : 'Calculated at checkout');
+                return;
+            }
+
+            const lines = tax.lines.map(line => (tax.display === 'inclusive' && !tax.reverseCharge
+                ? row(`Includes ${line.label}`, this.formatPrice(line.amount))
+                : row(line.label, this.formatPrice(line.amount)))).join('');
+
+            /* Inclusive prices: the subtotal already is the total, unless VAT was taken off */
+            const showTotal = tax.display === 'exclusive' || tax.total !== this.getSubtotal();
+            box.innerHTML = lines + (showTotal ? row('Total', this.formatPrice(tax.total), 'total') : '');
+        },
+
+        /* Discount code form + breakdown, above the subtotal (added here, so the drawer markup needn't change) */
+        renderCoupon(footer, discounts) {
+            let box = footer.querySelector('.cart-coupon');
+            if (!box) {
+                box = document.createElement('div');
+                box.className = 'cart-coupon';
+                box.innerHTML = `
+                    <form class="cart-coupon__form" data-coupon-form novalidate>
+                        <label class="sr-only" for="cart-coupon-code">Discount code</label>
+                        <input type="text" id="cart-coupon-code" name="code" class="cart-coupon__input"
+                               placeholder="Discount code" autocomplete="off" autocapitalize="characters" spellcheck="false">
+                        <button type="submit" class="btn btn--outline btn--sm cart-coupon__apply">Apply</button>
+                    </form>
+                    <p class="cart-coupon__message" role="status" hidden></p>
+                    <dl class="cart-coupon__breakdown" hidden>
+                        <div class="cart-coupon__row">
+                            <dt>Items</dt>
+                            <dd class="cart-coupon__items"></dd>
+                        </div>
+                        <div class="cart-coupon__row cart-coupon__row--discount">
+                            <dt>
+                                <span class="cart-coupon__code"></span>
+                                <button type="button" class="cart-coupon__remove" data-remove-coupon>Remove</button>
+                            </dt>
+                            <dd class="cart-coupon__amount"></dd>
+                        </div>
+                    </dl>`;
+                footer.insertBefore(box, footer.querySelector('.cart-drawer__subtotal') || footer.firstChild);
+            }
+
+            /* A code that stopped qualifying (cart changed, expired) explains itself */
+            const notice = discounts.message
+                ? { text: discounts.message, type: 'error' }
+                : this.couponNotice;
+            const message = box.querySelector('.cart-coupon__message');
+            message.hidden = !notice;
+            message.textContent = notice ? notice.text : '';
+            message.className = 'cart-coupon__message' + (notice ? ' cart-coupon__message--' + notice.type : '');
+
+            const breakdown = box.querySelector('.cart-coupon__breakdown');
+            breakdown.hidden = !discounts.code;
+            if (!discounts.code) return;
+
+            box.querySelector('.cart-coupon__items').textContent = this.formatPrice(discounts.itemsTotal);
+            box.querySelector('.cart-coupon__code').textContent = discounts.lines.length > 0
+                ? `${discounts.code} (on ${discounts.lines.length} item${discounts.lines.length === 1 ? '' : 's'})`
+                : discounts.code;
+            box.querySelector('.cart-coupon__amount').textContent = discounts.applied
+                ? '−' + this.formatPrice(discounts.total)
+                : (this.coupons ? this.formatPrice(0) : '…');
         },
 
         /* Open the cart drawer */
@@ -252,6 +723,13 @@
                 });
             }
 
+            /* Any other "open cart" button (e.g. "Edit cart" on checkout.html) */
+            document.addEventListener('click', (e) => {
+                if (e.target.closest('[data-open-cart]')) {
+                    this.openDrawer();
+                }
+            });
+
             /* Close drawer button */
             document.addEventListener('click', (e) => {
                 if (e.target.closest('.cart-drawer__close')) {
@@ -317,10 +795,10 @@
 
                 switch (action) {
                     case 'increase':
-                        this.updateQuantity(id, item.quantity + 1);
+                        this.changeQuantity(id, 1);
                         break;
                     case 'decrease':
-                        this.updateQuantity(id, item.quantity - 1);
+                        this.changeQuantity(id, -1);
                         break;
                     case 'remove':
                         this.removeItem(id);
@@ -328,6 +806,48 @@
                 }
             });
 
+            /* Discount code form (in the drawer footer) */
+            document.addEventListener('submit', async (e) => {
+                const form = e.target.closest('[data-coupon-form]');
+                if (!form) return;
+
+                e.preventDefault();
+                const input = form.elements.code;
+                const button = form.querySelector('[type="submit"]');
+
+                button.disabled = true;
+                const result = await this.applyCoupon(input.value);
+                button.disabled = false;
+
+                this.couponNotice = { text: result.message, type: result.ok ? 'success' : 'error' };
+                if (result.ok) input.value = '';
+                this.renderDrawer();
+            });
+
+            document.addEventListener('click', (e) => {
+                if (e.target.closest('[data-remove-coupon]')) {
+                    this.removeCoupon();
+                }
+            });
+
+            /* Display currency changed (currency.js) */
+            document.addEventListener('currency:changed', () => {
+                this.renderDrawer();
+            });
+
+            /* Changes made in other tabs */
+            window.addEventListener('storage', (e) => {
+                /* key is null when the whole storage was cleared */
+                if (e.key === null || e.key === this.STORAGE_KEY) {
+                    this.syncFromStorage();
+                }
+            });
+
+            /* Back/forward navigation shows the page as it was — catch up */
+            window.addEventListener('pageshow', (e) => {
+                if (e.persisted) this.syncFromStorage();
+            });
+
             /* Clear cart button */
             document.addEventListener('click', (e) => {
                 if (e.target.closest('[data-clear-cart]')) {
@@ -337,11 +857,16 @@
         }
     };
 
-    document.addEventListener('DOMContentLoaded', () => {
-        ShopCart.init();
-    });
-
-    /* Make available globally */
-    window.ShopCart = ShopCart;
+    /* Node (tests) or browser */
+    if (isNode) {
+        module.exports = ShopCart;
+    } else {
+        document.addEventListener('DOMContentLoaded', () => {
+            ShopCart.init();
+        });
+
+        /* Make available globally */
+        window.ShopCart = ShopCart;
+    }
 
 })();
\ No newline at end of file
@@ -0,0 +1,439 @@
+/* File: js/components/structured-data.js */
+/*
+ * ============================================
+ *    STRUCTURED DATA (schema.org JSON-LD)
+ * ============================================
+ *
+ * Describes the site's content to search engines with
+ * <script type="application/ld+json"> blocks, built from the
+ * same data files as the pages — so they never drift apart:
+ *
+ *   data/settings.json      → Person + Organization (every page)
+ *   data/projects.json      → CreativeWork
+ *   data/products.json      → Product + Offer (sale price as
+ *                             the strikethrough list price)
+ *   data/testimonials.json  → Review + AggregateRating
+ *   data/services.json      → Service + Offer / price specs
+ *   blog post               → BlogPosting (on "post:rendered")
+ *   .faq-item accordions    → FAQPage (read from the page)
+ *
+ * Which data a page describes is set on <body>:
+ *
+ *   <body data-structured-data="products">
+ *   (space separated: projects, products, reviews, services)
+ *
+ * Search engines want the markup to match what's visible, so
+ * a source is only described when the page has a grid built
+ * from the same file (a data-content container whose
+ * ContentLoader type reads it) — and only set the attribute
+ * on pages that show all of it, not a featured few.
+ *
+ * The site entities, FAQs and blog posts are added wherever
+ * they appear — no attribute needed.
+ *
+ * Each block is one <script data-structured-data="<name>"> in
+ * <head>, replaced (not duplicated) when rebuilt.
+ *
+ * The builders are plain functions of the data, so build
+ * scripts can use them too:
+ *   const StructuredData = require('../js/components/structured-data.js');
+ *   StructuredData.product(product, StructuredData.context(settings, site.absoluteUrl));
+ *
+ * Depends on: content-loader.js (for the data sources — shares its cache)
+ */
+
+;(function () {
+    'use strict';
+
+    const StructuredData = {
+
+        /* ---- Configuration ---- */
+        ATTRIBUTE: 'data-structured-data',
+        CURRENCY: 'USD',
+        DATA_DIR: 'data/',
+
+        /* <body data-structured-data="..."> name → data file + builder */
+        SOURCES: {
+            projects: { source: 'projects', build: 'projectList' },
+            products: { source: 'products', build: 'productList' },
+            reviews:  { source: 'testimonials', build: 'reviews' },
+            services: { source: 'services', build: 'serviceList' }
+        },
+
+
+        /* ==========================================
+           CONTEXT
+           ==========================================
+           What every builder needs: the settings, and how to
+           turn a site path into an absolute URL. */
+
+        context(settings, absoluteUrl) {
+            const url = absoluteUrl || (path => path);
+            return {
+                settings: settings || {},
+                url,
+                personId: url('') + '#person',
+                organizationId: url('') + '#organization'
+            };
+        },
+
+
+        /* ==========================================
+           BUILDERS
+           ========================================== */
+
+        /* Person (the author) + Organization (the business) + WebSite */
+        site(ctx) {
+            const settings = ctx.settings;
+            const name = settings.siteName || '';
+            const sameAs = Object.values(settings.social || {}).filter(link => /^https?:\/\//.test(link || ''));
+
+            return {
+                '@context': 'https://schema.org',
+                '@graph': [
+                    this.clean({
+                        '@type': 'Person',
+                        '@id': ctx.personId,
+                        name,
+                        jobTitle: settings.tagline,
+                        email: settings.email ? 'mailto:' + settings.email : '',
+                        url: ctx.url(''),
+                        sameAs
+                    }),
+                    this.clean({
+                        '@type': 'Organization',
+                        '@id': ctx.organizationId,
+                        name,
+                        description: settings.tagline,
+                        email: settings.email,
+                        url: ctx.url(''),
+                        founder: { '@id': ctx.personId },
+                        sameAs
+                    }),
+                    this.clean({
+                        '@type': 'WebSite',
+                        '@id': ctx.url('') + '#website',
+                        name,
+                        url: ctx.url(''),
+                        publisher: { '@id': ctx.organizationId }
+                    })
+                ]
+            };
+        },
+
+        project(project, ctx) {
+            return this.clean({
+                '@type': 'CreativeWork',
+                '@id': ctx.url('portfolio.html?project=' + encodeURIComponent(project.id)),
+                name: project.title,
+                description: project.description,
+                url: ctx.url('portfolio.html?project=' + encodeURIComponent(project.id)),
+                image: project.image ? ctx.url(project.image) : '',
+                genre: project.category,
+                keywords: (project.technologies || []).join(', '),
+                creator: { '@id': ctx.personId },
+                sameAs: [project.liveUrl, project.githubUrl].filter(link => /^https?:\/\//.test(link || ''))
+            });
+        },
+
+        projectList(projects, ctx) {
+            return this.itemList(projects.map(project => this.project(project, ctx)));
+        },
+
+        /* On sale (originalPrice above price): the old price is the strikethrough list price */
+        product(product, ctx) {
+            const onSale = Number(product.originalPrice) > Number(product.price);
+
+            return this.clean({
+                '@type': 'Product',
+                '@id': ctx.url('shop.html') + '#' + encodeURIComponent(product.id),
+                sku: product.id,
+                name: product.title,
+                description: product.description,
+                image: product.image ? ctx.url(product.image) : '',
+                category: product.category,
+                brand: { '@id': ctx.organizationId },
+                offers: this.clean({
+                    '@type': 'Offer',
+                    price: this.amount(product.price),
+                    priceCurrency: this.CURRENCY,
+                    availability: 'https://schema.org/InStock',
+                    url: ctx.url('shop.html'),
+                    seller: { '@id': ctx.organizationId },
+                    priceSpecification: onSale ? {
+                        '@type': 'UnitPriceSpecification',
+                        priceType: 'https://schema.org/StrikethroughPrice',
+                        price: this.amount(product.originalPrice),
+                        priceCurrency: this.CURRENCY
+                    } : null
+                })
+            });
+        },
+
+        productList(products, ctx) {
+            return this.itemList(products.map(product => this.product(product, ctx)));
+        },
+
+        /* Testimonials as reviews of the business */
+        reviews(testimonials, ctx) {
+            const rated = testimonials.filter(item => Number(item.rating) > 0);
+            const average = rated.reduce((sum, item) => sum + Number(item.rating), 0) / (rated.length || 1);
+
+            return this.clean({
+                '@context': 'https://schema.org',
+                '@type': 'Organization',
+                '@id': ctx.organizationId,
+                name: ctx.settings.siteName || '',
+                aggregateRating: rated.length ? {
+                    '@type': 'AggregateRating',
+                    ratingValue: Math.round(average * 10) / 10,
+                    reviewCount: rated.length,
+                    bestRating: 5,
+                    worstRating: 1
+                } : null,
+                review: testimonials.map(item => this.clean({
+                    '@type': 'Review',
+                    author: this.clean({
+                        '@type': 'Person',
+                        name: item.name,
+                        jobTitle: item.role,
+                        worksFor: item.company ? { '@type': 'Organization', name: item.company } : null
+                    }),
+                    reviewBody: item.text,
+                    reviewRating: item.rating ? {
+                        '@type': 'Rating',
+                        ratingValue: Number(item.rating),
+                        bestRating: 5,
+                        worstRating: 1
+                    } : null
+                }))
+            });
+        },
+
+        /* One Offer per pricing tier — "Custom" tiers have no price */
+        service(service, ctx) {
+            const parse = value => {
+                const text = String(value === undefined || value === null ? '' : value).replace(/[$,\s]/g, '');
+                return /^\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+            };
+
+            return this.clean({
+                '@type': 'Service',
+                '@id': ctx.url('services.html') + '#' + encodeURIComponent(service.id),
+                name: service.title,
+                serviceType: service.title,
+                description: service.description,
+                url: ctx.url('services.html#' + service.id),
+                provider: { '@id': ctx.organizationId },
+                areaServed: 'Worldwide',
+                offers: (service.pricing || []).map(tier => {
+                    const price = parse(tier.price);
+                    return this.clean({
+                        '@type': 'Offer',
+                        name: tier.name,
+                        description: tier.description,
+                        url: ctx.url(`contact.html?service=${encodeURIComponent(service.id)}`),
+                        priceSpecification: price === null ? null : this.clean({
+                            '@type': 'UnitPriceSpecification',
+                            price: this.amount(price),
+                            priceCurrency: this.CURRENCY,
+                            unitText: tier.period
+                        })
+                    });
+                })
+            });
+        },
+
+        serviceList(services, ctx) {
+            return this.itemList(services.map(service => this.service(service, ctx)));
+        },
+
+        blogPosting(post, ctx) {
+            const url = ctx.url('blog-post.html?slug=' + encodeURIComponent(post.slug));
+
+            return this.clean({
+                '@context': 'https://schema.org',
+                '@type': 'BlogPosting',
+                '@id': url,
+                mainEntityOfPage: url,
+                url,
+                headline: post.title,
+                description: post.description,
+                datePublished: post.date,
+                image: post.thumbnail ? ctx.url(post.thumbnail) : '',
+                articleSection: post.category,
+                keywords: (post.tags || []).join(', '),
+                author: { '@id': ctx.personId },
+                publisher: { '@id': ctx.organizationId }
+            });
+        },
+
+        /* [{ question, answer }] */
+        faq(items) {
+            return {
+                '@context': 'https://schema.org',
+                '@type': 'FAQPage',
+                mainEntity: items.map(item => ({
+                    '@type': 'Question',
+                    name: item.question,
+                    acceptedAnswer: { '@type': 'Answer', text: item.answer }
+                }))
+            };
+        },
+
+        itemList(items) {
+            return {
+                '@context': 'https://schema.org',
+                '@type': 'ItemList',
+                itemListElement: items.map((item, index) => ({
+                    '@type': 'ListItem',
+                    position: index + 1,
+                    item
+                }))
+            };
+        },
+
+
+        /* ==========================================
+           HELPERS
+           ========================================== */
+
+        /* 49 → "49.00" (schema.org prices are plain decimals) */
+        amount(value) {
+            return Number(value).toFixed(2);
+        },
+
+        /* Drop empty values so the output only states what we know */
+        clean(object) {
+            Object.keys(object).forEach(key => {
+                const value = object[key];
+                if (value === undefined || value === null || value === '' ||
+                    (Array.isArray(value) && value.length === 0)) {
+                    delete object[key];
+                }
+            });
+            return object;
+        },
+
+
+        /* ==========================================
+           PAGE (browser only)
+           ========================================== */
+
+        init() {
+            const requested = (document.body.getAttribute(this.ATTRIBUTE) || '').split(/\s+/).filter(Boolean);
+
+            this.ready = this.load('settings')
+                .then(settings => {
+                    /* Site-relative, like the build scripts (pages live in the root) */
+                    const root = new URL('./', document.baseURI);
+                    this.ctx = this.context(settings, path => new URL(path, root).href);
+                    this.inject('site', this.site(this.ctx));
+                    return this.ctx;
+                })
+                .catch(error => {
+                    console.warn('StructuredData: could not load settings', error);
+                    return null;
+                });
+
+            requested.forEach(name => this.addSource(name));
+            this.addFaq();
+        },
+
+        async addSource(name) {
+            const config = this.SOURCES[name];
+            if (!config) {
+                console.warn('StructuredData: unknown type', name);
+                return;
+            }
+
+            const ctx = await this.ready;
+            if (!ctx) return;
+
+            if (!this.showsSource(config.source)) {
+                console.warn(`StructuredData: "${name}" skipped — no grid on this page is built from data/${config.source}.json`);
+                return;
+            }
+
+            try {
+                const data = await this.load(config.source);
+                const items = Array.isArray(data) ? data : (data[config.source] || []);
+                if (items.length > 0) this.inject(name, this[config.build](items, ctx));
+            } catch (error) {
+                console.warn('StructuredData: could not load', config.source, error);
+            }
+        },
+
+        /* A [data-content] container on the page renders this data file */
+        showsSource(source) {
+            if (!window.ContentLoader) return false;
+
+            return Array.from(document.querySelectorAll('[data-content]')).some(container => {
+                const type = ContentLoader.types[container.getAttribute('data-content')];
+                return Boolean(type) && type.source === source;
+            });
+        },
+
+        /* FAQ accordions already on the page (accordion.js markup) */
+        addFaq() {
+            const items = Array.from(document.querySelectorAll('.faq-item'))
+                .map(item => ({
+                    question: this.text(item.querySelector('.faq-item__trigger')),
+                    answer: this.text(item.querySelector('.faq-item__answer'))
+                }))
+                .filter(item => item.question && item.answer);
+
+            if (items.length > 0) this.inject('faq', this.faq(items));
+        },
+
+        async addPost(post) {
+            const ctx = await this.ready;
+            if (ctx && post) this.inject('post', this.blogPosting(post, ctx));
+        },
+
+        load(source) {
+            if (window.ContentLoader && ContentLoader.paths[source]) {
+                return ContentLoader.fetchData(source);
+            }
+
+            return fetch(this.DATA_DIR + source + '.json').then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                return response.json();
+            });
+        },
+
+        inject(name, data) {
+            let script = document.head.querySelector(`script[${this.ATTRIBUTE}="${name}"]`);
+            if (!script) {
+                script = document.createElement('script');
+                script.type = 'application/ld+json';
+                script.setAttribute(this.ATTRIBUTE, name);
+                document.head.appendChild(script);
+            }
+
+            /* "</script>" inside a string must not end the block */
+            const json = JSON.stringify(Object.assign({ '@context': 'https://schema.org' }, data), null, 2);
+            script.textContent = json.replace(/</g, '\\u003c');
+        },
+
+        text(el) {
+            return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+        }
+    };
+
+    /* Node (build scripts) or browser */
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = StructuredData;
+    } else {
+        document.addEventListener('DOMContentLoaded', () => {
+            StructuredData.init();
+        });
+
+        document.addEventListener('post:rendered', (e) => {
+            StructuredData.addPost(e.detail.post);
+        });
+
+        window.StructuredData = StructuredData;
+    }
+
+})();
@@ -0,0 +1,188 @@
+/* File: js/components/tax.js */
+/*
+ * ============================================
+ *    TAX / VAT (data/tax.json)
+ * ============================================
+ *
+ * Works out the VAT on an order from the buyer's country,
+ * using the rules table in data/tax.json:
+ *
+ *   {
+ *     "display": "exclusive",     → prices are before tax; VAT is added
+ *                                   ("inclusive": prices already include
+ *                                   it, and the total shows how much)
+ *     "sellerCountry": "DE",      → where you are (no reverse charge at home)
+ *     "countries": [
+ *       { "country": "DE", "rate": 19, "label": "VAT",
+ *         "reverseCharge": true,
+ *         "vatIdPattern": "^DE\\d{9}$", "vatIdExample": "DE123456789" },
+ *       { "country": "GR", ..., "vatIdPrefix": "EL" }
+ *                                 → when VAT IDs don't start with the
+ *                                   country code
+ *     ]
+ *   }
+ *
+ * A country missing from the table is charged no tax — the
+ * table ships with every EU member state (plus GB, NO and CH).
+ *
+ * B2B reverse charge: a business buyer with a VAT ID in the
+ * right format for a reverseCharge country pays no VAT — they
+ * account for it themselves. Only the FORMAT is checked here;
+ * check the ID itself (EU VIES / UK HMRC) before issuing the
+ * invoice.
+ *
+ *   Tax.calculate(29.99, { country: 'DE' })
+ *   → { country: 'DE', label: 'VAT', rate: 19, display: 'exclusive',
+ *       reverseCharge: false, vatId: null, pending: false,
+ *       lines: [{ label: 'VAT 19%', rate: 19, amount: 5.70 }],
+ *       net: 29.99, tax: 5.70, total: 35.69 }
+ *
+ * pending is true while the country (or the rules file) isn't
+ * known yet — the cart then says "calculated at checkout".
+ *
+ * Used by ShopCart (getTax / getGrandTotal) and checkout.js,
+ * and by the tests (tests/tax.test.js).
+ */
+
+;(function () {
+    'use strict';
+
+    const Tax = {
+
+        RULES_URL: 'data/tax.json',
+
+        /* data/tax.json once loaded */
+        rules: null,
+
+        /* The rules, fetched once (through ContentLoader's cache when it's on the page) */
+        load() {
+            if (!this.ready) {
+                const request = window.ContentLoader && ContentLoader.paths.tax
+                    ? ContentLoader.fetchData('tax')
+                    : fetch(this.RULES_URL).then(response => {
+                        if (!response.ok) throw new Error('HTTP ' + response.status);
+                        return response.json();
+                    });
+
+                this.ready = request
+                    .catch(error => {
+                        console.warn('Tax: could not load the tax rules', error);
+                        return { display: 'exclusive', countries: [] };
+                    })
+                    .then(rules => {
+                        this.rules = rules;
+                        return rules;
+                    });
+            }
+            return this.ready;
+        },
+
+        /* The table row for a country, or null (no tax) */
+        ruleFor(country) {
+            if (!this.rules || !country) return null;
+            return (this.rules.countries || []).find(rule => rule.country === country) || null;
+        },
+
+        /* "de 123.456.789" → "DE123456789" */
+        normalizeVatId(value) {
+            return String(value || '').toUpperCase().replace(/[\s.\-]/g, '');
+        },
+
+        /*
+         * → { valid, vatId, message }
+         * "123456789" is accepted for DE as "DE123456789"
+         * (for GR as "EL123456789" — see vatIdPrefix).
+         */
+        validateVatId(country, value) {
+            const rule = this.ruleFor(country);
+            const vatId = this.normalizeVatId(value);
+
+            if (!vatId) return { valid: false, vatId: null, message: 'Please enter your VAT ID' };
+            if (!rule || !rule.vatIdPattern) {
+                return { valid: false, vatId, message: 'VAT IDs can\'t be checked for this country' };
+            }
+
+            const pattern = new RegExp(rule.vatIdPattern);
+            const prefix = rule.vatIdPrefix || country;
+            const candidate = [vatId, prefix + vatId].find(id => pattern.test(id));
+            if (!candidate) {
+                const example = rule.vatIdExample ? ` (e.g. ${rule.vatIdExample})` : '';
+                return { valid: false, vatId, message: `That doesn't look like a ${country} VAT ID${example}` };
+            }
+            return { valid: true, vatId: candidate, message: null };
+        },
+
+        roundMoney(amount) {
+            return Math.round(amount * 100) / 100;
+        },
+
+        /*
+         * amount: the order after discounts (before or including
+         * tax — see "display"); location: { country, business, vatId }
+         */
+        calculate(amount, location) {
+            const where = location || {};
+            const display = (this.rules && this.rules.display) || 'exclusive';
+            const rule = this.ruleFor(where.country);
+            const rate = rule ? Number(rule.rate) || 0 : 0;
+            const label = (rule && rule.label) || 'VAT';
+
+            const result = {
+                country: where.country || null,
+                label,
+                rate,
+                display,
+                reverseCharge: false,
+                vatId: null,
+                pending: !this.rules || !where.country,
+                lines: [],
+                net: amount,
+                tax: 0,
+                total: amount
+            };
+            if (result.pending || !rule) return result;
+
+            /* B2B — the buyer self-accounts for the VAT */
+            if (where.business && rule.reverseCharge && where.country !== this.rules.sellerCountry) {
+                const check = this.validateVatId(where.country, where.vatId);
+                if (check.valid) {
+                    result.reverseCharge = true;
+                    result.vatId = check.vatId;
+                }
+            }
+
+            /* Inclusive prices hold the tax already — take it out of the amount */
+            const inclusive = display === 'inclusive';
+            const tax = this.roundMoney(inclusive ? amount * rate / (100 + rate) : amount * rate / 100);
+            result.net = inclusive ? this.roundMoney(amount - tax) : amount;
+
+            if (result.reverseCharge) {
+                result.total = result.net;
+                result.lines.push({ label: `${label} reverse charge`, rate: 0, amount: 0 });
+                return result;
+            }
+
+            result.tax = tax;
+            result.total = inclusive ? amount : this.roundMoney(amount + tax);
+            result.lines.push({ label: `${label} ${rate}%`, rate, amount: tax });
+            return result;
+        },
+
+        escapeHtml(str) {
+            return String(str === undefined || str === null ? '' : str)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+    };
+
+    /* Node (tests) or browser */
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Tax;
+    } else {
+        window.Tax = Tax;
+    }
+
+})();
@@ -1,18 +1,37 @@
 /* File: js/components/toc-tracker.js */
 /*
  * ============================================
- *    TABLE OF CONTENTS — ACTIVE HEADING TRACKER
+ *    TABLE OF CONTENTS — BUILDER + ACTIVE HEADING TRACKER
  * ============================================
  *
- * Tracks which section heading the user has scrolled to
- * and highlights the corresponding link in the ToC sidebar.
+ * Builds the ToC sidebar from the article's headings, tracks
+ * which section the user has scrolled to and highlights the
+ * corresponding link.
  *
  * Also handles the mobile ToC toggle (collapsible on small screens).
  *
+ * How the ToC is built:
+ * 1. Find the article (data-toc-source on .toc, default #post-body)
+ * 2. Collect its h2 headings — plus deeper levels, see "Depth" below
+ * 3. Headings without an id get a slug id from their text:
+ *    "Getting Started" → id="getting-started"
+ *    (repeats become "getting-started-2", ...; existing ids are kept)
+ * 4. Render one .toc__link per heading into .toc__list
+ *    (.toc__link--h3, --h4 modifiers indent the nested levels)
+ * 5. No headings → the ToC is hidden
+ *
+ * Depth:
+ *   <aside class="toc" data-toc-depth="2">  → h2 + h3 (default)
+ *   data-toc-depth="1"                      → h2 only
+ *   data-toc-depth="3"                      → h2, h3 + h4
+ *
+ * The ToC is rebuilt after a markdown post is rendered
+ * ("post:rendered", see blog-post.js). While the article is
+ * still loading (aria-busy="true") it's left untouched.
+ *
  * How active tracking works:
- * 1. Collect all <a> links inside .toc__list
- * 2. For each link, find the heading element it points to (via href="#id")
- * 3. On scroll, check which heading the user has scrolled past
+ * 1. Pair each heading with the ToC link that points to it
+ * 2. On scroll, check which heading the user has scrolled past
  * 4. The LAST heading whose top is above the trigger line is "active"
  * 5. Add .active class to that link, remove from all others
  *
@@ -25,10 +44,9 @@
  * Going bottom-to-top, the first match is the correct one.
  *
  * Depends on:
- * - .toc (the sidebar container)
- * - .toc__link (each link in the ToC)
+ * - .toc (the sidebar container) with a .toc__list inside
  * - .toc__toggle (mobile toggle button, optional)
- * - Headings with id attributes matching the href values
+ * - The article element the headings are read from
  */
 
 ;(function () {
@@ -39,47 +57,98 @@
         /* ---- Configuration ---- */
         SCROLL_OFFSET: 120,  /* pixels from top — accounts for fixed header */
         THROTTLE_MS: 50,     /* minimum ms between scroll calculations */
+        DEFAULT_SOURCE: '#post-body',
+        DEFAULT_DEPTH: 2,    /* heading levels below h1: 2 = h2 + h3 */
+        MAX_DEPTH: 5,        /* h2 … h6 */
+
+        headings: [],
+        tocLinks: [],
+        bound: false,
 
         init() {
             this.toc = document.querySelector('.toc');
-            this.tocLinks = document.querySelectorAll('.toc__link');
+            if (!this.toc) return;
 
-            if (!this.toc || this.tocLinks.length === 0) return;
+            this.list = this.toc.querySelector('.toc__list');
+            this.article = document.querySelector(
+                this.toc.getAttribute('data-toc-source') || this.DEFAULT_SOURCE
+            );
 
-            this.headings = this.collectHeadings();
+            if (!this.list || !this.article) return;
+
+            /* Still loading — wait for "post:rendered" */
+            if (this.article.getAttribute('aria-busy') === 'true') return;
+
+            this.build();
 
             if (this.headings.length === 0) return;
 
-            this.setupMobileToggle();
-            this.bindEvents();
+            /* Listeners are bound once, even when the ToC is rebuilt */
+            if (!this.bound) {
+                this.setupMobileToggle();
+                this.bindEvents();
+                this.bound = true;
+            }
+
             this.update(); /* initial check */
         },
 
+        /* How many heading levels to include (data-toc-depth) */
+        getDepth() {
+            const depth = parseInt(this.toc.getAttribute('data-toc-depth'), 10);
+            if (isNaN(depth)) return this.DEFAULT_DEPTH;
+            return Math.min(Math.max(depth, 1), this.MAX_DEPTH);
+        },
+
         /*
-         * Build an array of { element, link } pairs.
-         * Each pair connects a heading in the article to its ToC link.
+         * Render the ToC links and build an array of { element, link }
+         * pairs. Each pair connects a heading in the article to its ToC link.
          */
-        collectHeadings() {
-            const pairs = [];
+        build() {
+            const depth = this.getDepth();
+            const selector = Array.from({ length: depth }, (_, i) => 'h' + (i + 2)).join(', ');
+            const elements = Array.from(this.article.querySelectorAll(selector));
+
+            this.list.innerHTML = '';
+            this.headings = elements.map(heading => {
+                if (!heading.id) heading.id = this.uniqueId(this.slugify(heading.textContent));
+
+                const level = parseInt(heading.tagName.charAt(1), 10);
+                const link = document.createElement('a');
+                link.href = '#' + heading.id;
+                link.className = 'toc__link' + (level > 2 ? ` toc__link--h${level}` : '');
+                link.textContent = heading.textContent.trim();
+                this.list.appendChild(link);
+
+                return { element: heading, link };
+            });
 
-            this.tocLinks.forEach(link => {
-                const href = link.getAttribute('href');
+            this.tocLinks = this.headings.map(pair => pair.link);
+            this.toc.hidden = this.headings.length === 0;
+        },
 
-                /* Only process anchor links (start with #) */
-                if (!href || !href.startsWith('#')) return;
+        /* "Getting Started!" → "getting-started" (same rules as markdown.js) */
+        slugify(text) {
+            if (window.Markdown) return window.Markdown.slugify(text);
 
-                const id = href.substring(1); /* remove the # */
-                const heading = document.getElementById(id);
+            return String(text || '')
+                .normalize('NFKD')
+                .replace(/[\u0300-\u036f]/g, '')
+                .toLowerCase()
+                .replace(/[^a-z0-9]+/g, '-')
+                .replace(/^-+|-+$/g, '');
+        },
 
-                if (heading) {
-                    pairs.push({
-                        element: heading,
-                        link: link
-                    });
-                }
-            });
+        /* Never reuse an id that's already on the page */
+        uniqueId(base) {
+            const slug = base || 'section';
+            let id = slug;
+            let n = 2;
 
-            return pairs;
+            while (document.getElementById(id)) {
+                id = `${slug}-${n++}`;
+            }
+            return id;
         },
 
         /*
@@ -100,14 +169,17 @@
                 /* Update the icon rotation (handled by CSS) */
             });
 
-            /* Close ToC when a link is clicked (on mobile) */
-            this.tocLinks.forEach(link => {
-                link.addEventListener('click', () => {
-                    if (window.innerWidth <= 1024) {
-                        this.toc.classList.remove('toc--open');
-                        this.toggleBtn.setAttribute('aria-expanded', 'false');
-                    }
-                });
+            /*
+             * Close ToC when a link is clicked (on mobile).
+             * Delegated, because the links are re-rendered on rebuild.
+             */
+            this.list.addEventListener('click', (e) => {
+                if (!e.target.closest('.toc__link')) return;
+
+                if (window.innerWidth <= 1024) {
+                    this.toc.classList.remove('toc--open');
+                    this.toggleBtn.setAttribute('aria-expanded', 'false');
+                }
             });
         },
 
@@ -165,4 +237,11 @@
         TocTracker.init();
     });
 
+    /* Posts rendered from markdown are added after load (see blog-post.js) */
+    document.addEventListener('post:rendered', () => {
+        TocTracker.init();
+    });
+
+    window.TocTracker = TocTracker;
+
 })();
\ No newline at end of file
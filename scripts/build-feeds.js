@@ -0,0 +1,314 @@
+/* File: scripts/build-feeds.js */
+/*
+ * ============================================
+ *    BLOG FEEDS GENERATOR
+ * ============================================
+ *
+ * Lets readers subscribe to the blog. Writes three feeds to
+ * the site root from the same posts as data/posts.json:
+ *
+ *   feed.xml   → RSS 2.0
+ *   atom.xml   → Atom 1.0
+ *   feed.json  → JSON Feed 1.1
+ *
+ * Drafts and scheduled (future-dated) posts are left out —
+ * the same rules as the blog listing (see posts.js).
+ *
+ * Options live in data/settings.json (editable in the CMS):
+ *
+ *   "feed": {
+ *       "mode": "full",    → whole article in the feed
+ *                            ("summary" = description only)
+ *       "limit": 20        → newest N posts
+ *   }
+ *
+ * All links are absolute, based on site_url in admin/config.yml.
+ *
+ * It also keeps the <link rel="alternate"> discovery tags in
+ * blog.html and blog-post.html in sync, so browsers and feed
+ * readers find the feeds from any blog page.
+ *
+ * Run:  node scripts/build-feeds.js
+ * (Also runs as part of node scripts/build.js on every deploy.)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Posts = require('../js/components/posts.js');
+const site = require('./site-config.js');
+const { getPublishedPosts } = require('./build-posts.js');
+
+const DEFAULTS = {
+    mode: 'full',
+    limit: 20
+};
+
+const FEEDS = {
+    rss:  { file: 'feed.xml',  type: 'application/rss+xml',  label: 'RSS' },
+    atom: { file: 'atom.xml',  type: 'application/atom+xml', label: 'Atom' },
+    json: { file: 'feed.json', type: 'application/feed+json', label: 'JSON Feed' }
+};
+
+/* Pages that get the discovery <link> tags */
+const DISCOVERY_PAGES = ['blog.html', 'blog-post.html'];
+
+
+/* ==========================================
+   HELPERS
+   ========================================== */
+
+function getOptions() {
+    const options = Object.assign({}, DEFAULTS, site.settings.feed || {});
+    options.mode = options.mode === 'summary' ? 'summary' : 'full';
+    options.limit = Math.max(1, parseInt(options.limit, 10) || DEFAULTS.limit);
+    return options;
+}
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/* CDATA can't contain "]]>" — split it across two sections */
+function cdata(str) {
+    return '<![CDATA[' + String(str).replace(/]]>/g, ']]]]><![CDATA[>') + ']]>';
+}
+
+/*
+ * Feed readers show the HTML outside the site, so relative
+ * links and images ("/images/uploads/x.png", "#setup") need
+ * to point back to it.
+ */
+function absolutizeHtml(html, pageUrl) {
+    return html.replace(/\s(href|src)="([^"]*)"/g, (match, attr, value) => {
+        if (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(value)) return match;
+        const resolved = value.startsWith('#')
+            ? pageUrl + value
+            : site.absoluteUrl(value);
+        return ` ${attr}="${resolved}"`;
+    });
+}
+
+/* The date a post was published, as a Date (null if missing/invalid) */
+function postDate(post) {
+    return Posts.parseDate(post.date);
+}
+
+/* Newest publish date in the feed — used for "last updated" */
+function latestDate(items) {
+    const dates = items.map(item => item.date).filter(Boolean);
+    return dates.length ? new Date(Math.max(...dates.map(d => d.getTime()))) : new Date();
+}
+
+/* Everything the three formats need, computed once per post */
+function toFeedItem(post, options) {
+    const url = site.absoluteUrl(Posts.url(post.slug));
+    return {
+        url,
+        title: post.title,
+        date: postDate(post),
+        summary: post.description,
+        content: options.mode === 'full' ? absolutizeHtml(post.html, url) : '',
+        image: post.thumbnail ? site.absoluteUrl(post.thumbnail) : '',
+        category: post.category ? Posts.categoryLabel(post.category) : '',
+        tags: post.tags
+    };
+}
+
+
+/* ==========================================
+   RSS 2.0
+   ========================================== */
+
+function renderRss(feed) {
+    const items = feed.items.map(item => {
+        const categories = [item.category].concat(item.tags).filter(Boolean)
+            .map(term => `            <category>${escapeXml(term)}</category>`);
+
+        return [
+            '        <item>',
+            `            <title>${escapeXml(item.title)}</title>`,
+            `            <link>${escapeXml(item.url)}</link>`,
+            `            <guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+            item.date ? `            <pubDate>${item.date.toUTCString()}</pubDate>` : '',
+            `            <description>${escapeXml(item.summary)}</description>`,
+            item.content ? `            <content:encoded>${cdata(item.content)}</content:encoded>` : '',
+            ...categories,
+            '        </item>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+        '    <channel>',
+        `        <title>${escapeXml(feed.title)}</title>`,
+        `        <link>${escapeXml(feed.homeUrl)}</link>`,
+        `        <description>${escapeXml(feed.description)}</description>`,
+        '        <language>en</language>',
+        `        <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+        `        <atom:link href="${escapeXml(feed.urls.rss)}" rel="self" type="${FEEDS.rss.type}"/>`,
+        ...items,
+        '    </channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+}
+
+
+/* ==========================================
+   ATOM 1.0
+   ========================================== */
+
+function renderAtom(feed) {
+    const entries = feed.items.map(item => {
+        const updated = (item.date || feed.updated).toISOString();
+        const categories = [item.category].concat(item.tags).filter(Boolean)
+            .map(term => `        <category term="${escapeXml(term)}"/>`);
+
+        return [
+            '    <entry>',
+            `        <title>${escapeXml(item.title)}</title>`,
+            `        <link href="${escapeXml(item.url)}" rel="alternate" type="text/html"/>`,
+            `        <id>${escapeXml(item.url)}</id>`,
+            `        <published>${updated}</published>`,
+            `        <updated>${updated}</updated>`,
+            `        <summary>${escapeXml(item.summary)}</summary>`,
+            item.content ? `        <content type="html">${escapeXml(item.content)}</content>` : '',
+            ...categories,
+            '    </entry>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">',
+        `    <title>${escapeXml(feed.title)}</title>`,
+        `    <subtitle>${escapeXml(feed.description)}</subtitle>`,
+        `    <link href="${escapeXml(feed.urls.atom)}" rel="self" type="${FEEDS.atom.type}"/>`,
+        `    <link href="${escapeXml(feed.homeUrl)}" rel="alternate" type="text/html"/>`,
+        `    <id>${escapeXml(feed.homeUrl)}</id>`,
+        `    <updated>${feed.updated.toISOString()}</updated>`,
+        '    <author>',
+        `        <name>${escapeXml(feed.author)}</name>`,
+        '    </author>',
+        ...entries,
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+
+/* ==========================================
+   JSON FEED 1.1
+   ========================================== */
+
+function renderJsonFeed(feed) {
+    const json = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.urls.json,
+        description: feed.description,
+        language: 'en',
+        authors: [{ name: feed.author }],
+        items: feed.items.map(item => {
+            const entry = {
+                id: item.url,
+                url: item.url,
+                title: item.title,
+                summary: item.summary
+            };
+            /* JSON Feed requires content — fall back to the summary */
+            entry.content_html = item.content || `<p>${escapeXml(item.summary)}</p>`;
+            if (item.image) entry.image = item.image;
+            if (item.date) entry.date_published = item.date.toISOString();
+            const tags = [item.category].concat(item.tags).filter(Boolean);
+            if (tags.length) entry.tags = tags;
+            return entry;
+        })
+    };
+
+    return JSON.stringify(json, null, 4) + '\n';
+}
+
+
+/* ==========================================
+   DISCOVERY TAGS
+   ========================================== */
+
+const DISCOVERY_COMMENT = '<!-- Feed discovery (kept in sync by scripts/build-feeds.js) -->';
+
+function discoveryTags(feed) {
+    return Object.keys(FEEDS).map(key => {
+        const { type, label } = FEEDS[key];
+        const title = escapeXml(`${feed.title} (${label})`);
+        return `<link rel="alternate" type="${type}" title="${title}" href="${escapeXml(feed.urls[key])}">`;
+    });
+}
+
+/* Replace (or add) the discovery block right before </head> */
+function injectDiscoveryTags(file, tags) {
+    const filePath = path.join(site.ROOT, file);
+    if (!fs.existsSync(filePath)) return;
+
+    const original = fs.readFileSync(filePath, 'utf8');
+    const types = Object.keys(FEEDS).map(key => FEEDS[key].type.replace('+', '\\+')).join('|');
+    const comment = DISCOVERY_COMMENT.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const existing = new RegExp(`^[ \\t]*(<link rel="alternate" type="(${types})"[^>]*>|${comment})\\r?\\n`, 'gm');
+
+    const block = [DISCOVERY_COMMENT].concat(tags).map(line => '    ' + line).join('\n');
+    const updated = original
+        .replace(existing, '')
+        .replace(/\s*<\/head>/, '\n\n' + block + '\n</head>');
+
+    if (updated !== original) fs.writeFileSync(filePath, updated);
+}
+
+
+/* ==========================================
+   BUILD
+   ========================================== */
+
+function build() {
+    const options = getOptions();
+    const items = getPublishedPosts()
+        .slice(0, options.limit)
+        .map(post => toFeedItem(post, options));
+
+    const feed = {
+        title: `${site.siteName} — Blog`,
+        description: site.settings.tagline || `Articles by ${site.siteName}`,
+        author: site.siteName,
+        homeUrl: site.absoluteUrl('blog.html'),
+        updated: latestDate(items),
+        urls: {
+            rss: site.absoluteUrl(FEEDS.rss.file),
+            atom: site.absoluteUrl(FEEDS.atom.file),
+            json: site.absoluteUrl(FEEDS.json.file)
+        },
+        items
+    };
+
+    fs.writeFileSync(path.join(site.ROOT, FEEDS.rss.file), renderRss(feed));
+    fs.writeFileSync(path.join(site.ROOT, FEEDS.atom.file), renderAtom(feed));
+    fs.writeFileSync(path.join(site.ROOT, FEEDS.json.file), renderJsonFeed(feed));
+
+    const tags = discoveryTags(feed);
+    DISCOVERY_PAGES.forEach(page => injectDiscoveryTags(page, tags));
+
+    console.log(`[build-feeds] Wrote ${items.length} post(s) to feed.xml, atom.xml and feed.json (${options.mode} content)`);
+    return feed;
+}
+
+module.exports = { build };
+
+if (require.main === module) {
+    build();
+}
@@ -0,0 +1,216 @@
+/* File: scripts/build-pages.js */
+/*
+ * ============================================
+ *    PRERENDERED CONTENT (data-content containers)
+ * ============================================
+ *
+ * Fills every <div data-content="..."> in the site's pages
+ * with the cards ContentLoader would render in the browser —
+ * same renderers, same data/*.json — so search engines and
+ * visitors without JavaScript get the real content, and
+ * everyone else sees it before the JSON has even loaded.
+ *
+ *   <div class="projects-grid" data-content="project-cards"></div>
+ *   →
+ *   <div class="projects-grid" data-content="project-cards"
+ *        data-content-prerendered="1x9k2f">
+ *       <article class="project-card" …>…</article>
+ *       …
+ *   </div>
+ *
+ * The view attributes (data-where, data-sort, data-limit,
+ * data-page-size, ...) are honoured — a paged container gets
+ * its first page. In the browser, ContentLoader hydrates the
+ * prerendered cards and only re-renders them if the data has
+ * changed since the build (see PRERENDERED CONTENT in
+ * js/components/content-loader.js).
+ *
+ * Prerendered cards are written without their scroll
+ * animation (data-animation / data-delay): animations.css keeps
+ * those hidden until scroll-animations.js reveals them, and the
+ * point is that they show without JavaScript.
+ *
+ * Re-running replaces the previous output, so the pages stay
+ * in sync with the data on every deploy. Containers using
+ * data-template="..." (rendered from a <template> in the
+ * browser) are left empty.
+ *
+ * Run:  node scripts/build-pages.js
+ * (Also runs as part of node scripts/build.js on every deploy,
+ * after data/posts.json is generated.)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const site = require('./site-config.js');
+const ContentLoader = require('../js/components/content-loader.js');
+
+/* 🔧 CUSTOMIZE: components that register their own content types */
+require('../js/components/pricing.js');
+require('../js/components/project-details.js');
+
+/* Opening tag of a container — data-content="...", not data-content-type */
+const CONTAINER = /<(\w+)((?:\s+[\w-]+(?:="[^"]*")?)*?\s+data-content="([^"]+)"(?:\s+[\w-]+(?:="[^"]*")?)*)\s*>/g;
+
+
+/* ==========================================
+   HTML HELPERS
+   ========================================== */
+
+/* 'class="a" data-limit="3" hidden' → { class: 'a', 'data-limit': '3', hidden: '' } */
+function parseAttributes(source) {
+    const attributes = {};
+    source.replace(/([\w-]+)(?:="([^"]*)")?/g, (match, name, value) => {
+        attributes[name] = decodeEntities(value || '');
+        return match;
+    });
+    return attributes;
+}
+
+function decodeEntities(str) {
+    return str
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/* Index of the </tag> closing the element whose content starts at `from` */
+function findClose(html, tag, from) {
+    const pattern = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+    pattern.lastIndex = from;
+
+    let depth = 1;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        depth += match[1] ? -1 : 1;
+        if (depth === 0) return match.index;
+    }
+    return -1;
+}
+
+/* Drop the scroll-animation attributes — [data-animation] is invisible until the JS runs */
+function stripAnimations(html) {
+    return html.replace(/\s+data-(?:animation|delay)="[^"]*"/g, '');
+}
+
+/* Indentation of the line `index` is on */
+function indentAt(html, index) {
+    const lineStart = html.lastIndexOf('\n', index) + 1;
+    return html.slice(lineStart, index).match(/^[ \t]*/)[0];
+}
+
+
+/* ==========================================
+   RENDERING
+   ========================================== */
+
+/* What createView() needs from a container */
+function fakeContainer(attributes) {
+    return {
+        getAttribute: name => (name in attributes ? attributes[name] : null)
+    };
+}
+
+function readData(source) {
+    const file = ContentLoader.paths[source];
+    if (!file) throw new Error(`no data file for "${source}"`);
+    return JSON.parse(fs.readFileSync(path.join(site.ROOT, file), 'utf8'));
+}
+
+/* → { html, signature } for one container, or null to leave it alone */
+function renderContainer(name, attributes) {
+    const type = ContentLoader.types[name];
+    if (!type || attributes['data-template']) return null;
+
+    let items = ContentLoader.itemsOf(type, readData(type.source));
+    if (type.filter) items = items.filter(type.filter);
+
+    const view = ContentLoader.createView(fakeContainer(attributes), type, items);
+    const pageItems = ContentLoader.pageItems(view);
+
+    return {
+        html: stripAnimations(type.render.call(ContentLoader, pageItems, view.container)),
+        signature: ContentLoader.signature(pageItems)
+    };
+}
+
+/* → { html, count, skipped } with every container in the page filled */
+function prerenderPage(html) {
+    let output = '';
+    let position = 0;
+    let count = 0;
+    const skipped = [];
+
+    CONTAINER.lastIndex = 0;
+    let match;
+    while ((match = CONTAINER.exec(html)) !== null) {
+        const [openTag, tag, attributeSource, name] = match;
+        const contentStart = match.index + openTag.length;
+        const contentEnd = findClose(html, tag, contentStart);
+        if (contentEnd === -1) throw new Error(`<${tag} data-content="${name}"> is never closed`);
+
+        const result = renderContainer(name, parseAttributes(attributeSource));
+        if (!result) {
+            skipped.push(name);
+            continue;
+        }
+
+        const indent = indentAt(html, match.index);
+        const attributes = attributeSource.replace(/\s+data-content-prerendered="[^"]*"/, '');
+
+        output += html.slice(position, match.index) +
+            `<${tag}${attributes} ${ContentLoader.PRERENDERED_ATTR}="${result.signature}">` +
+            result.html.replace(/\s+$/, '') + '\n' + indent;
+        position = contentEnd;
+        CONTAINER.lastIndex = contentEnd;
+        count++;
+    }
+
+    return { html: output + html.slice(position), count, skipped };
+}
+
+
+/* ==========================================
+   BUILD
+   ========================================== */
+
+function build() {
+    const pages = fs.readdirSync(site.ROOT).filter(file => file.endsWith('.html')).sort();
+    let containers = 0;
+    let written = 0;
+
+    pages.forEach(page => {
+        const file = path.join(site.ROOT, page);
+        const html = fs.readFileSync(file, 'utf8');
+
+        let result;
+        try {
+            result = prerenderPage(html);
+        } catch (error) {
+            throw new Error(`[build-pages] ${page}: ${error.message}`);
+        }
+
+        if (result.skipped.length > 0) {
+            console.log(`[build-pages] ${page}: left to the browser — ${result.skipped.join(', ')}`);
+        }
+
+        containers += result.count;
+        if (result.html !== html) {
+            fs.writeFileSync(file, result.html);
+            written++;
+        }
+    });
+
+    console.log(`[build-pages] Prerendered ${containers} container(s) (${written} page(s) updated)`);
+    return { containers, written };
+}
+
+module.exports = { build, prerenderPage };
+
+if (require.main === module) {
+    build();
+}
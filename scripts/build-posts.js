@@ -0,0 +1,87 @@
+/* File: scripts/build-posts.js */
+/*
+ * ============================================
+ *    POSTS INDEX GENERATOR
+ * ============================================
+ *
+ * Reads every blog/posts/*.md file and writes data/posts.json —
+ * the index that blog.html (via ContentLoader) lists.
+ *
+ * Only PUBLIC posts end up in the index:
+ * - draft: true posts are skipped
+ * - posts dated in the future (scheduled) are skipped until
+ *   the site is rebuilt on or after their publish date
+ *
+ * The post body isn't included — only what a listing card,
+ * related posts and series navigation need.
+ * Posts are sorted newest first.
+ *
+ * Run:  node scripts/build-posts.js
+ * (Also runs as part of node scripts/build.js on every deploy.)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Posts = require('../js/components/posts.js');
+
+const ROOT = path.join(__dirname, '..');
+const POSTS_DIR = path.join(ROOT, Posts.POSTS_DIR);
+const OUTPUT = path.join(ROOT, 'data', 'posts.json');
+
+/* Read and parse every .md file in blog/posts/ (drafts included) */
+function readAllPosts() {
+    if (!fs.existsSync(POSTS_DIR)) return [];
+
+    return fs.readdirSync(POSTS_DIR)
+        .filter(file => file.endsWith('.md'))
+        .map(file => {
+            const slug = path.basename(file, '.md');
+            const source = fs.readFileSync(path.join(POSTS_DIR, file), 'utf8');
+            return Posts.fromMarkdown(slug, source);
+        });
+}
+
+/* Public posts only, newest first */
+function getPublishedPosts(now) {
+    return readAllPosts()
+        .filter(post => Posts.isValidSlug(post.slug))
+        .filter(post => Posts.isPublished(post, now))
+        .sort((a, b) => {
+            const dateA = Posts.parseDate(a.date);
+            const dateB = Posts.parseDate(b.date);
+            return (dateB ? dateB.getTime() : 0) - (dateA ? dateA.getTime() : 0);
+        });
+}
+
+/* The fields listing cards, related posts and series need */
+function toIndexEntry(post) {
+    return {
+        slug:        post.slug,
+        title:       post.title,
+        date:        post.date,
+        description: post.description,
+        thumbnail:   post.thumbnail,
+        category:    post.category,
+        tags:        post.tags,
+        readingTime: post.readingTime,
+        featured:    post.featured,
+        series:      post.series,
+        seriesPart:  post.seriesPart,
+        url:         Posts.url(post.slug)
+    };
+}
+
+function build() {
+    const posts = getPublishedPosts().map(toIndexEntry);
+    fs.writeFileSync(OUTPUT, JSON.stringify({ posts }, null, 4) + '\n');
+    console.log(`[build-posts] Wrote ${posts.length} post(s) to data/posts.json`);
+    return posts;
+}
+
+module.exports = { build, readAllPosts, getPublishedPosts };
+
+if (require.main === module) {
+    build();
+}
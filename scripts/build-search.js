@@ -0,0 +1,67 @@
+/* File: scripts/build-search.js */
+/*
+ * ============================================
+ *    BLOG SEARCH INDEX GENERATOR
+ * ============================================
+ *
+ * Writes data/search-index.json — the inverted index blog.html
+ * searches (see js/components/search-index.js for the format
+ * and the ranking rules).
+ *
+ * Indexes the title, description, category, tags and the full
+ * article text of every PUBLIC post (same rules as the posts
+ * index — no drafts, no scheduled posts).
+ *
+ * Run:  node scripts/build-search.js
+ * (Also runs as part of node scripts/build.js on every deploy.)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const SearchIndex = require('../js/components/search-index.js');
+const { getPublishedPosts } = require('./build-posts.js');
+
+const OUTPUT = path.join(__dirname, '..', 'data', 'search-index.json');
+
+const ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': "'"
+};
+
+/* Rendered article HTML → plain text (for indexing and snippets) */
+function toPlainText(html) {
+    return String(html || '')
+        .replace(/<\/(p|h[1-6]|li|blockquote|pre|tr)>/g, ' ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function build() {
+    const posts = getPublishedPosts().map(post => ({
+        slug:        post.slug,
+        title:       post.title,
+        description: post.description,
+        category:    post.category,
+        tags:        post.tags,
+        text:        toPlainText(post.html)
+    }));
+
+    const index = SearchIndex.build(posts);
+    fs.writeFileSync(OUTPUT, JSON.stringify(index) + '\n');
+
+    console.log(`[build-search] Indexed ${posts.length} post(s), ${Object.keys(index.terms).length} words → data/search-index.json`);
+    return index;
+}
+
+module.exports = { build, toPlainText };
+
+if (require.main === module) {
+    build();
+}
@@ -0,0 +1,179 @@
+/* File: scripts/build-sitemap.js */
+/*
+ * ============================================
+ *    SITEMAP GENERATOR
+ * ============================================
+ *
+ * Writes sitemap.xml — every public page search engines
+ * should index:
+ *
+ * 1. The static pages (PAGES below)
+ * 2. Every published blog post (lastmod = its date)
+ * 3. Every project case study (portfolio.html?project=<id>,
+ *    from data/projects.json)
+ * 4. Every tag and category archive (blog.html?tag=python),
+ *    including their extra pages (&page=2, ...)
+ *    (lastmod = the newest post in the archive)
+ *
+ * Drafts and scheduled posts are left out, and so are their
+ * tags — the same rules as the blog listing (see posts.js).
+ *
+ * All URLs are absolute, based on site_url in admin/config.yml.
+ * Submit it once in Google Search Console
+ * (Sitemaps → "sitemap.xml"); it stays up to date on every deploy.
+ *
+ * Run:  node scripts/build-sitemap.js
+ * (Also runs as part of node scripts/build.js on every deploy.)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Posts = require('../js/components/posts.js');
+const site = require('./site-config.js');
+const { getPublishedPosts } = require('./build-posts.js');
+
+const OUTPUT = 'sitemap.xml';
+const PROJECTS_FILE = path.join('data', 'projects.json');
+
+/* 🔧 CUSTOMIZE: add new pages here */
+const PAGES = [
+    { path: '',              changefreq: 'weekly',  priority: '1.0' },
+    { path: 'about.html',    changefreq: 'monthly', priority: '0.8' },
+    { path: 'services.html', changefreq: 'monthly', priority: '0.9' },
+    { path: 'portfolio.html', changefreq: 'weekly', priority: '0.9' },
+    { path: 'shop.html',     changefreq: 'weekly',  priority: '0.7' },
+    { path: 'blog.html',     changefreq: 'daily',   priority: '0.8' },
+    { path: 'contact.html',  changefreq: 'monthly', priority: '0.8' }
+];
+
+const POST_ENTRY = { changefreq: 'yearly', priority: '0.6' };
+const PROJECT_ENTRY = { changefreq: 'monthly', priority: '0.6' };
+const ARCHIVE_ENTRY = { changefreq: 'weekly', priority: '0.4' };
+
+
+/* ==========================================
+   HELPERS
+   ========================================== */
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/* "2025-01-15" (W3C date) or null */
+function toLastmod(value) {
+    const date = Posts.parseDate(value);
+    return date ? date.toISOString().slice(0, 10) : null;
+}
+
+/* Newest date among the posts */
+function newestDate(posts) {
+    return posts.reduce((newest, post) => {
+        const date = toLastmod(post.date);
+        return date && (!newest || date > newest) ? date : newest;
+    }, null);
+}
+
+/* Projects with a detail view (same URL as project-details.js builds) */
+function getProjects() {
+    const file = path.join(site.ROOT, PROJECTS_FILE);
+    if (!fs.existsSync(file)) return [];
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return (data.projects || []).filter(project => project && project.id);
+}
+
+/* One entry per page of a tag / category archive */
+function archiveEntries(type, name, posts) {
+    const pageCount = Math.max(1, Math.ceil(posts.length / Posts.ARCHIVE_PAGE_SIZE));
+    const lastmod = newestDate(posts);
+
+    return Array.from({ length: pageCount }, (_, index) => Object.assign({
+        loc: site.absoluteUrl(Posts.archiveUrl(type, name, index + 1)),
+        lastmod
+    }, ARCHIVE_ENTRY));
+}
+
+function renderUrl(entry) {
+    return [
+        '    <url>',
+        `        <loc>${escapeXml(entry.loc)}</loc>`,
+        entry.lastmod ? `        <lastmod>${entry.lastmod}</lastmod>` : null,
+        `        <changefreq>${entry.changefreq}</changefreq>`,
+        `        <priority>${entry.priority}</priority>`,
+        '    </url>'
+    ].filter(line => line !== null).join('\n');
+}
+
+function renderSitemap(sections) {
+    const body = sections
+        .filter(section => section.entries.length > 0)
+        .map(section => `    <!-- ${section.label} -->\n` + section.entries.map(renderUrl).join('\n'))
+        .join('\n\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!--
+    File: sitemap.xml
+    Generated by scripts/build-sitemap.js on every deploy — don't edit by hand.
+    To list a new static page, add it to PAGES in that script.
+-->
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+
+${body}
+
+</urlset>
+`;
+}
+
+
+/* ==========================================
+   BUILD
+   ========================================== */
+
+function build() {
+    const posts = getPublishedPosts();
+    const { categories, tags } = Posts.taxonomy(posts);
+
+    const archives = (type, entries) => entries.flatMap(({ name }) =>
+        archiveEntries(type, name, posts.filter(post => Posts.inArchive(post, type, name))));
+
+    const sections = [
+        {
+            label: 'Pages',
+            entries: PAGES.map(page => Object.assign({ loc: site.absoluteUrl(page.path) }, page))
+        },
+        {
+            label: 'Blog posts',
+            entries: posts.map(post => Object.assign({
+                loc: site.absoluteUrl(Posts.url(post.slug)),
+                lastmod: toLastmod(post.date)
+            }, POST_ENTRY))
+        },
+        {
+            label: 'Projects',
+            entries: getProjects().map(project => Object.assign({
+                loc: site.absoluteUrl('portfolio.html?project=' + encodeURIComponent(project.id))
+            }, PROJECT_ENTRY))
+        },
+        { label: 'Category archives', entries: archives('category', categories) },
+        { label: 'Tag archives', entries: archives('tag', tags) }
+    ];
+
+    fs.writeFileSync(path.join(site.ROOT, OUTPUT), renderSitemap(sections));
+
+    const total = sections.reduce((sum, section) => sum + section.entries.length, 0);
+    console.log(`[build-sitemap] Wrote ${total} URL(s) to ${OUTPUT} (${posts.length} post(s), ${categories.length} categories, ${tags.length} tags)`);
+    return sections;
+}
+
+module.exports = { build };
+
+if (require.main === module) {
+    build();
+}
@@ -0,0 +1,35 @@
+/* File: scripts/build.js */
+/*
+ * ============================================
+ *    SITE BUILD
+ * ============================================
+ *
+ * The site itself is still plain HTML/CSS/JS — this script
+ * only regenerates the files that are derived from content
+ * the CMS edits (blog/posts/*.md → data/posts.json, the
+ * RSS / Atom / JSON feeds, the search index, the sitemap, ...)
+ * and prerenders the data-content cards into the pages.
+ *
+ * The first step checks the data/*.json files against their
+ * schemas (scripts/validate-data.js) — invalid content stops
+ * the build, so a broken edit never goes live.
+ *
+ * Netlify and Vercel run it on every deploy, so a post
+ * published through Decap CMS shows up without touching HTML.
+ * No npm install needed: it only uses Node's built-in modules.
+ *
+ * Run locally:  node scripts/build.js
+ */
+
+'use strict';
+
+const steps = [
+    require('./validate-data.js'),
+    require('./build-posts.js'),
+    require('./build-feeds.js'),
+    require('./build-search.js'),
+    require('./build-sitemap.js'),
+    require('./build-pages.js')
+];
+
+steps.forEach(step => step.build());
@@ -0,0 +1,60 @@
+/* File: scripts/site-config.js */
+/*
+ * ============================================
+ *    SITE CONFIG (for build scripts)
+ * ============================================
+ *
+ * One place for the values build steps need to produce
+ * absolute URLs and site-wide metadata:
+ *
+ * - SITE_URL  → site_url from admin/config.yml (the same URL
+ *               Decap CMS links to), always with a trailing slash
+ * - settings  → data/settings.json (site name, tagline, ...)
+ *
+ * Usage:
+ *   const site = require('./site-config.js');
+ *   site.absoluteUrl('blog-post.html?slug=hello')
+ *   → 'https://doledev.vercel.app/blog-post.html?slug=hello'
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+/* Used when admin/config.yml has no site_url */
+const FALLBACK_URL = 'https://your-site-name.netlify.app/';
+
+/* Read site_url from admin/config.yml (a single top-level key) */
+function readSiteUrl() {
+    const configPath = path.join(ROOT, 'admin', 'config.yml');
+    if (!fs.existsSync(configPath)) return FALLBACK_URL;
+
+    const match = fs.readFileSync(configPath, 'utf8').match(/^site_url:\s*["']?([^"'\s#]+)/m);
+    const url = match ? match[1] : FALLBACK_URL;
+    return url.endsWith('/') ? url : url + '/';
+}
+
+function readSettings() {
+    const settingsPath = path.join(ROOT, 'data', 'settings.json');
+    if (!fs.existsSync(settingsPath)) return {};
+    return JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+}
+
+const SITE_URL = readSiteUrl();
+const settings = readSettings();
+
+/* Resolve a site-relative path ("blog.html", "/images/x.png") against SITE_URL */
+function absoluteUrl(pathOrUrl) {
+    return new URL(String(pathOrUrl || '').replace(/^\/+/, ''), SITE_URL).href;
+}
+
+module.exports = {
+    ROOT,
+    SITE_URL,
+    settings,
+    siteName: settings.siteName || 'Your Name',
+    absoluteUrl
+};
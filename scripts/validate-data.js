@@ -0,0 +1,107 @@
+/* File: scripts/validate-data.js */
+/*
+ * ============================================
+ *    CONTENT DATA VALIDATION
+ * ============================================
+ *
+ * Checks the hand- and CMS-edited data files against their
+ * JSON schemas (data/schemas/<name>.schema.json):
+ *
+ *   data/projects.json      data/services.json
+ *   data/testimonials.json  data/products.json
+ *   data/coupons.json       data/currencies.json
+ *   data/tax.json           data/settings.json
+ *
+ * and prints every problem with its exact location:
+ *
+ *   ✗ data/products.json
+ *     products[2].price: must be a number (got string "49")
+ *     products[3].id: duplicate id "css-animation-pack" (also used by products[1])
+ *
+ * Run:  node scripts/validate-data.js            (all files)
+ *       node scripts/validate-data.js products   (just one)
+ *
+ * Also runs first in node scripts/build.js — an invalid file
+ * fails the deploy, so the live site keeps the last good
+ * version instead of showing broken cards.
+ *
+ * To add a data file: drop its schema in data/schemas/ and add
+ * its name to FILES.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Schema = require('../js/components/schema.js');
+
+const ROOT = path.join(__dirname, '..');
+const DATA_DIR = 'data';
+const SCHEMA_DIR = path.join('data', 'schemas');
+
+/* 🔧 CUSTOMIZE: data files with a schema */
+const FILES = ['projects', 'services', 'testimonials', 'products', 'coupons', 'currencies', 'tax', 'settings'];
+
+
+/* ==========================================
+   VALIDATION
+   ========================================== */
+
+function readJson(relativePath) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, relativePath), 'utf8'));
+}
+
+/* → { file, errors: [{ path, message }] } */
+function validateFile(name) {
+    const file = path.join(DATA_DIR, name + '.json').split(path.sep).join('/');
+    const schemaFile = path.join(SCHEMA_DIR, name + '.schema.json');
+
+    let data;
+    try {
+        data = readJson(file);
+    } catch (error) {
+        const message = error.code === 'ENOENT' ? 'file not found' : 'invalid JSON — ' + error.message;
+        return { file, errors: [{ path: '(file)', message }] };
+    }
+
+    return { file, errors: Schema.validate(data, readJson(schemaFile)) };
+}
+
+function report(results) {
+    results.forEach(({ file, errors }) => {
+        if (errors.length === 0) return;
+        console.log(`✗ ${file}`);
+        errors.forEach(error => console.log(`  ${error.path}: ${error.message}`));
+    });
+}
+
+
+/* ==========================================
+   BUILD
+   ========================================== */
+
+function build(names) {
+    const results = (names && names.length ? names : FILES).map(validateFile);
+    const invalid = results.filter(result => result.errors.length > 0);
+    const count = invalid.reduce((sum, result) => sum + result.errors.length, 0);
+
+    report(results);
+
+    if (invalid.length > 0) {
+        throw new Error(`[validate-data] ${count} problem(s) in ${invalid.length} file(s) — fix them and run again`);
+    }
+
+    console.log(`[validate-data] ${results.length} data file(s) are valid`);
+    return results;
+}
+
+module.exports = { build, validateFile, FILES };
+
+if (require.main === module) {
+    try {
+        build(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
@@ -20,6 +20,13 @@
  * - Second visit: Cached files load instantly, fresh versions download in background
  * - Offline: Cached pages work, uncached pages show offline.html
  *
+ * Data files (data/*.json) are NOT cached here: ContentLoader
+ * keeps them in IndexedDB and revalidates them itself
+ * (js/components/content-loader.js), and the other components
+ * always get the deployed prices, rates and settings. Requests
+ * with If-None-Match / If-Modified-Since go straight to the
+ * network too — answering them from the cache would hide updates.
+ *
  * Cache versioning:
  * When you update your site, change the CACHE_VERSION number.
  * The service worker will create a new cache and delete old ones.
@@ -30,7 +37,7 @@
 
 /* ---- Configuration ---- */
 /* 🔧 CUSTOMIZE: Increment this number whenever you deploy changes */
-const CACHE_VERSION = 'v1.0.0';
+const CACHE_VERSION = 'v1.9.0';
 const CACHE_NAME = `portfolio-cache-${CACHE_VERSION}`;
 
 /*
@@ -48,18 +55,29 @@ const PRE_CACHE_URLS = [
     '/portfolio.html',
     '/shop.html',
     '/blog.html',
+    '/blog-post.html',
     '/contact.html',
+    '/checkout.html',
     '/offline.html',
     '/css/style.css',
     '/css/components/animations.css',
     '/css/components/buttons.css',
     '/css/components/preloader.css',
     '/css/components/header.css',
+    '/css/components/hero.css',
     '/css/components/cards.css',
     '/css/components/about.css',
+    '/css/components/services.css',
+    '/css/components/portfolio.css',
+    '/css/components/testimonials.css',
+    '/css/components/modal.css',
     '/css/components/blog.css',
     '/css/components/blog-enhancements.css',
     '/css/components/shop.css',
+    '/css/components/currency.css',
+    '/css/components/checkout.css',
+    '/css/components/contact.css',
+    '/css/components/code-highlight.css',
     '/css/components/footer.css',
     '/css/components/command-palette.css',
     '/css/components/cookie-consent.css',
@@ -69,16 +87,37 @@ const PRE_CACHE_URLS = [
     '/js/components/preloader.js',
     '/js/components/scroll-animations.js',
     '/js/components/back-to-top.js',
+    '/js/components/sw-register.js',
+    '/js/components/hero.js',
+    '/js/components/carousel.js',
+    '/js/components/modal.js',
+    '/js/components/filter.js',
+    '/js/components/accordion.js',
+    '/js/components/forms.js',
     '/js/components/command-palette.js',
     '/js/components/cookie-consent.js',
+    '/js/components/settings.js',
+    '/js/components/structured-data.js',
     '/js/components/content-loader.js',
+    '/js/components/currency.js',
+    '/js/components/tax.js',
     '/js/components/shop-cart.js',
-    '/manifest.json',
-    '/data/projects.json',
-    '/data/services.json',
-    '/data/testimonials.json',
-    '/data/products.json',
-    '/data/settings.json'
+    '/js/components/payment.js',
+    '/js/components/checkout.js',
+    '/js/components/pricing.js',
+    '/js/components/markdown.js',
+    '/js/components/project-details.js',
+    '/js/components/posts.js',
+    '/js/components/search-index.js',
+    '/js/components/blog-search.js',
+    '/js/components/blog-archive.js',
+    '/js/components/blog-post.js',
+    '/js/components/code-highlight.js',
+    '/js/components/toc-tracker.js',
+    '/js/components/related-posts.js',
+    '/js/components/share-bar.js',
+    '/js/components/reading-progress.js',
+    '/manifest.json'
 ];
 
 
@@ -177,6 +216,18 @@ self.addEventListener('fetch', event => {
      */
     if (request.url.includes('/admin')) return;
 
+    /*
+     * Skip data files — ContentLoader caches them (IndexedDB)
+     * and revalidates them itself
+     */
+    if (new URL(request.url).pathname.startsWith('/data/')) return;
+
+    /*
+     * Skip conditional requests — the caller wants the server's
+     * answer (304 or the new file), not our cached copy
+     */
+    if (request.headers.has('If-None-Match') || request.headers.has('If-Modified-Since')) return;
+
     event.respondWith(
         caches.open(CACHE_NAME).then(cache => {
             return cache.match(request).then(cachedResponse => {
@@ -0,0 +1,50 @@
+/* File: tests/build-pages.test.js */
+/*
+ * ============================================
+ *    PRERENDERED CONTENT (scripts/build-pages.js)
+ * ============================================
+ *
+ * Run:  node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { prerenderPage } = require('../scripts/build-pages.js');
+const ContentLoader = require('../js/components/content-loader.js');
+
+const ROOT = path.join(__dirname, '..');
+
+/* What animations.css hides until scroll-animations.js runs */
+const HIDDEN_WITHOUT_JS = /\sdata-animation="/;
+
+test('every content type prerenders visible without JavaScript', () => {
+    let rendered = 0;
+
+    Object.keys(ContentLoader.types).forEach(name => {
+        const { html, count } = prerenderPage(`<div data-content="${name}"></div>`);
+        if (count === 0) return;
+
+        rendered++;
+        assert.doesNotMatch(html, HIDDEN_WITHOUT_JS, `"${name}" cards start hidden`);
+    });
+    assert.ok(rendered > 0, 'nothing was prerendered');
+});
+
+test('prerendering is idempotent', () => {
+    ['portfolio.html', 'services.html', 'blog.html', 'shop.html', 'index.html', 'testimonials.html'].forEach(page => {
+        const once = prerenderPage(fs.readFileSync(path.join(ROOT, page), 'utf8')).html;
+        assert.strictEqual(prerenderPage(once).html, once, page);
+    });
+});
+
+test('out-of-range testimonial ratings render as 1–5 stars', () => {
+    /* The schema check only runs in dev mode — the build and live pages see the raw value */
+    [[6, '★★★★★'], [-1, '★☆☆☆☆'], ['five', '★★★★★'], [3, '★★★☆☆']].forEach(([rating, stars]) => {
+        const html = ContentLoader.renderTestimonials([{ name: 'A', role: 'B', company: 'C', text: 'Great', rating }]);
+        assert.ok(html.includes(`>${stars}</div>`), `rating ${rating}`);
+    });
+});
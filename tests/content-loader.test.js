@@ -0,0 +1,44 @@
+/* File: tests/content-loader.test.js */
+/*
+ * ============================================
+ *    DATA-WHERE FILTERS (content-loader.js)
+ * ============================================
+ *
+ * Run:  node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ContentLoader = require('../js/components/content-loader.js');
+
+const POSTS = [
+    { slug: 'one', category: 'tutorials', tags: ['python', 'bots'] },
+    { slug: 'two', category: 'web', tags: ['c,d', 'a|b'] },
+    { slug: 'three', category: 'web', tags: ['c', 'd\\e'] }
+];
+
+function where(expression) {
+    const conditions = ContentLoader.parseWhere(expression);
+    return POSTS.filter(post => conditions.every(matches => matches(post))).map(post => post.slug);
+}
+
+test('commas separate conditions and | means any of', () => {
+    assert.deepStrictEqual(where('category=web,tags=c'), ['three']);
+    assert.deepStrictEqual(where('tags=python|c'), ['one', 'three']);
+});
+
+test('escaped separators are part of the value', () => {
+    assert.deepStrictEqual(where('tags=c\\,d'), ['two']);
+    assert.deepStrictEqual(where('tags=a\\|b'), ['two']);
+    assert.deepStrictEqual(where('tags=a\\|b|python'), ['one', 'two']);
+});
+
+test('whereValue() escapes any text into one value', () => {
+    ['c,d', 'a|b', 'd\\e', 'python'].forEach(tag => {
+        const matched = where('tags=' + ContentLoader.whereValue(tag));
+        assert.strictEqual(matched.length, 1, tag);
+    });
+    assert.deepStrictEqual(where('tags!=' + ContentLoader.whereValue('c,d')), ['one', 'three']);
+});
@@ -0,0 +1,51 @@
+/* File: tests/markdown.test.js */
+/*
+ * ============================================
+ *    MARKDOWN PARSER (markdown.js)
+ * ============================================
+ *
+ * Run:  node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Markdown = require('../js/components/markdown.js');
+
+test('bold and italic nest, whichever comes first', () => {
+    assert.strictEqual(Markdown.renderInline('***x***'), '<strong><em>x</em></strong>');
+    assert.strictEqual(Markdown.renderInline('a ___b c___ d'), 'a <strong><em>b c</em></strong> d');
+    assert.strictEqual(Markdown.renderInline('**bold *italic* bold**'), '<strong>bold <em>italic</em> bold</strong>');
+    assert.strictEqual(Markdown.renderInline('*italic **bold** italic*'), '<em>italic <strong>bold</strong> italic</em>');
+});
+
+test('underscores inside words stay literal', () => {
+    assert.strictEqual(Markdown.renderInline('snake_case_name and __init__'), 'snake_case_name and <strong>init</strong>');
+});
+
+test('link and image URLs keep balanced parentheses', () => {
+    assert.strictEqual(
+        Markdown.renderInline('[x](https://en.wikipedia.org/wiki/Foo_(bar))'),
+        '<a href="https://en.wikipedia.org/wiki/Foo_(bar)" target="_blank" rel="noopener noreferrer">x</a>'
+    );
+    assert.strictEqual(
+        Markdown.renderInline('![map](img/map_(v2).png "Map")'),
+        '<img src="img/map_(v2).png" alt="map" title="Map" loading="lazy">'
+    );
+});
+
+test('a link inside parentheses stops at its own closing parenthesis', () => {
+    assert.strictEqual(Markdown.renderInline('(see [docs](/docs.html))'), '(see <a href="/docs.html">docs</a>)');
+});
+
+test('code spans and unsafe URLs are left alone', () => {
+    assert.strictEqual(Markdown.renderInline('`***x***`'), '<code>***x***</code>');
+    assert.strictEqual(Markdown.renderInline('[x](javascript:alert(1))'), 'x');
+});
+
+test('headings get ids and land in the outline', () => {
+    const { html, headings } = Markdown.render('## Getting *Started*\n\nText');
+    assert.match(html, /<h2 id="getting-started">Getting <em>Started<\/em><\/h2>/);
+    assert.deepStrictEqual(headings, [{ level: 2, text: 'Getting Started', id: 'getting-started' }]);
+});
@@ -0,0 +1,41 @@
+/* File: tests/search-index.test.js */
+/*
+ * ============================================
+ *    BLOG SEARCH INDEX (search-index.js)
+ * ============================================
+ *
+ * Run:  node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SearchIndex = require('../js/components/search-index.js');
+
+const index = SearchIndex.build([
+    { slug: 'telegram-bot', title: 'Building a Telegram Bot', tags: ['python', 'bots'], category: 'tutorials', description: 'From BotFather to deploy', text: 'The bot answers every message.' },
+    { slug: 'css-grid', title: 'CSS Grid in Practice', tags: ['css'], category: 'web', description: 'Layouts without floats', text: 'A grid is the easiest way to lay out a page.' }
+]);
+
+test('every query word must match', () => {
+    assert.deepStrictEqual(SearchIndex.search(index, 'telegram python').map(result => result.slug), ['telegram-bot']);
+    assert.deepStrictEqual(SearchIndex.search(index, 'telegram css'), []);
+});
+
+test('prefixes and typos match', () => {
+    assert.deepStrictEqual(SearchIndex.search(index, 'tele').map(result => result.slug), ['telegram-bot']);
+    assert.deepStrictEqual(SearchIndex.search(index, 'telegarm').map(result => result.slug), ['telegram-bot']);
+});
+
+test('a query of only stop words or single letters filters nothing', () => {
+    ['the', 'a', 'the a of', 'x'].forEach(query => {
+        const results = SearchIndex.search(index, query);
+        assert.deepStrictEqual(results.map(result => result.slug), ['telegram-bot', 'css-grid'], `"${query}"`);
+        results.forEach(result => assert.deepStrictEqual(result.terms, []));
+    });
+});
+
+test('no index, no results', () => {
+    assert.deepStrictEqual(SearchIndex.search(null, 'telegram'), []);
+});
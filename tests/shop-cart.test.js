@@ -0,0 +1,211 @@
+/* File: tests/shop-cart.test.js */
+/*
+ * ============================================
+ *    SHOPPING CART (shop-cart.js)
+ * ============================================
+ *
+ * Run:  node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ShopCart = require('../js/components/shop-cart.js');
+
+const readData = name => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', name + '.json'), 'utf8'));
+
+const PRODUCTS = readData('products').products;
+const COUPONS = readData('coupons').coupons;
+
+/* The localStorage every tab shares — "other tabs" write the record straight into it */
+const storage = {
+    data: {},
+    full: false,
+    getItem(key) { return key in this.data ? this.data[key] : null; },
+    setItem(key, value) {
+        if (this.full) throw new Error('QuotaExceededError');
+        this.data[key] = String(value);
+    },
+    removeItem(key) { delete this.data[key]; }
+};
+global.localStorage = storage;
+
+/* No page here — skip the badge, drawer and events */
+ShopCart.updateNavBadge = ShopCart.renderDrawer = ShopCart.dispatchEvent = () => {};
+ShopCart.loadCoupons = () => Promise.resolve([]);
+
+const COUPON_RULES = [
+    { code: 'SAVE5', type: 'fixed', amount: 5, minSubtotal: 40 },
+    { code: 'TEN', type: 'percent', amount: 10 },
+    { code: 'BOTS20', type: 'percent', amount: 20, categories: ['bot'] },
+    { code: 'PLUGIN3', type: 'fixed', amount: 3, categories: ['plugin'] },
+    { code: 'KIT10', type: 'fixed', amount: 10, products: ['telegram-bot-starter'], starts: '2026-01-01', expires: '2026-12-31' }
+];
+
+/* A cart line for a product in data/products.json, as "Add to Cart" saves it */
+function line(id, quantity) {
+    const product = PRODUCTS.find(entry => entry.id === id);
+    return { id, name: product.title, price: product.price, image: '📦', quantity: quantity || 1, category: product.category };
+}
+
+function cartWith(items, code, today) {
+    ShopCart.items = items;
+    ShopCart.couponCode = code;
+    ShopCart.coupons = COUPON_RULES;
+    ShopCart.today = () => today || '2026-06-15';
+    return ShopCart.getDiscounts();
+}
+
+test('every code refers to products and categories in data/products.json', () => {
+    const ids = PRODUCTS.map(product => product.id);
+    const categories = PRODUCTS.map(product => product.category);
+
+    COUPONS.forEach(coupon => {
+        (coupon.products || []).forEach(id => assert.ok(ids.includes(id), `${coupon.code}: no product "${id}"`));
+        (coupon.categories || []).forEach(category => assert.ok(categories.includes(category), `${coupon.code}: no product in "${category}"`));
+    });
+});
+
+test('a minimum subtotal counts the items before discounts', () => {
+    const short = cartWith([line('telegram-bot-starter')], 'SAVE5');
+    assert.strictEqual(short.applied, false);
+    assert.strictEqual(short.message, 'Add $1.00 more to use SAVE5 (minimum $40.00)');
+
+    const enough = cartWith([line('telegram-bot-starter', 2)], 'SAVE5');
+    assert.strictEqual(enough.applied, true);
+    assert.strictEqual(enough.order, 5);
+});
+
+test('codes run from their first to their last day', () => {
+    const cart = [line('telegram-bot-starter')];
+
+    assert.strictEqual(cartWith(cart, 'KIT10', '2025-12-31').message, "KIT10 isn't active yet");
+    assert.strictEqual(cartWith(cart, 'KIT10', '2026-01-01').applied, true);
+    assert.strictEqual(cartWith(cart, 'KIT10', '2026-12-31').applied, true);
+    assert.strictEqual(cartWith(cart, 'KIT10', '2027-01-01').message, 'KIT10 has expired');
+});
+
+test('product and category codes discount only their lines', () => {
+    const cart = [line('developer-portfolio-pro'), line('telegram-bot-starter'), line('mini-app-ecommerce-template')];
+
+    const product = cartWith(cart, 'KIT10');
+    assert.deepStrictEqual(product.lines, [{ id: 'telegram-bot-starter', amount: 10 }]);
+    assert.strictEqual(product.order, 0);
+
+    const category = cartWith(cart, 'BOTS20');
+    assert.deepStrictEqual(category.lines, [
+        { id: 'telegram-bot-starter', amount: 7.8 },
+        { id: 'mini-app-ecommerce-template', amount: 13.8 }
+    ]);
+    assert.strictEqual(category.total, 21.6);
+
+    const none = cartWith([line('developer-portfolio-pro')], 'PLUGIN3');
+    assert.strictEqual(none.applied, false);
+    assert.strictEqual(none.message, "PLUGIN3 doesn't apply to anything in your cart");
+});
+
+test('a fixed amount comes off each unit of a scoped line, but once off the order', () => {
+    const perUnit = cartWith([line('css-animation-pack', 2)], 'PLUGIN3');
+    assert.deepStrictEqual(perUnit.lines, [{ id: 'css-animation-pack', amount: 6 }]);
+
+    const perOrder = cartWith([line('css-animation-pack', 3)], 'SAVE5');
+    assert.deepStrictEqual(perOrder.lines, []);
+    assert.strictEqual(perOrder.order, 5);
+    assert.strictEqual(ShopCart.getSubtotal(), 52);
+});
+
+test('a percent code without a scope discounts the whole order', () => {
+    const discounts = cartWith([line('developer-portfolio-pro'), line('css-animation-pack')], 'TEN');
+    assert.strictEqual(discounts.order, 6.8);
+    assert.strictEqual(ShopCart.evaluateCoupon(COUPON_RULES[1]).order, 6.8);
+});
+
+function otherTab(record) {
+    storage.data[ShopCart.STORAGE_KEY] = JSON.stringify(Object.assign({ items: [], coupon: null, tax: {} }, record));
+}
+
+function openTab(record) {
+    storage.full = false;
+    otherTab(record);
+    ShopCart.load();
+}
+
+const stored = () => JSON.parse(storage.data[ShopCart.STORAGE_KEY]);
+const quantities = items => items.map(item => `${item.id} ×${item.quantity}`);
+const product = id => ({ id, name: line(id).name, price: String(line(id).price), category: line(id).category });
+
+test('adds in two tabs add up', () => {
+    openTab({ items: [line('css-animation-pack')] });
+    otherTab({ items: [line('css-animation-pack', 2)] });
+
+    ShopCart.addItem(product('css-animation-pack'));
+    assert.deepStrictEqual(quantities(stored().items), ['css-animation-pack ×3']);
+});
+
+test('+/− applies to the latest quantity, not the one this tab shows', () => {
+    openTab({ items: [line('css-animation-pack')] });
+    otherTab({ items: [line('css-animation-pack', 3)] });
+
+    ShopCart.changeQuantity('css-animation-pack', 1);
+    assert.deepStrictEqual(quantities(stored().items), ['css-animation-pack ×4']);
+});
+
+test('an item removed in another tab stays removed until added again', () => {
+    openTab({ items: [line('css-animation-pack', 2)] });
+    otherTab({ items: [] });
+
+    ShopCart.changeQuantity('css-animation-pack', 1);
+    assert.deepStrictEqual(stored().items, []);
+    assert.deepStrictEqual(ShopCart.items, []);
+
+    ShopCart.addItem(product('css-animation-pack'));
+    assert.deepStrictEqual(quantities(stored().items), ['css-animation-pack ×1']);
+});
+
+test('the latest code and tax country win, and item edits keep them', () => {
+    openTab({ items: [line('css-animation-pack')], tax: { country: 'FR', business: false, vatId: null } });
+    otherTab({ items: [line('css-animation-pack')], coupon: 'TEN', tax: { country: 'FR', business: false, vatId: null } });
+
+    ShopCart.updateQuantity('css-animation-pack', 2);
+    assert.strictEqual(stored().coupon, 'TEN');
+    assert.strictEqual(stored().tax.country, 'FR');
+
+    ShopCart.setTaxLocation({ country: 'DE' });
+    assert.strictEqual(stored().tax.country, 'DE');
+    assert.strictEqual(stored().coupon, 'TEN');
+    assert.deepStrictEqual(quantities(stored().items), ['css-animation-pack ×2']);
+});
+
+test('after a failed save the tab keeps its own copy', () => {
+    openTab({ items: [line('css-animation-pack')] });
+
+    storage.full = true;
+    ShopCart.addItem(product('telegram-bot-starter'));
+    assert.strictEqual(ShopCart.saved, false);
+    assert.deepStrictEqual(quantities(stored().items), ['css-animation-pack ×1']);
+
+    /* Another tab's change (or a cleared storage) doesn't replace the unsaved edits */
+    otherTab({ items: [] });
+    ShopCart.syncFromStorage();
+    ShopCart.changeQuantity('telegram-bot-starter', 1);
+    assert.deepStrictEqual(quantities(ShopCart.items), ['css-animation-pack ×1', 'telegram-bot-starter ×2']);
+
+    /* The next save that works stores them */
+    storage.full = false;
+    ShopCart.addItem(product('css-animation-pack'));
+    assert.strictEqual(ShopCart.saved, true);
+    assert.deepStrictEqual(quantities(stored().items), ['css-animation-pack ×2', 'telegram-bot-starter ×2']);
+});
+
+test('an unreadable cart starts empty, code and tax country included', () => {
+    openTab({ items: [line('css-animation-pack')], coupon: 'TEN', tax: { country: 'DE', business: false, vatId: null } });
+    storage.data[ShopCart.STORAGE_KEY] = '{"items": [';
+
+    ShopCart.load();
+    assert.deepStrictEqual(ShopCart.items, []);
+    assert.strictEqual(ShopCart.couponCode, null);
+    assert.deepStrictEqual(ShopCart.taxLocation, {});
+});
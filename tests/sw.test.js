@@ -0,0 +1,38 @@
+/* File: tests/sw.test.js */
+/*
+ * ============================================
+ *    OFFLINE PRE-CACHE (sw.js)
+ * ============================================
+ *
+ * Run:  node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+/* The PRE_CACHE_URLS array literal, read without running the worker */
+const source = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+const PRE_CACHE_URLS = new Function('return ' + source.match(/const PRE_CACHE_URLS = (\[[\s\S]*?\]);/)[1])();
+
+test('every pre-cached file exists', () => {
+    PRE_CACHE_URLS.filter(url => url !== '/').forEach(url => {
+        assert.ok(fs.existsSync(path.join(ROOT, url)), url);
+    });
+});
+
+test('pre-cached pages have their styles and scripts cached too', () => {
+    PRE_CACHE_URLS.filter(url => url.endsWith('.html')).forEach(page => {
+        const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+        const assets = html.match(/(?:href|src)="(?:css|js)\/[^"]+\.(?:css|js)"/g) || [];
+
+        assets.map(attribute => '/' + attribute.split('"')[1]).forEach(asset => {
+            assert.ok(PRE_CACHE_URLS.includes(asset), `${page} needs ${asset} offline`);
+        });
+    });
+});
@@ -0,0 +1,65 @@
+/* File: tests/tax.test.js */
+/*
+ * ============================================
+ *    TAX / VAT RULES (data/tax.json + tax.js)
+ * ============================================
+ *
+ * Run:  node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const Tax = require('../js/components/tax.js');
+
+const RULES = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'tax.json'), 'utf8'));
+
+const EU27 = [
+    'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+    'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'
+];
+
+test.beforeEach(() => {
+    Tax.rules = RULES;
+});
+
+test('every EU member state has a VAT rate', () => {
+    EU27.forEach(country => {
+        const tax = Tax.calculate(100, { country });
+        assert.ok(tax.rate > 0, `${country} has no VAT rate`);
+        assert.ok(tax.tax > 0, `${country} is charged no VAT`);
+    });
+});
+
+test('every EU example VAT ID passes its own format', () => {
+    EU27.forEach(country => {
+        const rule = Tax.ruleFor(country);
+        assert.ok(rule.reverseCharge, `${country} has no reverse charge`);
+        assert.ok(rule.vatIdExample, `${country} has no example VAT ID`);
+        assert.strictEqual(Tax.validateVatId(country, rule.vatIdExample).valid, true, `${country}: ${rule.vatIdExample}`);
+    });
+});
+
+test('the seller country is set', () => {
+    assert.match(RULES.sellerCountry, /^[A-Z]{2}$/);
+});
+
+test('business buyers abroad are reverse charged, domestic ones pay VAT', () => {
+    Tax.rules = Object.assign({}, RULES, { sellerCountry: 'DE' });
+
+    const abroad = Tax.calculate(100, { country: 'FR', business: true, vatId: 'FR12345678901' });
+    assert.strictEqual(abroad.reverseCharge, true);
+    assert.strictEqual(abroad.total, 100);
+
+    const domestic = Tax.calculate(100, { country: 'DE', business: true, vatId: 'DE123456789' });
+    assert.strictEqual(domestic.reverseCharge, false);
+    assert.strictEqual(domestic.total, 119);
+});
+
+test('Greek VAT IDs take the EL prefix', () => {
+    assert.deepStrictEqual(Tax.validateVatId('GR', '123456789'), { valid: true, vatId: 'EL123456789', message: null });
+    assert.strictEqual(Tax.validateVatId('GR', 'GR123456789').valid, false);
+});